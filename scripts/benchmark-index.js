@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+// Benchmark the HNSW vector index against exact search on synthetic,
+// clustered embeddings. Exits non-zero when recall drops below the target,
+// so it can be used as a regression check after changing the index.
+//
+// Usage: node scripts/benchmark-index.js [--vectors 5000] [--dim 256]
+//        [--queries 200] [--k 10] [--min-recall 0.9]
+
+import HNSWIndex, {
+  normalizeVector,
+  packVectors,
+} from "../src/services/HNSWIndex.js";
+
+const getArg = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? Number(process.argv[index + 1]) : fallback;
+};
+
+const config = {
+  vectors: getArg("vectors", 5000),
+  dimension: getArg("dim", 256),
+  queries: getArg("queries", 200),
+  k: getArg("k", 10),
+  clusters: getArg("clusters", 50),
+  minRecall: getArg("min-recall", 0.9),
+};
+
+// Deterministic gaussian noise so runs are comparable
+let seed = 1234;
+const random = () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+};
+const gaussian = () =>
+  Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+// Real embeddings cluster by topic, so sample around shared centroids
+const generateCentroids = (count, dimension) =>
+  Array.from({ length: count }, () =>
+    Array.from({ length: dimension }, gaussian)
+  );
+
+const generateEmbeddings = (count, centroids) => {
+  const clusters = centroids.length;
+  return Array.from({ length: count }, () => {
+    const centroid = centroids[Math.floor(random() * clusters)];
+    return centroid.map((value) => value + gaussian() * 0.6);
+  });
+};
+
+const exactTopK = (vectors, dimension, query, k) => {
+  const count = vectors.length / dimension;
+  const scores = [];
+  for (let i = 0; i < count; i++) {
+    let dot = 0;
+    for (let d = 0; d < dimension; d++) {
+      dot += query[d] * vectors[i * dimension + d];
+    }
+    scores.push({ index: i, similarity: dot });
+  }
+  return scores.sort((a, b) => b.similarity - a.similarity).slice(0, k);
+};
+
+const percentile = (values, p) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+};
+
+const run = async () => {
+  console.log("📐 Vector index benchmark");
+  console.log(
+    `   ${config.vectors} vectors × ${config.dimension} dims, ` +
+      `${config.queries} queries, top-${config.k}`
+  );
+
+  const centroids = generateCentroids(config.clusters, config.dimension);
+  const embeddings = generateEmbeddings(config.vectors, centroids);
+  const vectors = packVectors(embeddings, config.dimension);
+  const queries = generateEmbeddings(config.queries, centroids).map((query) =>
+    normalizeVector(query)
+  );
+
+  let startTime = Date.now();
+  const index = await new HNSWIndex(vectors, config.dimension).build();
+  console.log(`🏗️  Build time: ${Date.now() - startTime}ms`);
+
+  const exactTimes = [];
+  const annTimes = [];
+  let recallSum = 0;
+
+  for (const query of queries) {
+    startTime = process.hrtime.bigint();
+    const expected = exactTopK(vectors, config.dimension, query, config.k);
+    exactTimes.push(Number(process.hrtime.bigint() - startTime) / 1e6);
+
+    startTime = process.hrtime.bigint();
+    const actual = index.search(query, config.k);
+    annTimes.push(Number(process.hrtime.bigint() - startTime) / 1e6);
+
+    const expectedIds = new Set(expected.map((match) => match.index));
+    const hits = actual.filter((match) => expectedIds.has(match.index)).length;
+    recallSum += hits / config.k;
+  }
+
+  const recall = recallSum / queries.length;
+  const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+  console.log("\n📊 Results:");
+  console.log(`   🎯 Recall@${config.k}: ${(recall * 100).toFixed(1)}%`);
+  console.log(
+    `   🐢 Exact: mean ${mean(exactTimes).toFixed(2)}ms, ` +
+      `p95 ${percentile(exactTimes, 0.95).toFixed(2)}ms`
+  );
+  console.log(
+    `   ⚡ HNSW:  mean ${mean(annTimes).toFixed(2)}ms, ` +
+      `p95 ${percentile(annTimes, 0.95).toFixed(2)}ms`
+  );
+  console.log(
+    `   🚀 Speed-up: ${(mean(exactTimes) / mean(annTimes)).toFixed(1)}x`
+  );
+
+  if (recall < config.minRecall) {
+    console.error(
+      `\n❌ Recall ${(recall * 100).toFixed(1)}% is below the ` +
+        `${(config.minRecall * 100).toFixed(0)}% target`
+    );
+    process.exit(1);
+  }
+
+  console.log("\n✅ Benchmark passed");
+};
+
+run();
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+// Calibrate the strict-mode retrieval floor (grounding.minRetrievalScore) for
+// the configured embedding model and knowledge base. Runs retrieval for a set
+// of labelled questions, some covered by the documents and some not, and
+// picks the floor that best separates the two.
+//
+// Usage: node scripts/calibrate-grounding.js --questions questions.jsonl
+//
+// One question per line: {"question": "How is VLAN 42 trunked?", "answerable": true}
+
+import fs from "fs-extra";
+import readline from "readline";
+import { getChatService } from "../src/services/ChatService.js";
+
+const getArg = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : fallback;
+};
+
+const readQuestions = async (filePath) => {
+  const questions = [];
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath),
+    crlfDelay: Infinity,
+  });
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    const { question, answerable } = JSON.parse(line);
+    if (question && typeof answerable === "boolean") {
+      questions.push({ question, answerable });
+    }
+  }
+  return questions;
+};
+
+// Balanced accuracy: answerable questions kept and unanswerable ones refused
+// count equally, however unbalanced the question set is
+const evaluateFloor = (results, floor) => {
+  const answerable = results.filter((r) => r.answerable);
+  const unanswerable = results.filter((r) => !r.answerable);
+  const kept = answerable.filter((r) => r.score >= floor).length;
+  const refused = unanswerable.filter((r) => r.score < floor).length;
+
+  return {
+    floor,
+    kept,
+    refused,
+    balancedAccuracy:
+      (kept / answerable.length + refused / unanswerable.length) / 2,
+  };
+};
+
+const run = async () => {
+  const questionsFile = getArg("questions", null);
+  if (!questionsFile || !(await fs.pathExists(questionsFile))) {
+    console.error(
+      "❌ Usage: npm run calibrate:grounding -- --questions <file>"
+    );
+    process.exit(1);
+  }
+
+  const questions = await readQuestions(questionsFile);
+  const answerableCount = questions.filter((q) => q.answerable).length;
+  if (answerableCount === 0 || answerableCount === questions.length) {
+    console.error(
+      "❌ Need both answerable and unanswerable questions to calibrate"
+    );
+    process.exit(1);
+  }
+
+  const chatService = getChatService();
+  if (!(await chatService.knowledgeBaseService.isKnowledgeBaseAvailable())) {
+    console.error('❌ Knowledge base not found. Run "npm run ingest" first.');
+    process.exit(1);
+  }
+
+  console.log(`🎯 Calibrating on ${questions.length} questions...`);
+
+  const results = [];
+  for (const { question, answerable } of questions) {
+    const { chunks } = await chatService.retrieveContext(question, {
+      contextThreshold: 0,
+    });
+    const { score, method } = chatService.assessRetrieval(question, chunks);
+    results.push({ question, answerable, score, method });
+    console.log(
+      `   ${answerable ? "✅" : "🚫"} ${score.toFixed(3)} (${method})  ${question}`
+    );
+  }
+
+  // Candidate floors halfway between neighbouring scores
+  const scores = [...new Set(results.map((r) => r.score))].sort(
+    (a, b) => a - b
+  );
+  const candidates = [0, ...scores.slice(1).map((s, i) => (s + scores[i]) / 2)];
+  const best = candidates
+    .map((floor) => evaluateFloor(results, floor))
+    .reduce((a, b) => (b.balancedAccuracy > a.balancedAccuracy ? b : a));
+  const current = evaluateFloor(
+    results,
+    chatService.config.grounding.minRetrievalScore
+  );
+
+  const report = (label, { floor, kept, refused, balancedAccuracy }) =>
+    console.log(
+      `   ${label} ${floor.toFixed(3)}: keeps ${kept}/${answerableCount} answerable, ` +
+        `refuses ${refused}/${questions.length - answerableCount} unanswerable ` +
+        `(balanced accuracy ${(balancedAccuracy * 100).toFixed(1)}%)`
+    );
+
+  console.log("\n📊 Results:");
+  report("Current floor ", current);
+  report("Suggested floor", best);
+  console.log(
+    `\n💡 Set "grounding": { "minRetrievalScore": ${best.floor.toFixed(3)} } ` +
+      "in config.json or GROUNDING_MIN_RETRIEVAL_SCORE"
+  );
+};
+
+run();
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+// Export answer ratings (thumbs up/down from the chat UI or
+// POST /api/chat/feedback) as a labelled evaluation set, one JSONL line per
+// rated answer with the question, its label, the chunks retrieved for it
+// and the chunks a good answer relied on.
+//
+// Usage: node scripts/export-feedback.js [--output evaluation_set.jsonl] [--rating up|down]
+//
+// The lines can be fed straight to `npm run calibrate:grounding -- --questions`.
+
+import fs from "fs-extra";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  getFeedbackService,
+  RATINGS,
+} from "../src/services/FeedbackService.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const getArg = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : fallback;
+};
+
+const run = async () => {
+  const output = path.resolve(
+    getArg(
+      "output",
+      path.join(__dirname, "../data/feedback/evaluation_set.jsonl")
+    )
+  );
+  const rating = getArg("rating", undefined);
+  if (rating && !RATINGS.includes(rating)) {
+    console.error(`❌ --rating must be one of ${RATINGS.join(", ")}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const feedbackService = getFeedbackService();
+  const examples = await feedbackService.exportEvaluationSet({ rating });
+  if (examples.length === 0) {
+    console.log("📭 No rated answers to export yet.");
+    return;
+  }
+
+  await fs.ensureDir(path.dirname(output));
+  await fs.writeFile(
+    output,
+    examples.map((example) => JSON.stringify(example)).join("\n") + "\n"
+  );
+
+  const good = examples.filter((example) => example.label === "good").length;
+  console.log(`📤 Exported ${examples.length} rated answers to ${output}`);
+  console.log(`   👍 Good: ${good}`);
+  console.log(`   👎 Bad: ${examples.length - good}`);
+  console.log(
+    `   💬 With comments: ${examples.filter((example) => example.comment).length}`
+  );
+};
+
+run().catch((error) => {
+  console.error("❌ Export failed:", error.message);
+  process.exitCode = 1;
+});
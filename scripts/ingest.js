@@ -2,20 +2,53 @@
 
 import fs from "fs-extra";
 import path from "path";
+import crypto from "crypto";
+import readline from "readline";
 import { fileURLToPath } from "url";
 import DocumentProcessingService from "../src/services/DocumentProcessingService.js";
-import OllamaService from "../src/services/OllamaService.js";
+import { createLLMProvider } from "../src/services/LLMProviderFactory.js";
+import EmbeddingQueue from "../src/services/EmbeddingQueue.js";
+import { getConfig } from "../src/config/index.js";
+import { matchesGlob } from "../src/utils/glob.js";
+import { collectionOf } from "../src/utils/collections.js";
+import { mineDefinitions } from "../src/utils/glossaryMining.js";
+import { getGlossaryService } from "../src/services/GlossaryService.js";
+import { acquireLock } from "../src/utils/lockFile.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// How long a single-file ingestion waits for another one, or a CLI run, to
+// finish writing the knowledge base
+const LOCK_WAIT_MS = 10 * 60 * 1000;
+
+// Knowledge bases written by older versions, or chunks without their
+// document line, have no total_chunks
+const chunkCount = (doc) => doc.total_chunks ?? doc.chunks?.length ?? 0;
+
 class DocumentIngestionService {
   constructor() {
     this.documentProcessor = new DocumentProcessingService();
-    this.ollamaService = new OllamaService();
+    this.llmProvider = createLLMProvider();
+    this.embeddingQueue = new EmbeddingQueue(this.llmProvider);
     this.inputDir = path.join(__dirname, "../data/documents");
     this.outputDir = path.join(__dirname, "../data/processed");
     this.outputFile = path.join(this.outputDir, "knowledge_base.jsonl");
+    this.summaryFile = path.join(this.outputDir, "ingestion_summary.json");
+    // Held from reading the knowledge base until the new one is written, so
+    // the CLI and upload ingestion in the app never overwrite each other
+    this.lockFile = path.join(this.outputDir, "knowledge_base.lock");
+    // Embeddings of the current run, so a crashed run can resume
+    this.checkpointFile = path.join(
+      this.outputDir,
+      "ingestion_checkpoint.jsonl"
+    );
+    this.checkpoint = null;
+    this.fullRebuild = process.argv.includes("--full");
+    // --reembed migrates the existing knowledge base to the configured
+    // embedding model instead of scanning the documents
+    this.reembedOnly = process.argv.includes("--reembed");
+    this.scanPatterns = getConfig().ingestion;
   }
 
   async init() {
@@ -26,65 +59,374 @@ class DocumentIngestionService {
     console.log("🚀 Document Ingestion Service Started");
     console.log(`📁 Input Directory: ${this.inputDir}`);
     console.log(`📊 Output File: ${this.outputFile}`);
+    console.log(
+      `🧠 Embedding model: ${this.llmProvider.embeddingModel} (${this.llmProvider.baseUrl})`
+    );
+    console.log(
+      `✂️  Chunking: ${this.documentProcessor.chunkSize} chars, ${this.documentProcessor.chunkOverlap} overlap`
+    );
+    const { concurrency, batchSize, maxRetries } = this.embeddingQueue;
+    console.log(
+      `⚡ Embedding: ${concurrency} parallel requests, batches of ${batchSize}, ${maxRetries} retries` +
+        (this.llmProvider.embeddingCache ? ", cached" : "")
+    );
+    console.log(
+      `🗂️  Scanning: ${this.scanPatterns.include.join(", ")}` +
+        ` (excluding ${this.scanPatterns.exclude.join(", ") || "nothing"})`
+    );
+    if (this.fullRebuild) {
+      console.log("♻️  Full rebuild requested (--full)");
+    }
   }
 
-  async checkOllamaConnection() {
-    console.log("🔍 Checking Ollama connection...");
+  async checkLLMConnection() {
+    const { name, baseUrl } = this.llmProvider;
+    console.log(`🔍 Checking ${name} connection...`);
 
-    const isAvailable = await this.ollamaService.isAvailable();
+    const isAvailable = await this.llmProvider.isAvailable();
     if (!isAvailable) {
       throw new Error(
-        "❌ Ollama is not available. Please ensure Ollama is running on localhost:11434"
+        `❌ LLM server (${name}) is not available. Please ensure it is running on ${baseUrl}`
       );
     }
 
-    const modelCheck = await this.ollamaService.checkModelsAvailable();
+    const { embeddingModel, llmModel } = this.llmProvider;
+    const modelCheck = await this.llmProvider.checkModelsAvailable();
     if (!modelCheck.available) {
       console.warn("⚠️  Required models not found:");
       if (!modelCheck.embeddingModel) {
-        console.warn("   - Missing embedding model: nomic-embed-text");
+        console.warn(`   - Missing embedding model: ${embeddingModel}`);
       }
       if (!modelCheck.llmModel) {
-        console.warn("   - Missing LLM model: llama3.1:8b");
+        console.warn(`   - Missing LLM model: ${llmModel}`);
+      }
+      if (name === "ollama") {
+        console.log(
+          `   Run: ollama pull ${embeddingModel} && ollama pull ${llmModel}`
+        );
       }
-      console.log(
-        "   Run: ollama pull nomic-embed-text && ollama pull llama3.1:8b"
-      );
       throw new Error("Required models not available");
     }
 
-    console.log("✅ Ollama connection established");
+    console.log(`✅ ${name} connection established`);
     console.log("✅ All required models are available");
   }
 
+  // Documents are named by their path relative to the input directory
+  // ("network/vpn.pdf"), so files with the same name in different folders
+  // stay apart; the folder is the document's collection
+  relativeName(filePath) {
+    return path.relative(this.inputDir, filePath).split(path.sep).join("/");
+  }
+
   async findDocuments() {
     console.log("🔍 Scanning for documents...");
 
-    const supportedExtensions = [".pdf", ".docx", ".txt"];
+    const { supportedExtensions } = this.documentProcessor;
+    const { include, exclude } = this.scanPatterns;
     const documents = [];
 
-    const files = await fs.readdir(this.inputDir);
+    const scan = async (directory) => {
+      const entries = await fs.readdir(directory, { withFileTypes: true });
 
-    for (const file of files) {
-      const ext = path.extname(file).toLowerCase();
-      if (supportedExtensions.includes(ext)) {
-        const filePath = path.join(this.inputDir, file);
-        const stats = await fs.stat(filePath);
+      for (const entry of entries) {
+        const filePath = path.join(directory, entry.name);
+        const name = this.relativeName(filePath);
 
+        if (entry.isDirectory()) {
+          // Skip excluded folders without descending into them
+          if (!matchesGlob(`${name}/`, exclude)) {
+            await scan(filePath);
+          }
+          continue;
+        }
+
+        const ext = path.extname(entry.name).toLowerCase();
+        if (
+          !entry.isFile() ||
+          !supportedExtensions.includes(ext) ||
+          !matchesGlob(name, include) ||
+          matchesGlob(name, exclude)
+        ) {
+          continue;
+        }
+
+        const stats = await fs.stat(filePath);
         documents.push({
-          filename: file,
+          filename: name,
           path: filePath,
+          collection: collectionOf(name),
           size: stats.size,
-          modified: stats.mtime,
+          modified: stats.mtime.toISOString(),
         });
       }
-    }
+    };
 
-    console.log(`📄 Found ${documents.length} documents to process`);
+    await scan(this.inputDir);
+    documents.sort((a, b) => a.filename.localeCompare(b.filename));
+
+    const collections = new Set(documents.map((doc) => doc.collection));
+    console.log(
+      `📄 Found ${documents.length} documents to process in ${collections.size} collection(s)`
+    );
     return documents;
   }
 
-  async processDocument(doc) {
+  async computeFileHash(filePath) {
+    const buffer = await fs.readFile(filePath);
+    return crypto.createHash("sha256").update(buffer).digest("hex");
+  }
+
+  async loadExistingKnowledgeBase() {
+    const existing = new Map();
+
+    if (this.fullRebuild || !(await fs.pathExists(this.outputFile))) {
+      return existing;
+    }
+
+    const rl = readline.createInterface({
+      input: fs.createReadStream(this.outputFile),
+      crlfDelay: Infinity,
+    });
+
+    for await (const line of rl) {
+      if (!line.trim()) continue;
+
+      try {
+        const { type, ...record } = JSON.parse(line);
+
+        if (type === "document") {
+          const entry = existing.get(record.document_name);
+          existing.set(record.document_name, {
+            ...record,
+            chunks: entry ? entry.chunks : [],
+          });
+        } else if (type === "chunk") {
+          if (!existing.has(record.document_name)) {
+            existing.set(record.document_name, {
+              document_name: record.document_name,
+              chunks: [],
+            });
+          }
+          existing.get(record.document_name).chunks.push(record);
+        }
+      } catch (error) {
+        console.error(
+          "Error parsing existing knowledge base line:",
+          error.message
+        );
+      }
+    }
+
+    console.log(`📚 Existing knowledge base: ${existing.size} documents`);
+    return existing;
+  }
+
+  // Decide which documents need (re-)embedding. A document is unchanged when
+  // its mtime and size match the stored record, or when its content hash
+  // matches even though the mtime moved (e.g. after a copy or checkout), and
+  // it was chunked with the current chunking settings.
+  async planIngestion(documents, existing) {
+    const plan = {
+      added: [],
+      updated: [],
+      skipped: [],
+      removed: [],
+    };
+
+    const found = new Set();
+    const { chunkingSignature } = this.documentProcessor;
+
+    for (const doc of documents) {
+      found.add(doc.filename);
+      const previous = existing.get(doc.filename);
+
+      // Chunked with other settings, or chunks failed to embed last time:
+      // process it again even though the file is the same
+      if (
+        previous &&
+        (previous.chunking !== chunkingSignature ||
+          previous.failed_chunks?.length > 0)
+      ) {
+        doc.contentHash = await this.computeFileHash(doc.path);
+        plan.updated.push(doc);
+        continue;
+      }
+
+      if (
+        previous &&
+        previous.file_mtime === doc.modified &&
+        previous.file_size === doc.size
+      ) {
+        doc.contentHash = previous.content_hash;
+        plan.skipped.push(doc);
+        continue;
+      }
+
+      doc.contentHash = await this.computeFileHash(doc.path);
+
+      if (!previous) {
+        plan.added.push(doc);
+      } else if (previous.content_hash === doc.contentHash) {
+        // Content is identical, only refresh the stored file stats
+        previous.file_mtime = doc.modified;
+        previous.file_size = doc.size;
+        doc.statsRefreshed = true;
+        plan.skipped.push(doc);
+      } else {
+        plan.updated.push(doc);
+      }
+    }
+
+    for (const name of existing.keys()) {
+      if (!found.has(name)) {
+        plan.removed.push(name);
+      }
+    }
+
+    console.log(
+      `🧮 Plan: ${plan.added.length} new, ${plan.updated.length} modified, ` +
+        `${plan.removed.length} removed, ${plan.skipped.length} unchanged`
+    );
+
+    return plan;
+  }
+
+  // The checkpoint is a JSONL file with one line per embedded chunk, written
+  // as embeddings arrive and removed once the knowledge base is written.
+  // Entries only count for the same file content, chunking and model.
+  async openCheckpoint() {
+    const entries = new Map();
+
+    if (await fs.pathExists(this.checkpointFile)) {
+      const rl = readline.createInterface({
+        input: fs.createReadStream(this.checkpointFile),
+        crlfDelay: Infinity,
+      });
+
+      for await (const line of rl) {
+        try {
+          const entry = JSON.parse(line);
+          entries.set(`${entry.document_name}#${entry.chunk_index}`, entry);
+        } catch (error) {
+          // The last line of a crashed run may be cut off
+        }
+      }
+
+      if (entries.size > 0) {
+        console.log(
+          `♻️  Resuming from checkpoint: ${entries.size} embedded chunks`
+        );
+      }
+    }
+
+    this.checkpoint = {
+      entries,
+      stream: fs.createWriteStream(this.checkpointFile, { flags: "a" }),
+    };
+  }
+
+  async closeCheckpoint({ remove = false } = {}) {
+    if (this.checkpoint) {
+      const { stream } = this.checkpoint;
+      await new Promise((resolve) => stream.end(resolve));
+      this.checkpoint = null;
+    }
+
+    if (remove) {
+      await fs.remove(this.checkpointFile);
+    }
+  }
+
+  checkpointKey(doc) {
+    return {
+      document_name: doc.filename,
+      content_hash: doc.contentHash,
+      chunking: doc.chunking || this.documentProcessor.chunkingSignature,
+      embedding_model: this.llmProvider.embeddingModelId,
+    };
+  }
+
+  // Embeddings of `chunks` from the checkpoint, by chunk index
+  checkpointedEmbeddings(doc, chunks) {
+    const embeddings = new Map();
+    if (!this.checkpoint) return embeddings;
+
+    const key = this.checkpointKey(doc);
+    for (const chunk of chunks) {
+      const entry = this.checkpoint.entries.get(
+        `${doc.filename}#${chunk.chunkIndex}`
+      );
+      if (
+        entry &&
+        entry.content_hash === key.content_hash &&
+        entry.chunking === key.chunking &&
+        entry.embedding_model === key.embedding_model
+      ) {
+        embeddings.set(chunk.chunkIndex, entry.embedding);
+      }
+    }
+    return embeddings;
+  }
+
+  saveCheckpoint(doc, chunk, embedding) {
+    if (!this.checkpoint) return;
+
+    this.checkpoint.stream.write(
+      JSON.stringify({
+        ...this.checkpointKey(doc),
+        chunk_index: chunk.chunkIndex,
+        embedding,
+      }) + "\n"
+    );
+  }
+
+  // Embed chunks through the queue (parallel, batched, retried), reusing
+  // checkpointed embeddings. Resolves with one { embedding } or { error }
+  // per chunk.
+  async embedChunks(doc, chunks) {
+    const results = new Array(chunks.length);
+    const reused = this.checkpointedEmbeddings(doc, chunks);
+    const pending = [];
+
+    chunks.forEach((chunk, i) => {
+      if (reused.has(chunk.chunkIndex)) {
+        results[i] = { embedding: reused.get(chunk.chunkIndex) };
+      } else {
+        pending.push(i);
+      }
+    });
+    if (reused.size > 0) {
+      console.log(`    ♻️  ${reused.size} chunks restored from checkpoint`);
+    }
+
+    let done = reused.size;
+    // The embedded text is prefixed with the section's heading path
+    await this.embeddingQueue.embedAll(
+      pending.map((i) => chunks[i].embeddingText),
+      (index, result) => {
+        const i = pending[index];
+        results[i] = result;
+
+        if (result.embedding) {
+          this.saveCheckpoint(doc, chunks[i], result.embedding);
+        } else {
+          console.error(
+            `    ❌ Error embedding chunk ${i + 1}: ${result.error}`
+          );
+        }
+
+        done++;
+        if (done % 5 === 0 || done === chunks.length) {
+          console.log(`    Processed ${done}/${chunks.length} chunks`);
+        }
+      }
+    );
+
+    return results;
+  }
+
+  async processDocument(doc, { throwOnError = false } = {}) {
     console.log(`\n📝 Processing: ${doc.filename}`);
 
     try {
@@ -109,36 +451,44 @@ class DocumentIngestionService {
       );
       console.log(`  📦 Created ${chunks.length} chunks`);
 
-      // Generate embeddings for each chunk
       console.log("  🔢 Generating embeddings...");
+      const embeddings = await this.embedChunks(doc, chunks);
       const processedChunks = [];
+      const failedChunks = [];
 
-      for (let i = 0; i < chunks.length; i++) {
-        const chunk = chunks[i];
+      chunks.forEach((chunk, i) => {
+        const { embedding, error } = embeddings[i];
 
-        try {
-          const embedding = await this.ollamaService.getEmbedding(chunk.text);
-
-          processedChunks.push({
-            id: chunk.id,
-            text: chunk.text,
-            document_name: doc.filename,
+        if (!embedding) {
+          failedChunks.push({
             chunk_index: chunk.chunkIndex,
-            word_count: chunk.wordCount,
-            embedding: embedding,
-            processed_at: new Date().toISOString(),
+            section: chunk.section || null,
+            error,
           });
-
-          // Progress indicator
-          if ((i + 1) % 5 === 0 || i === chunks.length - 1) {
-            console.log(`    Processed ${i + 1}/${chunks.length} chunks`);
-          }
-        } catch (error) {
-          console.error(
-            `    ❌ Error processing chunk ${i + 1}:`,
-            error.message
-          );
+          return;
         }
+
+        processedChunks.push({
+          id: chunk.id,
+          text: chunk.text,
+          document_name: doc.filename,
+          chunk_index: chunk.chunkIndex,
+          word_count: chunk.wordCount,
+          heading_path: chunk.headingPath,
+          section_number: chunk.sectionNumber,
+          pages: chunk.pages,
+          block_types: chunk.blockTypes,
+          embedding: embedding,
+          processed_at: new Date().toISOString(),
+        });
+      });
+
+      // Nothing embedded (e.g. the server went away): keep the previous
+      // version rather than replacing it with an empty document
+      if (processedChunks.length === 0) {
+        throw new Error(
+          `No chunk could be embedded (${failedChunks[0]?.error || "no chunks"})`
+        );
       }
 
       // Extract metadata
@@ -146,133 +496,497 @@ class DocumentIngestionService {
         text,
         doc.filename
       );
+      // Definitions offered for approval into the glossary
+      const glossaryCandidates = mineDefinitions(text);
+      if (glossaryCandidates.length > 0) {
+        console.log(
+          `  📖 Found ${glossaryCandidates.length} glossary definitions`
+        );
+      }
 
       console.log(
         `  ✅ Successfully processed: ${processedChunks.length}/${chunks.length} chunks`
       );
+      if (failedChunks.length > 0) {
+        console.warn(
+          `  ⚠️  ${failedChunks.length} chunks failed to embed and will be retried on the next run`
+        );
+      }
 
       return {
         document_name: doc.filename,
         document_path: doc.path,
+        collection: doc.collection,
+        content_hash: doc.contentHash,
+        file_mtime: doc.modified,
+        file_size: doc.size,
+        chunking: this.documentProcessor.chunkingSignature,
         processed_at: new Date().toISOString(),
         total_chunks: processedChunks.length,
+        ...this.embeddingFields(
+          processedChunks.map((chunk) => chunk.embedding)
+        ),
+        ...(failedChunks.length > 0 ? { failed_chunks: failedChunks } : {}),
         metadata: metadata,
+        glossary_candidates: glossaryCandidates,
         chunks: processedChunks,
       };
     } catch (error) {
       console.error(`  ❌ Error processing ${doc.filename}:`, error.message);
+      if (throwOnError) throw error;
       return null;
     }
   }
 
-  async writeToJSONL(processedDocuments) {
+  // Recorded on each document so the app can tell which model produced its
+  // vectors; `normalized` is whether the provider returned unit vectors
+  embeddingFields(embeddings) {
+    const isUnitVector = (vector) => {
+      let norm = 0;
+      for (const value of vector) norm += value * value;
+      return Math.abs(Math.sqrt(norm) - 1) < 1e-3;
+    };
+
+    return {
+      embedding_model: this.llmProvider.embeddingModelId,
+      embedding_dimension: embeddings[0]?.length || 0,
+      embedding_normalized: embeddings.every(isUnitVector),
+    };
+  }
+
+  // One knowledge base holds vectors of one model only: searching them with
+  // another model's query embeddings gives meaningless results
+  assertEmbeddingModel(existing) {
+    const expected = this.llmProvider.embeddingModelId;
+    const others = new Set(
+      Array.from(existing.values())
+        .map((doc) => doc.embedding_model)
+        .filter((model) => model && model !== expected)
+    );
+
+    if (others.size > 0) {
+      throw new Error(
+        `The knowledge base was embedded with ${[...others].join(", ")}, ` +
+          `but the configured embedding model is ${expected}. ` +
+          "Run 'npm run reembed' to migrate it, or 'npm run ingest:full' to rebuild it."
+      );
+    }
+  }
+
+  // Re-embed the chunks of the existing knowledge base with the configured
+  // model, without extracting or chunking the documents again. The migrated
+  // knowledge base only replaces the old one (kept as a .bak file) once every
+  // chunk is embedded; an interrupted or failed run resumes from the
+  // checkpoint.
+  async reembed() {
+    if (!(await fs.pathExists(this.outputFile))) {
+      throw new Error(
+        "No knowledge base to re-embed. Run 'npm run ingest' first."
+      );
+    }
+
+    const existing = await this.loadExistingKnowledgeBase();
+    const documents = Array.from(existing.values());
+    const target = this.llmProvider.embeddingModelId;
+    const pending = documents.filter((doc) => doc.embedding_model !== target);
+
+    if (pending.length === 0) {
+      console.log(`✅ The knowledge base already uses ${target}`);
+      return;
+    }
+
     console.log(
-      `\n💾 Writing ${processedDocuments.length} documents to JSONL...`
+      `🔁 Re-embedding ${pending.length} of ${documents.length} documents with ${target}`
     );
+    await this.checkLLMConnection();
+    await this.openCheckpoint();
+
+    const failed = [];
+    for (const doc of pending) {
+      console.log(`\n📝 Re-embedding: ${doc.document_name}`);
+
+      // The same text ingestion embedded: heading path, then chunk text
+      const chunks = doc.chunks.map((chunk) => {
+        const section = chunk.heading_path?.join(" > ") || null;
+        return {
+          chunkIndex: chunk.chunk_index,
+          section,
+          embeddingText: section ? `${section}\n\n${chunk.text}` : chunk.text,
+        };
+      });
+      const results = await this.embedChunks(
+        {
+          filename: doc.document_name,
+          contentHash: doc.content_hash,
+          chunking: doc.chunking,
+        },
+        chunks
+      );
+
+      const errors = results.filter((result) => !result.embedding);
+      if (errors.length > 0) {
+        console.error(
+          `  ❌ ${errors.length}/${chunks.length} chunks failed: ${errors[0].error}`
+        );
+        failed.push(doc.document_name);
+        continue;
+      }
+
+      doc.chunks.forEach((chunk, i) => {
+        chunk.embedding = results[i].embedding;
+      });
+      Object.assign(
+        doc,
+        this.embeddingFields(results.map((result) => result.embedding)),
+        { reembedded_at: new Date().toISOString() }
+      );
+      console.log(`  ✅ Re-embedded ${chunks.length} chunks`);
+    }
 
-    // Clear existing file
-    if (await fs.pathExists(this.outputFile)) {
-      await fs.remove(this.outputFile);
+    if (failed.length > 0) {
+      await this.closeCheckpoint();
+      throw new Error(
+        `${failed.length} documents could not be re-embedded (${failed.join(", ")}). ` +
+          "The knowledge base is unchanged; run 'npm run reembed' again to resume."
+      );
     }
 
+    const backupFile = `${this.outputFile}.bak`;
+    await fs.copy(this.outputFile, backupFile);
+    console.log(`\n🗄️  Previous knowledge base kept as ${backupFile}`);
+
+    await this.writeToJSONL(documents);
+    await this.closeCheckpoint({ remove: true });
+
+    const migrated = new Set(pending.map((doc) => doc.document_name));
+    await this.generateSummaryStats(documents, {
+      added: [],
+      updated: [...migrated],
+      removed: [],
+      skipped: documents
+        .map((doc) => doc.document_name)
+        .filter((name) => !migrated.has(name)),
+      failed: [],
+    });
+
+    console.log(`\n🎉 Knowledge base migrated to ${target}`);
+  }
+
+  // Ingest a single file into the existing knowledge base, e.g. after an
+  // upload through the API. The file must already live in the input directory
+  // so later CLI runs keep treating it as a source document.
+  async ingestFile(filePath) {
+    await fs.ensureDir(this.outputDir);
+
+    const stats = await fs.stat(filePath);
+    const filename = this.relativeName(filePath);
+    const doc = {
+      filename,
+      path: filePath,
+      collection: collectionOf(filename),
+      size: stats.size,
+      modified: stats.mtime.toISOString(),
+      contentHash: await this.computeFileHash(filePath),
+    };
+
+    const releaseLock = await acquireLock(this.lockFile, {
+      waitMs: LOCK_WAIT_MS,
+    });
+    try {
+      return await this.ingestLockedFile(doc);
+    } finally {
+      await releaseLock();
+    }
+  }
+
+  async ingestLockedFile(doc) {
+    const existing = await this.loadExistingKnowledgeBase();
+    this.assertEmbeddingModel(existing);
+    const previous = existing.get(doc.filename);
+
+    if (
+      previous &&
+      previous.content_hash === doc.contentHash &&
+      previous.chunking === this.documentProcessor.chunkingSignature &&
+      !previous.failed_chunks?.length
+    ) {
+      console.log(`⏭️  ${doc.filename} is unchanged, skipping`);
+      return {
+        documentName: doc.filename,
+        status: "unchanged",
+        chunks: chunkCount(previous),
+      };
+    }
+
+    const result = await this.processDocument(doc, { throwOnError: true });
+    existing.set(doc.filename, result);
+
+    const knowledgeBase = Array.from(existing.values());
+    await this.writeToJSONL(knowledgeBase);
+    await this.generateSummaryStats(
+      knowledgeBase,
+      await this.mergeSummaryChanges(knowledgeBase, {
+        added: previous ? [] : [doc.filename],
+        updated: previous ? [doc.filename] : [],
+        removed: [],
+        failed: [],
+      })
+    );
+
+    return {
+      documentName: doc.filename,
+      status: previous ? "updated" : "added",
+      chunks: result.total_chunks,
+    };
+  }
+
+  async writeToJSONL(documents) {
+    console.log(`\n💾 Writing ${documents.length} documents to JSONL...`);
+
+    // Write to a temporary file first so readers never see a half-written
+    // knowledge base, then swap it into place
+    const tempFile = `${this.outputFile}.tmp`;
+    const stream = fs.createWriteStream(tempFile);
+
     let totalChunks = 0;
 
-    for (const doc of processedDocuments) {
+    for (const doc of documents) {
       if (!doc) continue;
 
-      // Write document metadata
-      const docMetadata = {
-        type: "document",
-        document_name: doc.document_name,
-        document_path: doc.document_path,
-        processed_at: doc.processed_at,
-        total_chunks: doc.total_chunks,
-        metadata: doc.metadata,
-      };
+      const { chunks, ...docFields } = doc;
 
-      await fs.appendFile(this.outputFile, JSON.stringify(docMetadata) + "\n");
+      // Write document metadata
+      stream.write(JSON.stringify({ type: "document", ...docFields }) + "\n");
 
       // Write each chunk
-      for (const chunk of doc.chunks) {
-        const chunkData = {
-          type: "chunk",
-          ...chunk,
-        };
-        await fs.appendFile(this.outputFile, JSON.stringify(chunkData) + "\n");
+      for (const chunk of chunks) {
+        stream.write(JSON.stringify({ type: "chunk", ...chunk }) + "\n");
         totalChunks++;
       }
     }
 
+    await new Promise((resolve, reject) => {
+      stream.on("error", reject);
+      stream.end(resolve);
+    });
+
+    await fs.move(tempFile, this.outputFile, { overwrite: true });
+
     console.log(`✅ Successfully wrote knowledge base to JSONL`);
-    console.log(`   📄 Documents: ${processedDocuments.length}`);
+    console.log(`   📄 Documents: ${documents.length}`);
     console.log(`   📦 Total chunks: ${totalChunks}`);
     console.log(`   💾 Output file: ${this.outputFile}`);
   }
 
-  async generateSummaryStats(processedDocuments) {
-    const validDocs = processedDocuments.filter((doc) => doc !== null);
-    const totalChunks = validDocs.reduce(
-      (sum, doc) => sum + doc.total_chunks,
+  // Fold the changes of a single-file ingestion into those recorded by the
+  // previous run, so the summary still lists everything changed since the
+  // last full scan; documents not changed since then count as skipped
+  async mergeSummaryChanges(documents, changes) {
+    const previous = (await fs.pathExists(this.summaryFile))
+      ? (await fs.readJson(this.summaryFile).catch(() => null))
+          ?.changed_documents
+      : null;
+    const touched = new Set(Object.values(changes).flat());
+
+    const merged = {};
+    for (const key of ["added", "updated", "removed", "failed"]) {
+      merged[key] = [
+        ...(previous?.[key] || []).filter((name) => !touched.has(name)),
+        ...changes[key],
+      ];
+    }
+    const changed = new Set([
+      ...merged.added,
+      ...merged.updated,
+      ...merged.failed,
+    ]);
+    merged.skipped = documents
+      .map((doc) => doc.document_name)
+      .filter((name) => !changed.has(name));
+
+    return merged;
+  }
+
+  async generateSummaryStats(documents, changes) {
+    const totalChunks = documents.reduce(
+      (sum, doc) => sum + chunkCount(doc),
       0
     );
-    const totalWords = validDocs.reduce(
+    const totalWords = documents.reduce(
       (sum, doc) => sum + (doc.metadata?.wordCount || 0),
       0
     );
 
+    // Chunks missing from the knowledge base because their embedding failed;
+    // their documents are processed again on the next run
+    const failedChunks = documents.flatMap((doc) =>
+      (doc.failed_chunks || []).map((chunk) => ({
+        document: doc.document_name,
+        ...chunk,
+      }))
+    );
+
+    // Mined definitions not yet approved into the glossary or rejected
+    const pendingCandidates = getGlossaryService().getCandidates(
+      documents.flatMap((doc) =>
+        (doc.glossary_candidates || []).map((definition) => ({
+          ...definition,
+          documentName: doc.document_name,
+        }))
+      ),
+      { status: "pending" }
+    );
+
+    // Cache entries written this run belong in the stats and on disk
+    await this.llmProvider.embeddingCache?.flush();
+
     const summary = {
       ingestion_completed_at: new Date().toISOString(),
-      total_documents: validDocs.length,
-      failed_documents: processedDocuments.length - validDocs.length,
+      total_documents: documents.length,
+      failed_documents: changes.failed.length,
+      failed_chunks: failedChunks.length,
       total_chunks: totalChunks,
       total_words: totalWords,
-      documents: validDocs.map((doc) => ({
+      changes: {
+        added: changes.added.length,
+        updated: changes.updated.length,
+        removed: changes.removed.length,
+        skipped: changes.skipped.length,
+        failed: changes.failed.length,
+      },
+      changed_documents: {
+        added: changes.added,
+        updated: changes.updated,
+        removed: changes.removed,
+        failed: changes.failed,
+      },
+      failed_chunk_details: failedChunks,
+      glossary_candidates: pendingCandidates.length,
+      embedding_requests: { ...this.embeddingQueue.stats },
+      embedding_cache: this.llmProvider.embeddingCache?.getStats() || null,
+      documents: documents.map((doc) => ({
         name: doc.document_name,
-        chunks: doc.total_chunks,
+        collection: doc.collection ?? collectionOf(doc.document_name),
+        chunks: chunkCount(doc),
         words: doc.metadata?.wordCount || 0,
         type: doc.metadata?.documentType || "general",
       })),
     };
 
-    const summaryFile = path.join(this.outputDir, "ingestion_summary.json");
-    await fs.writeJson(summaryFile, summary, { spaces: 2 });
+    await fs.writeJson(this.summaryFile, summary, { spaces: 2 });
 
     console.log("\n📊 Ingestion Summary:");
     console.log(`   📄 Total Documents: ${summary.total_documents}`);
+    console.log(`   ➕ Added: ${summary.changes.added}`);
+    console.log(`   🔁 Updated: ${summary.changes.updated}`);
+    console.log(`   🗑️  Removed: ${summary.changes.removed}`);
+    console.log(`   ⏭️  Skipped (unchanged): ${summary.changes.skipped}`);
     console.log(`   ❌ Failed Documents: ${summary.failed_documents}`);
+    if (summary.failed_chunks > 0) {
+      console.log(
+        `   ⚠️  Failed Chunks: ${summary.failed_chunks} (retried on the next run)`
+      );
+    }
     console.log(`   📦 Total Chunks: ${summary.total_chunks}`);
+    if (typeof summary.embedding_cache?.hitRate === "number") {
+      const { hits, misses, hitRate } = summary.embedding_cache;
+      console.log(
+        `   🗃️  Embedding Cache: ${hits} hits, ${misses} misses (${Math.round(hitRate * 100)}% hit rate)`
+      );
+    }
     console.log(`   📝 Total Words: ${summary.total_words.toLocaleString()}`);
-    console.log(`   💾 Summary saved to: ${summaryFile}`);
+    if (summary.glossary_candidates > 0) {
+      console.log(
+        `   📖 Glossary Suggestions: ${summary.glossary_candidates} pending approval`
+      );
+    }
+    console.log(`   💾 Summary saved to: ${this.summaryFile}`);
   }
 
   async run() {
+    let releaseLock = null;
+
     try {
       await this.init();
-      await this.checkOllamaConnection();
+      releaseLock = await acquireLock(this.lockFile);
+
+      if (this.reembedOnly) {
+        await this.reembed();
+        return;
+      }
 
       const documents = await this.findDocuments();
+      const existing = await this.loadExistingKnowledgeBase();
+      this.assertEmbeddingModel(existing);
 
-      if (documents.length === 0) {
+      if (documents.length === 0 && existing.size === 0) {
         console.log("📭 No documents found to process.");
         console.log(`   Place PDF, DOCX, or TXT files in: ${this.inputDir}`);
         return;
       }
 
-      const processedDocuments = [];
+      const plan = await this.planIngestion(documents, existing);
+      const toProcess = [...plan.added, ...plan.updated];
 
-      for (const doc of documents) {
+      if (toProcess.length > 0) {
+        await this.checkLLMConnection();
+        await this.openCheckpoint();
+      }
+
+      const changes = {
+        added: [],
+        updated: [],
+        removed: plan.removed,
+        skipped: plan.skipped.map((doc) => doc.filename),
+        failed: [],
+      };
+
+      for (const doc of toProcess) {
         const result = await this.processDocument(doc);
-        processedDocuments.push(result);
+        const isUpdate = existing.has(doc.filename);
+
+        if (!result) {
+          // Keep serving the previous version of a modified document
+          changes.failed.push(doc.filename);
+          continue;
+        }
+
+        existing.set(doc.filename, result);
+        (isUpdate ? changes.updated : changes.added).push(doc.filename);
+      }
+
+      for (const name of plan.removed) {
+        existing.delete(name);
+      }
+
+      const hasChanges =
+        changes.added.length > 0 ||
+        changes.updated.length > 0 ||
+        changes.removed.length > 0 ||
+        plan.skipped.some((doc) => doc.statsRefreshed) ||
+        !(await fs.pathExists(this.outputFile));
+
+      const knowledgeBase = Array.from(existing.values());
+
+      if (hasChanges) {
+        await this.writeToJSONL(knowledgeBase);
+      } else {
+        console.log("\n✅ Knowledge base is already up to date");
       }
+      // Everything embedded is in the knowledge base now
+      await this.closeCheckpoint({ remove: true });
 
-      await this.writeToJSONL(processedDocuments);
-      await this.generateSummaryStats(processedDocuments);
+      await this.generateSummaryStats(knowledgeBase, changes);
 
       console.log("\n🎉 Document ingestion completed successfully!");
       console.log("   You can now start the user app with: npm run app");
     } catch (error) {
       console.error("\n❌ Ingestion failed:", error.message);
-      process.exit(1);
+      // Flush what was embedded so far, so the next run resumes from it
+      await this.closeCheckpoint();
+      process.exitCode = 1;
+    } finally {
+      await releaseLock?.();
     }
   }
 }
@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+
+// Local stand-in for an LLM server, speaking both the Ollama API and the
+// OpenAI-compatible API, for trying the app and the providers without a GPU
+// or real models. Embeddings are hashed bags of words, so texts that share
+// words land close together and retrieval still behaves sensibly.
+//
+//   npm run mock:llm -- --port 11434 --delay 20
+//
+// Then point the app at it, e.g. OLLAMA_URL=http://localhost:11434 or
+// LLM_PROVIDER=openai OPENAI_BASE_URL=http://localhost:11434/v1, and ingest
+// with it as well: mock embeddings are not comparable with real ones.
+//
+// --fail-rate 0.2 makes that share of embedding requests fail with 503, to
+// watch the ingestion retries at work. Like Ollama, the server answers 404
+// for models it does not have; --models adds names to its list.
+//
+// The tests start it in-process with createMockLLMServer().
+
+import express from "express";
+import crypto from "crypto";
+
+const DEFAULT_MODELS = ["nomic-embed-text:latest", "llama3.1:8b"];
+
+const embed = (text, dimension) => {
+  const vector = new Array(dimension).fill(0);
+  const words = (text || "").toLowerCase().match(/[a-z0-9]+/g) || [];
+
+  for (const word of words) {
+    const hash = crypto.createHash("md5").update(word).digest();
+    vector[hash.readUInt32LE(0) % dimension] += hash[4] & 1 ? 1 : -1;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return vector.map((value) => (norm > 0 ? value / norm : 0));
+};
+
+// Share of the question's words found in the passage, for relevance ratings
+// and reranking
+const wordOverlap = (question, passage) => {
+  const words = (text) => new Set(text.toLowerCase().match(/[a-z0-9]+/g));
+  const questionWords = [...words(question || "")].filter(
+    (word) => word.length > 2
+  );
+  const passageWords = words(passage || "");
+  if (questionWords.length === 0) return 0;
+  return (
+    questionWords.filter((word) => passageWords.has(word)).length /
+    questionWords.length
+  );
+};
+
+// Echo the follow-up for query rewrites and rate relevance prompts by word
+// overlap, otherwise give a canned answer that names the question and quotes
+// and cites every numbered context passage, plus a claim with a source that
+// does not exist so citation and grounding checks can be seen at work
+const complete = (prompt) => {
+  const followUp = prompt.match(/Follow-up question: (.*)\n/);
+  if (followUp && prompt.trimEnd().endsWith("Standalone question:")) {
+    return followUp[1];
+  }
+
+  const rating = prompt.match(/Question: (.*)\n\nPassage:\n([\s\S]*)\n\n/);
+  if (rating && prompt.trimEnd().endsWith("Relevance (0-10):")) {
+    return String(Math.round(wordOverlap(rating[1], rating[2]) * 10));
+  }
+
+  const question = prompt.match(/User question: (.*)\n/);
+  const sources = [
+    ...prompt.matchAll(/^\[(\d+)\] Source: .*\n(?:Section: .*\n)?(.*)$/gm),
+  ];
+  const lines = sources.map(([, number, text]) => {
+    const sentence = text.split(/(?<=[.!?])\s/)[0].replace(/[.!?]$/, "");
+    return `- ${sentence.slice(0, 200)} [${number}].`;
+  });
+  if (sources.length > 0) {
+    lines.push(
+      `- Reboot the core switch on port 9999 to apply it [${sources.length + 1}].`
+    );
+  }
+
+  return `## Mock Answer\n\nThis is a mock response to **${
+    question ? question[1] : "your prompt"
+  }** based on ${sources.length} context passage(s).\n\n${lines.join("\n")}`;
+};
+
+const streamTokens = async (text, res, write, tokenDelayMs) => {
+  const tokens = text.match(/\S+\s*/g) || [];
+  let closed = false;
+  res.on("close", () => {
+    closed = true;
+  });
+
+  for (const token of tokens) {
+    if (closed) return false;
+    write(token);
+    await new Promise((resolve) => setTimeout(resolve, tokenDelayMs));
+  }
+  return true;
+};
+
+// The express app; call listen() on it. Options: tokenDelayMs between
+// streamed tokens, embedding dimension, failRate of embedding requests, the
+// models it serves and batchEmbedding: false to leave out /api/embed, as
+// Ollama before 0.2 did.
+export const createMockLLMServer = ({
+  tokenDelayMs = 20,
+  dimension = 64,
+  failRate = 0,
+  models = DEFAULT_MODELS,
+  batchEmbedding = true,
+} = {}) => {
+  const app = express();
+  app.use(express.json({ limit: "10mb" }));
+
+  app.use(
+    ["/api/embed", "/api/embeddings", "/v1/embeddings"],
+    (req, res, next) => {
+      if (Math.random() < failRate) {
+        return res.status(503).json({ error: "mock: service unavailable" });
+      }
+      next();
+    }
+  );
+
+  // "llama3.1:8b" is also found as "llama3.1:8b:latest" and
+  // "nomic-embed-text:latest" as "nomic-embed-text"
+  const hasModel = (name) =>
+    models.some(
+      (model) =>
+        model === name ||
+        model === `${name}:latest` ||
+        `${model}:latest` === name
+    );
+  app.use(
+    ["/api/embed", "/api/embeddings", "/api/generate", "/v1"],
+    (req, res, next) => {
+      if (req.method !== "POST" || req.path === "/rerank") return next();
+      if (!hasModel(req.body.model)) {
+        return res
+          .status(404)
+          .json({ error: `mock: model "${req.body.model}" not found` });
+      }
+      next();
+    }
+  );
+
+  // Ollama API
+  app.get("/api/tags", (req, res) => {
+    res.json({ models: models.map((name) => ({ name })) });
+  });
+
+  // Like Ollama's, these vectors are not normalised; /api/embed's are
+  app.post("/api/embeddings", (req, res) => {
+    res.json({
+      embedding: embed(req.body.prompt, dimension).map((value) => value * 20),
+    });
+  });
+
+  if (batchEmbedding) {
+    app.post("/api/embed", (req, res) => {
+      const inputs = [].concat(req.body.input);
+      res.json({
+        model: req.body.model,
+        embeddings: inputs.map((input) => embed(input, dimension)),
+      });
+    });
+  }
+
+  app.post("/api/generate", async (req, res) => {
+    const text = complete(req.body.prompt || "");
+
+    if (req.body.stream === false) {
+      return res.json({ model: req.body.model, response: text, done: true });
+    }
+
+    res.setHeader("Content-Type", "application/x-ndjson");
+    const finished = await streamTokens(
+      text,
+      res,
+      (token) => {
+        res.write(JSON.stringify({ response: token, done: false }) + "\n");
+      },
+      tokenDelayMs
+    );
+    if (finished) {
+      res.end(JSON.stringify({ response: "", done: true }) + "\n");
+    }
+  });
+
+  // OpenAI-compatible API
+  app.get("/v1/models", (req, res) => {
+    res.json({
+      object: "list",
+      data: models.map((id) => ({ id, object: "model" })),
+    });
+  });
+
+  app.post("/v1/embeddings", (req, res) => {
+    const inputs = [].concat(req.body.input);
+    res.json({
+      object: "list",
+      data: inputs.map((input, index) => ({
+        object: "embedding",
+        index,
+        embedding: embed(input, dimension),
+      })),
+    });
+  });
+
+  app.post("/v1/rerank", (req, res) => {
+    const documents = req.body.documents || [];
+    res.json({
+      model: req.body.model,
+      results: documents
+        .map((document, index) => ({
+          index,
+          relevance_score: wordOverlap(req.body.query, document),
+        }))
+        .sort((a, b) => b.relevance_score - a.relevance_score),
+    });
+  });
+
+  app.post("/v1/chat/completions", async (req, res) => {
+    const messages = req.body.messages || [];
+    const text = complete(
+      messages.map((message) => message.content).join("\n")
+    );
+
+    if (!req.body.stream) {
+      return res.json({
+        object: "chat.completion",
+        model: req.body.model,
+        choices: [
+          {
+            index: 0,
+            message: { role: "assistant", content: text },
+            finish_reason: "stop",
+          },
+        ],
+      });
+    }
+
+    res.setHeader("Content-Type", "text/event-stream");
+    const finished = await streamTokens(
+      text,
+      res,
+      (token) => {
+        const chunk = { choices: [{ index: 0, delta: { content: token } }] };
+        res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+      },
+      tokenDelayMs
+    );
+    if (finished) {
+      res.end("data: [DONE]\n\n");
+    }
+  });
+
+  return app;
+};
+
+// Run the server if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const argValue = (name, fallback) => {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 ? process.argv[index + 1] : fallback;
+  };
+
+  const port = parseInt(argValue("port", "11434"), 10);
+  const extraModels = argValue("models", "");
+  createMockLLMServer({
+    tokenDelayMs: parseInt(argValue("delay", "20"), 10),
+    dimension: parseInt(argValue("dim", "64"), 10),
+    failRate: parseFloat(argValue("fail-rate", "0")),
+    models: [...DEFAULT_MODELS, ...extraModels.split(",").filter(Boolean)],
+  }).listen(port, () => {
+    console.log(`🧪 Mock LLM server listening on http://localhost:${port}`);
+    console.log("   Ollama API: /api/*   OpenAI-compatible API: /v1/*");
+  });
+}
+
+export default createMockLLMServer;
@@ -3,14 +3,19 @@ import cors from "cors";
 import path from "path";
 import { fileURLToPath } from "url";
 import chatRoutes from "./routes/chatRoutes.js";
+import documentRoutes from "./routes/documentRoutes.js";
+import adminRoutes from "./routes/adminRoutes.js";
+import glossaryRoutes from "./routes/glossaryRoutes.js";
 import { getKnowledgeBaseService } from "./services/KnowledgeBaseService.js";
 import { getChatService } from "./services/ChatService.js";
+import { getConfig, getPublicConfig } from "./config/index.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const config = getConfig();
+const PORT = config.server.port;
 
 // Middleware
 app.use(cors());
@@ -24,6 +29,9 @@ const chatService = getChatService();
 
 // Routes
 app.use("/api/chat", chatRoutes);
+app.use("/api/documents", documentRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/glossary", glossaryRoutes);
 
 // Serve frontend
 app.get("/", (req, res) => {
@@ -50,6 +58,7 @@ app.get("/api/status", async (req, res) => {
       data: {
         ...systemStatus,
         documents: documentStats,
+        config: getPublicConfig(),
       },
     });
   } catch (error) {
@@ -64,6 +73,10 @@ app.get("/api/status", async (req, res) => {
 async function startServer() {
   try {
     console.log("🚀 Starting TCS IT & Networking Assistant...");
+    const { llmProvider } = chatService;
+    console.log(
+      `🧠 LLM provider: ${llmProvider.name} (${llmProvider.llmModel} / ${llmProvider.embeddingModel} at ${llmProvider.baseUrl})`
+    );
 
     // Check if knowledge base is available
     const isKnowledgeAvailable =
@@ -97,6 +110,9 @@ async function startServer() {
       }
     }
 
+    // Pick up re-runs of ingestion without a restart
+    knowledgeBaseService.startWatching();
+
     app.listen(PORT, () => {
       console.log(`\n🌟 User App running on http://localhost:${PORT}`);
       console.log("📚 Ready to answer questions about your IT documentation");
@@ -110,6 +126,21 @@ async function startServer() {
   }
 }
 
+// Save buffered chat sessions before exiting
+const shutdown = async (signal) => {
+  console.log(`\n🛑 ${signal} received, shutting down...`);
+  try {
+    await chatService.close();
+  } catch (error) {
+    console.error("❌ Failed to save chat sessions:", error.message);
+    process.exitCode = 1;
+  }
+  process.exit();
+};
+
+process.once("SIGINT", () => shutdown("SIGINT"));
+process.once("SIGTERM", () => shutdown("SIGTERM"));
+
 startServer();
 
 export default app;
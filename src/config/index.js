@@ -0,0 +1,534 @@
+import fs from "fs-extra";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROJECT_ROOT = path.join(__dirname, "../..");
+
+// Built-in defaults. A JSON config file (config.json in the project root, or
+// the path in CONFIG_FILE) overrides these, and environment variables
+// override the file.
+const DEFAULTS = {
+  server: {
+    port: 3000,
+  },
+  llm: {
+    provider: "ollama", // ollama | openai
+    temperature: 0.1,
+    topP: 0.9,
+    embeddingTimeoutMs: 30000,
+    generationTimeoutMs: 60000,
+    // Tokens the model can attend to (prompt plus answer); Ollama is asked
+    // for a context of this size
+    contextWindow: 8192,
+  },
+  ollama: {
+    baseUrl: "http://localhost:11434",
+    embeddingModel: "nomic-embed-text",
+    llmModel: "llama3.1:8b",
+  },
+  // Any OpenAI-compatible server (llama.cpp server, vLLM, ...)
+  openai: {
+    baseUrl: "http://localhost:8080/v1",
+    apiKey: "",
+    embeddingModel: "nomic-embed-text",
+    llmModel: "llama3.1:8b",
+  },
+  chunking: {
+    chunkSize: 1000,
+    chunkOverlap: 200,
+  },
+  // Glob patterns, relative to data/documents, for the recursive document
+  // scan. Sub-folders become collections (see README).
+  ingestion: {
+    include: ["**/*"],
+    exclude: ["**/.*", "**/.*/**", "**/~$*"],
+  },
+  // Embedding requests during ingestion: parallel requests, texts per request
+  // (for providers with a batch endpoint) and retries with exponential
+  // backoff starting at retryDelayMs
+  embedding: {
+    concurrency: 4,
+    batchSize: 16,
+    maxRetries: 4,
+    retryDelayMs: 500,
+    requestsPerSecond: 0, // 0 = unlimited
+  },
+  // Embeddings of chunks and queries, reused across ingestion runs and
+  // repeated questions (data/cache/embeddings.jsonl)
+  embeddingCache: {
+    enabled: true,
+    maxEntries: 20000,
+  },
+  retrieval: {
+    mode: "hybrid", // hybrid | vector | lexical
+    maxContextChunks: 5,
+    contextThreshold: 0.1,
+    maxTokens: 2048,
+    historyTokenBudget: 1000,
+    // Most tokens of retrieved context per prompt, further capped by what
+    // llm.contextWindow leaves after the prompt, history and answer
+    contextTokenBudget: 3000,
+    // Add the neighbouring chunk when a procedure continues across a chunk
+    // boundary
+    expandNeighbours: true,
+    rewriteFollowUps: true,
+    vectorSearch: "ann", // ann | exact
+    annMinChunks: 1000,
+    // Documents embedded with another model than the configured one: "warn"
+    // leaves them out of vector search, "refuse" fails vector search
+    embeddingMismatch: "warn", // warn | refuse
+  },
+  // Optional second stage: over-fetch `candidates` chunks, rescore them
+  // against the query with a reranker model served by an OpenAI-compatible
+  // /rerank endpoint ("model") or relevance prompts to the LLM ("llm"), and
+  // keep the best maxContextChunks. Candidates sharing dedupThreshold of
+  // their text with a better one (chunk overlap) are dropped either way.
+  reranking: {
+    enabled: false,
+    method: "llm", // llm | model
+    model: "", // reranker model, for the "model" method
+    candidates: 20,
+    concurrency: 4, // parallel relevance prompts, for the "llm" method
+    dedupThreshold: 0.8, // 1 keeps near-duplicates
+  },
+  // Abbreviations, synonyms, product names and document keywords, editable
+  // through /api/glossary. Expansion only affects the retrieval query.
+  glossary: {
+    // Edited glossary, relative to the project root; until it exists the
+    // shipped data/glossary.default.json is used
+    file: "data/glossary/glossary.json",
+    expandQueries: true,
+  },
+  // Defaults for IT queries (/api/chat/query); clients may still override
+  itQuery: {
+    maxContextChunks: 7,
+    contextThreshold: 0.05,
+  },
+  grounding: {
+    verify: true, // Score answer claims against the retrieved chunks
+    claimThreshold: 0.5, // Share of a claim's terms that must be in a chunk
+    // Strict mode answers "not covered by the documentation" without calling
+    // the LLM when the best retrieval score is below minRetrievalScore.
+    // Calibrate the floor for your embedding model with
+    // `npm run calibrate:grounding`.
+    strict: false,
+    minRetrievalScore: 0.45,
+  },
+  sessions: {
+    store: "file", // file | memory
+    ttlDays: 30,
+    maxTurns: 200,
+  },
+  // Answer ratings from /api/chat/feedback, exported as an evaluation set
+  feedback: {
+    file: "data/feedback/feedback.jsonl", // relative to the project root
+  },
+};
+
+// Environment variable -> [config path, type]
+const ENV_VARS = {
+  PORT: ["server.port", "integer"],
+  LLM_PROVIDER: ["llm.provider", "string"],
+  LLM_CONTEXT_WINDOW: ["llm.contextWindow", "integer"],
+  OLLAMA_URL: ["ollama.baseUrl", "string"],
+  OLLAMA_EMBEDDING_MODEL: ["ollama.embeddingModel", "string"],
+  OLLAMA_LLM_MODEL: ["ollama.llmModel", "string"],
+  OPENAI_BASE_URL: ["openai.baseUrl", "string"],
+  OPENAI_API_KEY: ["openai.apiKey", "string"],
+  OPENAI_EMBEDDING_MODEL: ["openai.embeddingModel", "string"],
+  OPENAI_LLM_MODEL: ["openai.llmModel", "string"],
+  CHUNK_SIZE: ["chunking.chunkSize", "integer"],
+  CHUNK_OVERLAP: ["chunking.chunkOverlap", "integer"],
+  INGEST_INCLUDE: ["ingestion.include", "list"],
+  INGEST_EXCLUDE: ["ingestion.exclude", "list"],
+  EMBED_CONCURRENCY: ["embedding.concurrency", "integer"],
+  EMBED_BATCH_SIZE: ["embedding.batchSize", "integer"],
+  EMBED_MAX_RETRIES: ["embedding.maxRetries", "integer"],
+  EMBED_REQUESTS_PER_SECOND: ["embedding.requestsPerSecond", "number"],
+  EMBEDDING_CACHE: ["embeddingCache.enabled", "boolean"],
+  EMBEDDING_CACHE_MAX_ENTRIES: ["embeddingCache.maxEntries", "integer"],
+  RETRIEVAL_MODE: ["retrieval.mode", "string"],
+  RETRIEVAL_MAX_CONTEXT_CHUNKS: ["retrieval.maxContextChunks", "integer"],
+  RETRIEVAL_CONTEXT_THRESHOLD: ["retrieval.contextThreshold", "number"],
+  HISTORY_TOKEN_BUDGET: ["retrieval.historyTokenBudget", "integer"],
+  CONTEXT_TOKEN_BUDGET: ["retrieval.contextTokenBudget", "integer"],
+  EXPAND_NEIGHBOURS: ["retrieval.expandNeighbours", "boolean"],
+  KB_SEARCH_MODE: ["retrieval.vectorSearch", "string"],
+  EMBEDDING_MISMATCH: ["retrieval.embeddingMismatch", "string"],
+  RERANK: ["reranking.enabled", "boolean"],
+  RERANK_METHOD: ["reranking.method", "string"],
+  RERANK_MODEL: ["reranking.model", "string"],
+  RERANK_CANDIDATES: ["reranking.candidates", "integer"],
+  RERANK_DEDUP_THRESHOLD: ["reranking.dedupThreshold", "number"],
+  GLOSSARY_FILE: ["glossary.file", "string"],
+  GLOSSARY_EXPAND_QUERIES: ["glossary.expandQueries", "boolean"],
+  GROUNDING_VERIFY: ["grounding.verify", "boolean"],
+  GROUNDING_STRICT: ["grounding.strict", "boolean"],
+  GROUNDING_MIN_RETRIEVAL_SCORE: ["grounding.minRetrievalScore", "number"],
+  SESSION_STORE: ["sessions.store", "string"],
+  SESSION_TTL_DAYS: ["sessions.ttlDays", "number"],
+  FEEDBACK_FILE: ["feedback.file", "string"],
+};
+
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(
+      `Invalid configuration:\n${problems.map((p) => `  - ${p}`).join("\n")}`
+    );
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const deepMerge = (base, override) => {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    result[key] =
+      isPlainObject(value) && isPlainObject(base[key])
+        ? deepMerge(base[key], value)
+        : value;
+  }
+  return result;
+};
+
+const setPath = (target, dottedPath, value) => {
+  const keys = dottedPath.split(".");
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    node[key] = node[key] || {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+};
+
+const parseEnvValue = (raw, type) => {
+  if (type === "integer" || type === "number") {
+    const value = Number(raw);
+    return Number.isNaN(value) ? raw : value;
+  }
+  if (type === "list") {
+    return raw
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+  if (type === "boolean") {
+    if (["true", "1", "yes"].includes(raw.toLowerCase())) return true;
+    if (["false", "0", "no"].includes(raw.toLowerCase())) return false;
+  }
+  return raw;
+};
+
+const readConfigFile = (configFile) => {
+  if (!fs.pathExistsSync(configFile)) return {};
+
+  try {
+    return fs.readJsonSync(configFile);
+  } catch (error) {
+    throw new ConfigError([`${configFile}: ${error.message}`]);
+  }
+};
+
+const readEnv = (env) => {
+  const overrides = {};
+  for (const [name, [configPath, type]] of Object.entries(ENV_VARS)) {
+    if (env[name] !== undefined && env[name] !== "") {
+      setPath(overrides, configPath, parseEnvValue(env[name], type));
+    }
+  }
+  return overrides;
+};
+
+export const validateConfig = (config) => {
+  const problems = [];
+
+  const check = (condition, message) => {
+    if (!condition) problems.push(message);
+  };
+  const isInteger = (value, min, max = Infinity) =>
+    Number.isInteger(value) && value >= min && value <= max;
+  const isNumber = (value, min, max) =>
+    typeof value === "number" && value >= min && value <= max;
+  const isNonEmptyString = (value) =>
+    typeof value === "string" && value.trim().length > 0;
+  const isUrl = (value) => {
+    try {
+      return ["http:", "https:"].includes(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  };
+
+  const {
+    server,
+    llm,
+    chunking,
+    ingestion,
+    embedding,
+    embeddingCache,
+    retrieval,
+    reranking,
+    glossary,
+    itQuery,
+    sessions,
+    feedback,
+  } = config;
+
+  check(isInteger(server.port, 1, 65535), "server.port must be 1-65535");
+
+  check(
+    ["ollama", "openai"].includes(llm.provider),
+    "llm.provider must be ollama or openai"
+  );
+  check(isNumber(llm.temperature, 0, 2), "llm.temperature must be 0-2");
+  check(isNumber(llm.topP, 0, 1), "llm.topP must be 0-1");
+  check(
+    isInteger(llm.embeddingTimeoutMs, 1000),
+    "llm.embeddingTimeoutMs must be at least 1000"
+  );
+  check(
+    isInteger(llm.generationTimeoutMs, 1000),
+    "llm.generationTimeoutMs must be at least 1000"
+  );
+  check(
+    isInteger(llm.contextWindow, 512),
+    "llm.contextWindow must be an integer of at least 512"
+  );
+
+  for (const name of ["ollama", "openai"]) {
+    const section = config[name];
+    check(isUrl(section.baseUrl), `${name}.baseUrl must be an http(s) URL`);
+    check(
+      isNonEmptyString(section.embeddingModel),
+      `${name}.embeddingModel is required`
+    );
+    check(isNonEmptyString(section.llmModel), `${name}.llmModel is required`);
+  }
+  check(
+    typeof config.openai.apiKey === "string",
+    "openai.apiKey must be a string"
+  );
+
+  check(
+    isInteger(chunking.chunkSize, 100),
+    "chunking.chunkSize must be an integer of at least 100"
+  );
+  check(
+    isInteger(chunking.chunkOverlap, 0) &&
+      chunking.chunkOverlap < chunking.chunkSize,
+    "chunking.chunkOverlap must be a non-negative integer below chunkSize"
+  );
+
+  for (const name of ["include", "exclude"]) {
+    check(
+      Array.isArray(ingestion[name]) && ingestion[name].every(isNonEmptyString),
+      `ingestion.${name} must be a list of glob patterns`
+    );
+  }
+
+  check(
+    isInteger(embedding.concurrency, 1, 64),
+    "embedding.concurrency must be 1-64"
+  );
+  check(
+    isInteger(embedding.batchSize, 1, 1024),
+    "embedding.batchSize must be 1-1024"
+  );
+  check(
+    isInteger(embedding.maxRetries, 0, 10),
+    "embedding.maxRetries must be 0-10"
+  );
+  check(
+    isInteger(embedding.retryDelayMs, 0),
+    "embedding.retryDelayMs must be a non-negative integer"
+  );
+  check(
+    isNumber(embedding.requestsPerSecond, 0, Infinity),
+    "embedding.requestsPerSecond must be >= 0"
+  );
+  check(
+    typeof embeddingCache.enabled === "boolean",
+    "embeddingCache.enabled must be true or false"
+  );
+  check(
+    isInteger(embeddingCache.maxEntries, 1),
+    "embeddingCache.maxEntries must be a positive integer"
+  );
+
+  check(
+    ["hybrid", "vector", "lexical"].includes(retrieval.mode),
+    "retrieval.mode must be hybrid, vector or lexical"
+  );
+  for (const [name, section] of [
+    ["retrieval", retrieval],
+    ["itQuery", itQuery],
+  ]) {
+    check(
+      isInteger(section.maxContextChunks, 1, 50),
+      `${name}.maxContextChunks must be 1-50`
+    );
+    check(
+      isNumber(section.contextThreshold, 0, 1),
+      `${name}.contextThreshold must be 0-1`
+    );
+  }
+  check(
+    isInteger(retrieval.maxTokens, 1),
+    "retrieval.maxTokens must be a positive integer"
+  );
+  check(
+    isInteger(retrieval.historyTokenBudget, 0),
+    "retrieval.historyTokenBudget must be a non-negative integer"
+  );
+  check(
+    isInteger(retrieval.contextTokenBudget, 100),
+    "retrieval.contextTokenBudget must be an integer of at least 100"
+  );
+  check(
+    retrieval.maxTokens < llm.contextWindow,
+    "retrieval.maxTokens must be below llm.contextWindow"
+  );
+  check(
+    typeof retrieval.expandNeighbours === "boolean",
+    "retrieval.expandNeighbours must be true or false"
+  );
+  check(
+    typeof retrieval.rewriteFollowUps === "boolean",
+    "retrieval.rewriteFollowUps must be true or false"
+  );
+  check(
+    ["ann", "exact"].includes(retrieval.vectorSearch),
+    "retrieval.vectorSearch must be ann or exact"
+  );
+  check(
+    isInteger(retrieval.annMinChunks, 0),
+    "retrieval.annMinChunks must be a non-negative integer"
+  );
+  check(
+    ["warn", "refuse"].includes(retrieval.embeddingMismatch),
+    "retrieval.embeddingMismatch must be warn or refuse"
+  );
+
+  check(
+    typeof reranking.enabled === "boolean",
+    "reranking.enabled must be true or false"
+  );
+  check(
+    ["llm", "model"].includes(reranking.method),
+    "reranking.method must be llm or model"
+  );
+  check(
+    reranking.method !== "model" || isNonEmptyString(reranking.model),
+    "reranking.model is required for the model method"
+  );
+  check(
+    reranking.method !== "model" || llm.provider === "openai",
+    "reranking.method model needs the openai provider (Ollama has no rerank endpoint)"
+  );
+  check(
+    isInteger(reranking.candidates, 1, 200),
+    "reranking.candidates must be 1-200"
+  );
+  check(
+    isInteger(reranking.concurrency, 1, 32),
+    "reranking.concurrency must be 1-32"
+  );
+  check(
+    isNumber(reranking.dedupThreshold, 0.5, 1),
+    "reranking.dedupThreshold must be 0.5-1"
+  );
+
+  check(isNonEmptyString(glossary.file), "glossary.file is required");
+  check(
+    typeof glossary.expandQueries === "boolean",
+    "glossary.expandQueries must be true or false"
+  );
+
+  check(
+    ["file", "memory"].includes(sessions.store),
+    "sessions.store must be file or memory"
+  );
+  check(
+    isNumber(sessions.ttlDays, 0, Infinity),
+    "sessions.ttlDays must be >= 0"
+  );
+  check(
+    isInteger(sessions.maxTurns, 1),
+    "sessions.maxTurns must be a positive integer"
+  );
+
+  check(isNonEmptyString(feedback.file), "feedback.file is required");
+
+  const { grounding } = config;
+  check(
+    typeof grounding.verify === "boolean",
+    "grounding.verify must be true or false"
+  );
+  check(
+    typeof grounding.strict === "boolean",
+    "grounding.strict must be true or false"
+  );
+  check(
+    isNumber(grounding.claimThreshold, 0, 1),
+    "grounding.claimThreshold must be 0-1"
+  );
+  check(
+    isNumber(grounding.minRetrievalScore, 0, 1),
+    "grounding.minRetrievalScore must be 0-1"
+  );
+
+  return problems;
+};
+
+const deepFreeze = (value) => {
+  if (isPlainObject(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+};
+
+export const loadConfig = ({ env = process.env } = {}) => {
+  const configFile = env.CONFIG_FILE
+    ? path.resolve(env.CONFIG_FILE)
+    : path.join(PROJECT_ROOT, "config.json");
+
+  const config = deepMerge(
+    deepMerge(DEFAULTS, readConfigFile(configFile)),
+    readEnv(env)
+  );
+
+  const problems = validateConfig(config);
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  return deepFreeze(config);
+};
+
+// Singleton instance
+let config = null;
+
+export const getConfig = () => {
+  if (!config) {
+    config = loadConfig();
+  }
+  return config;
+};
+
+// Read-only view for the status endpoint, without secrets
+export const getPublicConfig = () => {
+  const config = structuredClone(getConfig());
+  if (config.openai.apiKey) {
+    config.openai.apiKey = "********";
+  }
+  return config;
+};
+
+export default getConfig;
@@ -0,0 +1,40 @@
+import express from 'express';
+import { getKnowledgeBaseService } from '../services/KnowledgeBaseService.js';
+
+const router = express.Router();
+const knowledgeBaseService = getKnowledgeBaseService();
+
+// GET /api/admin/knowledge-base - Get knowledge base load status
+router.get('/knowledge-base', (req, res) => {
+  res.json({
+    success: true,
+    data: knowledgeBaseService.getLoadStatus()
+  });
+});
+
+// POST /api/admin/knowledge-base/reload - Force a knowledge base reload
+router.post('/knowledge-base/reload', async (req, res) => {
+  try {
+    const loaded = await knowledgeBaseService.reload();
+
+    if (!loaded) {
+      return res.status(404).json({
+        error: "Knowledge base not found. Run 'npm run ingest' first.",
+        code: 'KNOWLEDGE_BASE_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: knowledgeBaseService.getLoadStatus()
+    });
+  } catch (error) {
+    console.error('Knowledge base reload error:', error);
+    res.status(500).json({
+      error: error.message,
+      code: 'KNOWLEDGE_BASE_RELOAD_ERROR'
+    });
+  }
+});
+
+export default router;
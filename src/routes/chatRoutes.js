@@ -1,9 +1,23 @@
 import express from 'express';
 import { getChatService } from '../services/ChatService.js';
+import { filterProblems, pickFilter } from '../utils/filters.js';
+import { FeedbackError, RATINGS } from '../services/FeedbackService.js';
 
 const router = express.Router();
 const chatService = getChatService();
 
+// 400 response for unusable collection/type/keyword/document/date filters
+const rejectInvalidFilter = (res, source) => {
+  const problems = filterProblems(source);
+  if (problems.length === 0) return false;
+
+  res.status(400).json({
+    error: `Invalid filter: ${problems.join('; ')}`,
+    code: 'INVALID_FILTER'
+  });
+  return true;
+};
+
 // POST /api/chat/query - Process a chat query
 router.post('/query', async (req, res) => {
   try {
@@ -16,6 +30,8 @@ router.post('/query', async (req, res) => {
       });
     }
 
+    if (rejectInvalidFilter(res, options)) return;
+
     const result = await chatService.processITQuery(
       query.trim(), 
       sessionId || chatService.generateSessionId(),
@@ -49,6 +65,8 @@ router.post('/stream', (req, res) => {
     });
   }
 
+  if (rejectInvalidFilter(res, options)) return;
+
   // Set up Server-Sent Events
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
@@ -66,23 +84,51 @@ router.post('/stream', (req, res) => {
   // Send initial event
   sendEvent('start', { message: 'Processing query...' });
 
+  // Closing the connection (e.g. the Stop button) cancels generation
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
   chatService.processStreamQuery(
     query.trim(),
     sessionId || chatService.generateSessionId(),
     (chunk) => {
       sendEvent('chunk', { content: chunk });
     },
-    options
+    {
+      ...options,
+      signal: controller.signal,
+      onContext: (contextInfo) => sendEvent('context', contextInfo)
+    }
   ).then((result) => {
-    sendEvent('context', {
-      contextSources: result.contextSources,
-      hasContext: result.hasContext,
-      contextChunks: result.contextChunks
+    if (controller.signal.aborted) return;
+
+    if (result.needsIngestion) {
+      sendEvent('context', {
+        contextSources: result.contextSources,
+        hasContext: result.hasContext,
+        contextChunks: result.contextChunks
+      });
+    }
+    // The final answer has invented citations removed, so clients should
+    // replace the streamed text with `response`
+    sendEvent('end', {
+      message: 'Query completed',
+      sessionId: result.sessionId,
+      needsIngestion: Boolean(result.needsIngestion),
+      response: result.response,
+      citations: result.citations || [],
+      grounding: result.grounding || null,
+      answerId: result.answerId || null
     });
-    sendEvent('end', { message: 'Query completed' });
     res.end();
   }).catch((error) => {
     console.error('Stream chat error:', error);
+    if (controller.signal.aborted) return;
+
     sendEvent('error', { 
       error: error.message,
       code: 'STREAM_CHAT_ERROR'
@@ -92,17 +138,20 @@ router.post('/stream', (req, res) => {
 });
 
 // GET /api/chat/history/:sessionId - Get chat history for a session
-router.get('/history/:sessionId', (req, res) => {
+// (limit=0 returns the full history)
+router.get('/history/:sessionId', async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { limit = 10 } = req.query;
     
-    const history = chatService.getChatHistory(sessionId, parseInt(limit));
+    const history = await chatService.getChatHistory(sessionId, parseInt(limit));
+    const session = await chatService.getSession(sessionId);
     
     res.json({
       success: true,
       data: {
         sessionId,
+        session,
         history,
         count: history.length
       }
@@ -117,11 +166,11 @@ router.get('/history/:sessionId', (req, res) => {
 });
 
 // DELETE /api/chat/history/:sessionId - Clear chat history
-router.delete('/history/:sessionId', (req, res) => {
+router.delete('/history/:sessionId', async (req, res) => {
   try {
     const { sessionId } = req.params;
     
-    chatService.clearChatHistory(sessionId);
+    await chatService.clearChatHistory(sessionId);
     
     res.json({
       success: true,
@@ -136,6 +185,107 @@ router.delete('/history/:sessionId', (req, res) => {
   }
 });
 
+// GET /api/chat/sessions - List chat sessions, most recently active first
+router.get('/sessions', async (req, res) => {
+  try {
+    const { limit = 50 } = req.query;
+    const sessions = await chatService.listSessions(parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        sessions,
+        count: sessions.length
+      }
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      error: error.message,
+      code: 'LIST_SESSIONS_ERROR'
+    });
+  }
+});
+
+// GET /api/chat/sessions/:sessionId - Get session details
+router.get('/sessions/:sessionId', async (req, res) => {
+  try {
+    const session = await chatService.getSession(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        error: `Session not found: ${req.params.sessionId}`,
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    console.error('Get session error:', error);
+    res.status(500).json({
+      error: error.message,
+      code: 'GET_SESSION_ERROR'
+    });
+  }
+});
+
+// PATCH /api/chat/sessions/:sessionId - Rename a session
+router.patch('/sessions/:sessionId', async (req, res) => {
+  try {
+    const { title } = req.body;
+
+    if (typeof title !== 'string' || title.trim().length === 0) {
+      return res.status(400).json({
+        error: 'Title is required',
+        code: 'MISSING_TITLE'
+      });
+    }
+
+    const session = await chatService.updateSession(req.params.sessionId, {
+      title: title.trim()
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        error: `Session not found: ${req.params.sessionId}`,
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    console.error('Update session error:', error);
+    res.status(500).json({
+      error: error.message,
+      code: 'UPDATE_SESSION_ERROR'
+    });
+  }
+});
+
+// DELETE /api/chat/sessions/:sessionId - Delete a session and its history
+router.delete('/sessions/:sessionId', async (req, res) => {
+  try {
+    await chatService.clearChatHistory(req.params.sessionId);
+
+    res.json({
+      success: true,
+      message: `Session deleted: ${req.params.sessionId}`
+    });
+  } catch (error) {
+    console.error('Delete session error:', error);
+    res.status(500).json({
+      error: error.message,
+      code: 'DELETE_SESSION_ERROR'
+    });
+  }
+});
+
 // GET /api/chat/documents - Get available documents information
 router.get('/documents', async (req, res) => {
   try {
@@ -166,7 +316,9 @@ router.post('/search', async (req, res) => {
       });
     }
 
-    const results = await chatService.searchDocuments(query.trim(), parseInt(limit));
+    if (rejectInvalidFilter(res, req.body)) return;
+
+    const results = await chatService.searchDocuments(query.trim(), parseInt(limit), pickFilter(req.body));
     
     res.json({
       success: true,
@@ -186,9 +338,9 @@ router.post('/search', async (req, res) => {
 });
 
 // GET /api/chat/status - Get system status
-router.get('/status', (req, res) => {
+router.get('/status', async (req, res) => {
   try {
-    const status = chatService.getSystemStatus();
+    const status = await chatService.getSystemStatus();
     
     res.json({
       success: true,
@@ -203,16 +355,133 @@ router.get('/status', (req, res) => {
   }
 });
 
+// POST /api/chat/feedback - Rate an answer ({ sessionId, answerId,
+// rating: "up" | "down", comment }); rating it again replaces the rating
+router.post('/feedback', async (req, res) => {
+  try {
+    const { sessionId, answerId, rating, comment } = req.body || {};
+
+    if (!sessionId || !answerId) {
+      return res.status(400).json({
+        error: 'sessionId and answerId are required',
+        code: 'MISSING_ANSWER_ID'
+      });
+    }
+
+    const record = await chatService.recordFeedback(sessionId, answerId, {
+      rating,
+      comment
+    });
+
+    if (!record) {
+      return res.status(404).json({
+        error: `Answer not found: ${answerId}`,
+        code: 'ANSWER_NOT_FOUND'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: record
+    });
+  } catch (error) {
+    if (error instanceof FeedbackError) {
+      return res.status(400).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Record feedback error:', error);
+    res.status(500).json({
+      error: error.message,
+      code: 'RECORD_FEEDBACK_ERROR'
+    });
+  }
+});
+
+// 400 response for a ?rating= other than up or down
+const rejectInvalidRating = (res, rating) => {
+  if (!rating || RATINGS.includes(rating)) return false;
+
+  res.status(400).json({
+    error: `rating must be one of ${RATINGS.join(', ')}`,
+    code: 'INVALID_RATING'
+  });
+  return true;
+};
+
+// GET /api/chat/feedback - List answer ratings, newest first (optional
+// ?rating=up|down&limit=50)
+router.get('/feedback', async (req, res) => {
+  try {
+    const { rating } = req.query;
+    const limit = parseInt(req.query.limit) || 50;
+
+    if (rejectInvalidRating(res, rating)) return;
+
+    const feedback = await chatService.feedbackService.getFeedback({ rating });
+
+    res.json({
+      success: true,
+      data: {
+        feedback: feedback.slice(0, limit),
+        count: feedback.length,
+        summary: await chatService.feedbackService.getSummary()
+      }
+    });
+  } catch (error) {
+    console.error('Get feedback error:', error);
+    res.status(500).json({
+      error: error.message,
+      code: 'GET_FEEDBACK_ERROR'
+    });
+  }
+});
+
+// GET /api/chat/feedback/export - Ratings as a labelled evaluation set
+// (?format=jsonl (default) or json, optional ?rating=up|down)
+router.get('/feedback/export', async (req, res) => {
+  try {
+    const { rating, format = 'jsonl' } = req.query;
+
+    if (rejectInvalidRating(res, rating)) return;
+    if (!['jsonl', 'json'].includes(format)) {
+      return res.status(400).json({
+        error: 'format must be jsonl or json',
+        code: 'INVALID_EXPORT_FORMAT'
+      });
+    }
+
+    const examples = await chatService.feedbackService.exportEvaluationSet({ rating });
+    const filename = `evaluation-set-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'json') {
+      return res.json(examples);
+    }
+    res.type('application/x-ndjson');
+    res.send(examples.map((example) => JSON.stringify(example)).join('\n') + (examples.length > 0 ? '\n' : ''));
+  } catch (error) {
+    console.error('Export feedback error:', error);
+    res.status(500).json({
+      error: error.message,
+      code: 'EXPORT_FEEDBACK_ERROR'
+    });
+  }
+});
+
 // POST /api/chat/session - Create a new chat session
-router.post('/session', (req, res) => {
+router.post('/session', async (req, res) => {
   try {
-    const sessionId = chatService.generateSessionId();
+    const { title = null } = req.body || {};
+    const session = await chatService.createSession(title);
     
     res.json({
       success: true,
       data: {
-        sessionId,
-        created: new Date().toISOString()
+        ...session,
+        sessionId: session.id,
+        created: session.createdAt
       }
     });
   } catch (error) {
@@ -0,0 +1,132 @@
+import express from 'express';
+import multer from 'multer';
+import os from 'os';
+import {
+  UploadError,
+  getDocumentUploadService
+} from '../services/DocumentUploadService.js';
+import { getKnowledgeBaseService } from '../services/KnowledgeBaseService.js';
+
+const router = express.Router();
+const uploadService = getDocumentUploadService();
+const knowledgeBaseService = getKnowledgeBaseService();
+
+const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB
+const MAX_FILES = 10;
+
+const upload = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    if (uploadService.isSupportedFile(file.originalname)) {
+      cb(null, true);
+    } else {
+      const error = new Error(
+        `Unsupported file format: ${file.originalname}. Supported formats: ${uploadService.supportedExtensions.join(', ')}`
+      );
+      error.code = 'UNSUPPORTED_FILE_TYPE';
+      cb(error);
+    }
+  }
+}).array('files', MAX_FILES);
+
+// POST /api/documents - Upload documents and queue them for ingestion, into
+// the collection (sub-folder) in the "collection" field if one is given
+router.post('/', (req, res) => {
+  upload(req, res, async (uploadError) => {
+    if (uploadError) {
+      return res.status(400).json({
+        error: uploadError.message,
+        code: uploadError.code || 'UPLOAD_ERROR'
+      });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        error: 'At least one file is required (form field "files")',
+        code: 'MISSING_FILES'
+      });
+    }
+
+    try {
+      const jobs = await uploadService.enqueueUploads(req.files, {
+        collection: req.body.collection
+      });
+
+      res.status(202).json({
+        success: true,
+        data: {
+          jobs,
+          count: jobs.length
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error instanceof UploadError) {
+        return res.status(error.status).json({
+          error: error.message,
+          code: error.code
+        });
+      }
+      console.error('Document upload error:', error);
+      res.status(500).json({
+        error: error.message,
+        code: 'DOCUMENT_UPLOAD_ERROR'
+      });
+    }
+  });
+});
+
+// GET /api/documents - List documents in the knowledge base
+router.get('/', async (req, res) => {
+  try {
+    await knowledgeBaseService.loadKnowledgeBase();
+    const documents = knowledgeBaseService.getDocumentsList();
+
+    res.json({
+      success: true,
+      data: {
+        documents,
+        count: documents.length
+      }
+    });
+  } catch (error) {
+    console.error('List documents error:', error);
+    res.status(500).json({
+      error: error.message,
+      code: 'LIST_DOCUMENTS_ERROR'
+    });
+  }
+});
+
+// GET /api/documents/jobs - List recent upload jobs
+router.get('/jobs', (req, res) => {
+  const jobs = uploadService.listJobs();
+
+  res.json({
+    success: true,
+    data: {
+      jobs,
+      count: jobs.length
+    }
+  });
+});
+
+// GET /api/documents/jobs/:jobId - Get the status of an upload job
+router.get('/jobs/:jobId', (req, res) => {
+  const job = uploadService.getJob(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({
+      error: `Upload job not found: ${req.params.jobId}`,
+      code: 'JOB_NOT_FOUND'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: job
+  });
+});
+
+export default router;
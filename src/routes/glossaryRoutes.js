@@ -0,0 +1,229 @@
+import express from 'express';
+import {
+  CANDIDATE_STATUSES,
+  ENTRY_TYPES,
+  GlossaryError,
+  getGlossaryService
+} from '../services/GlossaryService.js';
+import { getKnowledgeBaseService } from '../services/KnowledgeBaseService.js';
+
+const router = express.Router();
+const glossaryService = getGlossaryService();
+const knowledgeBaseService = getKnowledgeBaseService();
+
+// Candidates mined from the documents of the current knowledge base
+const loadCandidates = async (options) => {
+  await knowledgeBaseService.loadKnowledgeBase();
+  return glossaryService.getCandidates(
+    knowledgeBaseService.getMinedDefinitions(),
+    options
+  );
+};
+
+const findCandidate = async (req, res) => {
+  const candidate = (await loadCandidates()).find(
+    (item) => item.id === req.params.id
+  );
+
+  if (!candidate) {
+    res.status(404).json({
+      error: `Glossary candidate not found: ${req.params.id}`,
+      code: 'GLOSSARY_CANDIDATE_NOT_FOUND'
+    });
+  }
+  return candidate;
+};
+
+// GET /api/glossary - List glossary entries (optional ?type=abbreviation)
+router.get('/', (req, res) => {
+  const { type } = req.query;
+
+  if (type && !ENTRY_TYPES.includes(type)) {
+    return res.status(400).json({
+      error: `type must be one of ${ENTRY_TYPES.join(', ')}`,
+      code: 'INVALID_GLOSSARY_TYPE'
+    });
+  }
+
+  const entries = glossaryService.getEntries({ type });
+  res.json({
+    success: true,
+    data: {
+      entries,
+      count: entries.length
+    }
+  });
+});
+
+// POST /api/glossary/expand - Show how a query would be expanded for retrieval
+router.post('/expand', (req, res) => {
+  const { query } = req.body;
+
+  if (typeof query !== 'string' || query.trim().length === 0) {
+    return res.status(400).json({
+      error: 'Query is required',
+      code: 'MISSING_QUERY'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: glossaryService.expandQuery(query.trim())
+  });
+});
+
+// GET /api/glossary/candidates - Definitions found in the documents at
+// ingestion (optional ?status=pending|approved|rejected)
+router.get('/candidates', async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !CANDIDATE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of ${CANDIDATE_STATUSES.join(', ')}`,
+        code: 'INVALID_CANDIDATE_STATUS'
+      });
+    }
+
+    const candidates = await loadCandidates({ status });
+    res.json({
+      success: true,
+      data: {
+        candidates,
+        count: candidates.length
+      }
+    });
+  } catch (error) {
+    console.error('Glossary candidates error:', error);
+    res.status(500).json({
+      error: error.message,
+      code: 'GLOSSARY_CANDIDATES_ERROR'
+    });
+  }
+});
+
+// POST /api/glossary/candidates/:id/approve - Add a candidate to the glossary
+// (optional body { type, expansions } to correct what was mined)
+router.post('/candidates/:id/approve', async (req, res) => {
+  try {
+    const candidate = await findCandidate(req, res);
+    if (!candidate) return;
+
+    const { type, expansions } = req.body || {};
+    const { entry, created } = await glossaryService.approveCandidate(
+      candidate,
+      { type, expansions }
+    );
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    if (error instanceof GlossaryError) {
+      return res.status(400).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Approve glossary candidate error:', error);
+    res.status(500).json({
+      error: error.message,
+      code: 'APPROVE_CANDIDATE_ERROR'
+    });
+  }
+});
+
+// POST /api/glossary/candidates/:id/reject - Stop suggesting a candidate
+router.post('/candidates/:id/reject', async (req, res) => {
+  try {
+    const candidate = await findCandidate(req, res);
+    if (!candidate) return;
+
+    await glossaryService.rejectCandidate(candidate);
+    res.json({
+      success: true,
+      message: `Glossary candidate rejected: ${candidate.term} = ${candidate.expansion}`
+    });
+  } catch (error) {
+    console.error('Reject glossary candidate error:', error);
+    res.status(500).json({
+      error: error.message,
+      code: 'REJECT_CANDIDATE_ERROR'
+    });
+  }
+});
+
+// GET /api/glossary/:term - Get one glossary entry
+router.get('/:term', (req, res) => {
+  const entry = glossaryService.getEntry(req.params.term);
+
+  if (!entry) {
+    return res.status(404).json({
+      error: `Glossary entry not found: ${req.params.term}`,
+      code: 'GLOSSARY_ENTRY_NOT_FOUND'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: entry
+  });
+});
+
+// PUT /api/glossary/:term - Add or replace a glossary entry
+router.put('/:term', async (req, res) => {
+  try {
+    const { type, expansions, keyword } = req.body;
+    const { entry, created } = await glossaryService.upsertEntry({
+      term: req.params.term,
+      type,
+      expansions,
+      keyword
+    });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    if (error instanceof GlossaryError) {
+      return res.status(400).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Update glossary error:', error);
+    res.status(500).json({
+      error: error.message,
+      code: 'UPDATE_GLOSSARY_ERROR'
+    });
+  }
+});
+
+// DELETE /api/glossary/:term - Remove a glossary entry
+router.delete('/:term', async (req, res) => {
+  try {
+    const removed = await glossaryService.removeEntry(req.params.term);
+
+    if (!removed) {
+      return res.status(404).json({
+        error: `Glossary entry not found: ${req.params.term}`,
+        code: 'GLOSSARY_ENTRY_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Glossary entry removed: ${req.params.term}`
+    });
+  } catch (error) {
+    console.error('Remove glossary entry error:', error);
+    res.status(500).json({
+      error: error.message,
+      code: 'REMOVE_GLOSSARY_ERROR'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,154 @@
+// Inverted index with Okapi BM25 scoring over chunk texts. The tokenizer keeps
+// technical identifiers intact (interface names, IP addresses, VLAN IDs, error
+// codes, file names) and also indexes their parts, so "Gi0/1" and "vlan-100"
+// match exactly while "vlan" still finds "vlan-100".
+
+const STOPWORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "are",
+  "as",
+  "at",
+  "be",
+  "by",
+  "can",
+  "do",
+  "does",
+  "for",
+  "from",
+  "how",
+  "i",
+  "in",
+  "is",
+  "it",
+  "of",
+  "on",
+  "or",
+  "our",
+  "should",
+  "that",
+  "the",
+  "this",
+  "to",
+  "we",
+  "what",
+  "when",
+  "where",
+  "which",
+  "with",
+  "you",
+]);
+
+// Alphanumeric runs joined by the separators identifiers use
+const TOKEN_PATTERN = /[a-z0-9]+(?:[._:/\\-][a-z0-9]+)*/g;
+
+export const tokenize = (text) => {
+  const tokens = [];
+  const matches = (text || "").toLowerCase().match(TOKEN_PATTERN) || [];
+
+  for (const match of matches) {
+    const parts = match.split(/[._:/\\-]/);
+
+    if (parts.length > 1) {
+      tokens.push(match);
+      for (const part of parts) {
+        if (part && !STOPWORDS.has(part)) tokens.push(part);
+      }
+    } else if (!STOPWORDS.has(match)) {
+      tokens.push(match);
+    }
+  }
+
+  return tokens;
+};
+
+export class BM25Index {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.postings = new Map(); // term -> { docs: number[], freqs: number[] }
+    this.docLengths = [];
+    this.totalLength = 0;
+  }
+
+  get documentCount() {
+    return this.docLengths.length;
+  }
+
+  get averageLength() {
+    return this.documentCount === 0 ? 0 : this.totalLength / this.documentCount;
+  }
+
+  add(text) {
+    const docId = this.docLengths.length;
+    const tokens = tokenize(text);
+    const frequencies = new Map();
+
+    for (const token of tokens) {
+      frequencies.set(token, (frequencies.get(token) || 0) + 1);
+    }
+
+    for (const [term, frequency] of frequencies) {
+      let posting = this.postings.get(term);
+      if (!posting) {
+        posting = { docs: [], freqs: [] };
+        this.postings.set(term, posting);
+      }
+      posting.docs.push(docId);
+      posting.freqs.push(frequency);
+    }
+
+    this.docLengths.push(tokens.length);
+    this.totalLength += tokens.length;
+    return docId;
+  }
+
+  static fromTexts(texts, options) {
+    const index = new BM25Index(options);
+    for (const text of texts) {
+      index.add(text);
+    }
+    return index;
+  }
+
+  idf(term) {
+    const posting = this.postings.get(term);
+    const docFrequency = posting ? posting.docs.length : 0;
+    return Math.log(
+      1 + (this.documentCount - docFrequency + 0.5) / (docFrequency + 0.5)
+    );
+  }
+
+  // Returns up to `limit` [{ index, score }] sorted by descending BM25 score,
+  // only for documents `filter(index)` accepts when a filter is given
+  search(query, limit = 10, filter = null) {
+    const terms = [...new Set(tokenize(query))];
+    const scores = new Map();
+    const averageLength = this.averageLength || 1;
+
+    for (const term of terms) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+
+      const idf = this.idf(term);
+      for (let i = 0; i < posting.docs.length; i++) {
+        const docId = posting.docs[i];
+        if (filter && !filter(docId)) continue;
+        const frequency = posting.freqs[i];
+        const lengthNorm =
+          1 - this.b + (this.b * this.docLengths[docId]) / averageLength;
+        const termScore =
+          (idf * (frequency * (this.k1 + 1))) /
+          (frequency + this.k1 * lengthNorm);
+        scores.set(docId, (scores.get(docId) || 0) + termScore);
+      }
+    }
+
+    return Array.from(scores, ([index, score]) => ({ index, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+export default BM25Index;
@@ -1,26 +1,69 @@
 import { getKnowledgeBaseService } from "./KnowledgeBaseService.js";
-import OllamaService from "./OllamaService.js";
+import { createLLMProvider } from "./LLMProviderFactory.js";
+import { reciprocalRankFusion } from "../utils/rankFusion.js";
+import { estimateTokens, truncateToTokens } from "../utils/tokens.js";
+import { extractCitations, stripCitations } from "../utils/citations.js";
+import { retrievalConfidence, verifyGrounding } from "../utils/grounding.js";
+import { FILTER_KEYS, pickFilter } from "../utils/filters.js";
+import { removeNearDuplicates } from "../utils/dedup.js";
+import { Reranker } from "./Reranker.js";
+import { ContextBuilder } from "./ContextBuilder.js";
+import { getGlossaryService } from "./GlossaryService.js";
+import { createSessionStore } from "./SessionStore.js";
+import { getFeedbackService } from "./FeedbackService.js";
+import { getConfig } from "../config/index.js";
+
+// Deterministic answer for strict grounding mode, so a weak retrieval never
+// reaches the model
+const NOT_COVERED_RESPONSE =
+  "## Not Covered by the Documentation\n\nI couldn't find information about this in the indexed documentation, so I can't give a reliable answer.\n\n- Try rephrasing the question using the terms from your documents\n- Check that the relevant documents have been ingested";
+
+// Query options a client may set per request; anything else comes from the
+// config. `signal` and `onContext` are set by the routes.
+const QUERY_OPTIONS = [
+  "includeContext",
+  "maxContextChunks",
+  "contextThreshold",
+  "retrievalMode",
+  "maxTokens",
+  "historyTokenBudget",
+  "contextTokenBudget",
+  "expandNeighbours",
+  "rewriteFollowUps",
+  "rerank",
+  "expandQuery",
+  "verifyGrounding",
+  "strictGrounding",
+  ...FILTER_KEYS,
+  "signal",
+  "onContext",
+];
 
 export class ChatService {
   constructor() {
+    this.config = getConfig();
     this.knowledgeBaseService = getKnowledgeBaseService();
-    this.ollamaService = new OllamaService();
-    this.chatHistory = new Map(); // Simple in-memory chat history for MVP
+    this.llmProvider = createLLMProvider();
+    this.reranker = new Reranker(this.llmProvider);
+    this.contextBuilder = new ContextBuilder(this.knowledgeBaseService);
+    this.glossary = getGlossaryService();
+    this.sessionStore = createSessionStore();
+    this.sessionStoreReady = this.sessionStore.init();
+    this.feedbackService = getFeedbackService();
   }
 
   async processQuery(query, sessionId = "default", options = {}) {
     try {
-      const {
-        includeContext = true,
-        maxContextChunks = 5,
-        contextThreshold = 0.1,
-        maxTokens = 2048,
-      } = options;
+      options = this.resolveQueryOptions(options);
+      const { includeContext = true, maxTokens } = options;
 
       console.log(`🔍 Processing query: "${query}"`);
 
       let context = "";
       let contextSources = [];
+      let chunks = [];
+      let contextAssembly = null;
+      let expandedQuery = null;
 
       if (includeContext) {
         // Check if knowledge base is available first
@@ -31,7 +74,7 @@ export class ChatService {
           // Return helpful message when knowledge base is not available
           return {
             response:
-              "## No Documents Available\n\nI don't have any processed documents to search through yet. To get started with your **IT Infrastructure Assistant**:\n\n### Getting Started Steps:\n1. Place your **PDF, DOCX, or TXT files** in the `data/documents/` folder\n2. Run `npm run ingest` to process them\n3. **Ask me questions** about your documentation!\n\n### What I Can Help With:\n- Network configuration and troubleshooting\n- Server infrastructure guidance  \n- Security policies and procedures\n- IT best practices and standards\n- Technical documentation queries\n\n*I'll be able to provide detailed, organized answers based on your IT infrastructure and networking documents once they're processed.*",
+              "## No Documents Available\n\nI don't have any processed documents to search through yet. To get started with your **IT Infrastructure Assistant**:\n\n### Getting Started Steps:\n1. Place your **PDF, DOCX, TXT, Markdown, HTML, CSV or config files** in the `data/documents/` folder (sub-folders become collections)\n2. Run `npm run ingest` to process them\n3. **Ask me questions** about your documentation!\n\n### What I Can Help With:\n- Network configuration and troubleshooting\n- Server infrastructure guidance  \n- Security policies and procedures\n- IT best practices and standards\n- Technical documentation queries\n\n*I'll be able to provide detailed, organized answers based on your IT infrastructure and networking documents once they're processed.*",
             contextSources: [],
             hasContext: false,
             contextChunks: 0,
@@ -39,53 +82,74 @@ export class ChatService {
             needsIngestion: true,
           };
         }
+      }
 
-        // Generate embedding for the query
-        const queryEmbedding = await this.ollamaService.getEmbedding(query);
-
-        // Search for relevant context
-        const relevantChunks =
-          await this.knowledgeBaseService.searchSimilarChunks(
-            queryEmbedding,
-            maxContextChunks,
-            contextThreshold
-          );
-
-        if (relevantChunks.length > 0) {
-          console.log(`📄 Found ${relevantChunks.length} relevant chunks`);
-
-          // Build context from chunks
-          context = relevantChunks
-            .map((chunk) => `[Source: ${chunk.documentName}]\n${chunk.text}`)
-            .join("\n\n---\n\n");
-
-          contextSources = relevantChunks.map((chunk) => ({
-            documentName: chunk.documentName,
-            chunkIndex: chunk.chunkIndex,
-            similarity: chunk.similarity,
-            preview: chunk.text.substring(0, 200) + "...",
-          }));
-        } else {
-          console.log("📄 No relevant context found");
-        }
+      const { conversation, retrievalQuery } = await this.prepareConversation(
+        query,
+        sessionId,
+        options
+      );
+
+      if (includeContext) {
+        ({ context, contextSources, chunks, contextAssembly, expandedQuery } =
+          await this.retrieveContext(retrievalQuery, options, conversation));
+      }
+
+      const retrieval = includeContext
+        ? this.assessRetrieval(retrievalQuery, chunks)
+        : null;
+
+      if (options.strictGrounding && retrieval?.belowFloor) {
+        return await this.refuseQuery(query, sessionId, {
+          retrieval,
+          retrievalQuery,
+          conversation,
+        });
       }
 
       // Generate response using LLM
       console.log("🤖 Generating response...");
-      const response = await this.ollamaService.generateResponse(
+      const rawResponse = await this.llmProvider.generateResponse(
         query,
         context,
-        maxTokens
+        maxTokens,
+        conversation
+      );
+      const { response, citations } = this.resolveCitations(
+        rawResponse,
+        contextSources
       );
 
+      const grounding = this.checkGrounding(
+        response,
+        chunks,
+        retrieval,
+        options
+      );
+
+      const rewrittenQuery = retrievalQuery !== query ? retrievalQuery : null;
+
       // Store in chat history
-      this.addToChatHistory(sessionId, query, response, contextSources);
+      const answerId = await this.addToChatHistory(
+        sessionId,
+        query,
+        response,
+        contextSources,
+        { citations, grounding, rewrittenQuery, expandedQuery }
+      );
 
       return {
         response,
+        citations,
+        grounding,
         contextSources,
         hasContext: contextSources.length > 0,
         contextChunks: contextSources.length,
+        contextAssembly,
+        rewrittenQuery,
+        expandedQuery,
+        conversationTurns: conversation.length,
+        answerId,
         sessionId,
       };
     } catch (error) {
@@ -101,16 +165,17 @@ export class ChatService {
     options = {}
   ) {
     try {
-      const {
-        includeContext = true,
-        maxContextChunks = 5,
-        contextThreshold = 0.1,
-      } = options;
+      options = this.resolveQueryOptions(options);
+      // `signal` cancels generation, `onContext` fires once retrieval is done
+      const { includeContext = true, maxTokens, signal, onContext } = options;
 
       console.log(`🔍 Processing stream query: "${query}"`);
 
       let context = "";
       let contextSources = [];
+      let chunks = [];
+      let contextAssembly = null;
+      let expandedQuery = null;
 
       if (includeContext) {
         // Check if knowledge base is available first
@@ -133,53 +198,106 @@ export class ChatService {
             needsIngestion: true,
           };
         }
+      }
 
-        // Generate embedding for the query
-        const queryEmbedding = await this.ollamaService.getEmbedding(query);
-
-        // Search for relevant context
-        const relevantChunks =
-          await this.knowledgeBaseService.searchSimilarChunks(
-            queryEmbedding,
-            maxContextChunks,
-            contextThreshold
-          );
-
-        if (relevantChunks.length > 0) {
-          console.log(`📄 Found ${relevantChunks.length} relevant chunks`);
-
-          context = relevantChunks
-            .map((chunk) => `[Source: ${chunk.documentName}]\n${chunk.text}`)
-            .join("\n\n---\n\n");
-
-          contextSources = relevantChunks.map((chunk) => ({
-            documentName: chunk.documentName,
-            chunkIndex: chunk.chunkIndex,
-            similarity: chunk.similarity,
-            preview: chunk.text.substring(0, 200) + "...",
-          }));
-        }
+      const { conversation, retrievalQuery } = await this.prepareConversation(
+        query,
+        sessionId,
+        options
+      );
+
+      if (includeContext) {
+        ({ context, contextSources, chunks, contextAssembly, expandedQuery } =
+          await this.retrieveContext(retrievalQuery, options, conversation));
+      }
+
+      const retrieval = includeContext
+        ? this.assessRetrieval(retrievalQuery, chunks)
+        : null;
+
+      if (options.strictGrounding && retrieval?.belowFloor) {
+        const result = await this.refuseQuery(query, sessionId, {
+          retrieval,
+          retrievalQuery,
+          conversation,
+        });
+        onContext?.({
+          contextSources: [],
+          hasContext: false,
+          contextChunks: 0,
+          rewrittenQuery: result.rewrittenQuery,
+        });
+        onChunk(result.response);
+        return { ...result, cancelled: false };
       }
 
+      const rewrittenQuery = retrievalQuery !== query ? retrievalQuery : null;
+
+      onContext?.({
+        contextSources,
+        hasContext: contextSources.length > 0,
+        contextChunks: contextSources.length,
+        contextAssembly,
+        rewrittenQuery,
+        expandedQuery,
+      });
+
       // Generate streaming response
       let fullResponse = "";
+      let cancelled = Boolean(signal?.aborted);
+
+      if (!cancelled) {
+        ({ cancelled } = await this.llmProvider.generateStreamResponse(
+          query,
+          context,
+          (chunk) => {
+            fullResponse += chunk;
+            onChunk(chunk);
+          },
+          { conversation, signal, maxTokens }
+        ));
+      }
 
-      await this.ollamaService.generateStreamResponse(
-        query,
-        context,
-        (chunk) => {
-          fullResponse += chunk;
-          onChunk(chunk);
-        }
+      if (cancelled) {
+        console.log("⏹️  Stream query cancelled by client");
+      }
+
+      const { response, citations } = this.resolveCitations(
+        fullResponse,
+        contextSources
+      );
+      const grounding = this.checkGrounding(
+        response,
+        chunks,
+        retrieval,
+        options
       );
 
-      // Store in chat history
-      this.addToChatHistory(sessionId, query, fullResponse, contextSources);
+      // Store in chat history, keeping partial answers so follow-ups still
+      // have the context the user saw
+      const answerId = response
+        ? await this.addToChatHistory(
+            sessionId,
+            query,
+            response,
+            contextSources,
+            { citations, grounding, cancelled, rewrittenQuery, expandedQuery }
+          )
+        : null;
 
       return {
+        response,
+        citations,
+        grounding,
         contextSources,
         hasContext: contextSources.length > 0,
         contextChunks: contextSources.length,
+        contextAssembly,
+        rewrittenQuery,
+        expandedQuery,
+        conversationTurns: conversation.length,
+        cancelled,
+        answerId,
         sessionId,
       };
     } catch (error) {
@@ -188,39 +306,517 @@ export class ChatService {
     }
   }
 
-  addToChatHistory(sessionId, query, response, contextSources) {
-    if (!this.chatHistory.has(sessionId)) {
-      this.chatHistory.set(sessionId, []);
+  // Retrieval confidence against the strict-mode floor
+  assessRetrieval(query, chunks) {
+    const { minRetrievalScore } = this.config.grounding;
+    const { score, method } = retrievalConfidence(query, chunks);
+
+    return {
+      score: Number(score.toFixed(4)),
+      method,
+      floor: minRetrievalScore,
+      belowFloor: score < minRetrievalScore,
+    };
+  }
+
+  // Strict mode: skip generation and give the fixed "not covered" answer
+  async refuseQuery(
+    query,
+    sessionId,
+    { retrieval, retrievalQuery, conversation }
+  ) {
+    console.log(
+      `🚫 Retrieval score ${retrieval.score} below floor ${retrieval.floor}, answering "not covered"`
+    );
+
+    const grounding = {
+      strict: true,
+      refused: true,
+      retrieval,
+      verification: null,
+    };
+
+    const rewrittenQuery = retrievalQuery !== query ? retrievalQuery : null;
+    const answerId = await this.addToChatHistory(
+      sessionId,
+      query,
+      NOT_COVERED_RESPONSE,
+      [],
+      { citations: [], grounding, rewrittenQuery }
+    );
+
+    return {
+      response: NOT_COVERED_RESPONSE,
+      citations: [],
+      grounding,
+      contextSources: [],
+      hasContext: false,
+      contextChunks: 0,
+      rewrittenQuery,
+      conversationTurns: conversation.length,
+      answerId,
+      sessionId,
+    };
+  }
+
+  // Score the answer's claims against the chunks it was generated from
+  checkGrounding(response, chunks, retrieval, options) {
+    let verification = null;
+
+    if (options.verifyGrounding && chunks.length > 0 && response) {
+      verification = verifyGrounding(response, chunks, {
+        claimThreshold: this.config.grounding.claimThreshold,
+      });
+
+      if (verification.unsupportedClaims > 0) {
+        console.log(
+          `⚠️  ${verification.unsupportedClaims} of ${verification.totalClaims} claims not supported by the retrieved context`
+        );
+      }
+    }
+
+    return {
+      strict: Boolean(options.strictGrounding),
+      refused: false,
+      retrieval,
+      verification,
+    };
+  }
+
+  // Validate the [n] markers in an answer against the numbered sources
+  resolveCitations(text, contextSources) {
+    const {
+      text: response,
+      citations,
+      invalidCitations,
+    } = extractCitations(text, contextSources);
+
+    if (invalidCitations.length > 0) {
+      console.log(
+        `🔗 Dropped citations to unknown sources: ${invalidCitations.join(", ")}`
+      );
+    }
+
+    return { response, citations };
+  }
+
+  // Fill in the configured defaults for anything the client did not set and
+  // keep client-supplied values within sane bounds. Grounding options can
+  // only be tightened: a client can turn verification and strict mode on,
+  // not off.
+  resolveQueryOptions(options = {}, defaults = {}) {
+    const { retrieval } = this.config;
+    const resolved = {
+      maxContextChunks: retrieval.maxContextChunks,
+      contextThreshold: retrieval.contextThreshold,
+      retrievalMode: retrieval.mode,
+      maxTokens: retrieval.maxTokens,
+      historyTokenBudget: retrieval.historyTokenBudget,
+      contextTokenBudget: retrieval.contextTokenBudget,
+      expandNeighbours: retrieval.expandNeighbours,
+      rewriteFollowUps: retrieval.rewriteFollowUps,
+      rerank: this.config.reranking.enabled,
+      expandQuery: this.config.glossary.expandQueries,
+      verifyGrounding: this.config.grounding.verify,
+      strictGrounding: this.config.grounding.strict,
+      ...defaults,
+    };
+
+    for (const key of QUERY_OPTIONS) {
+      const value = options[key];
+      if (value !== undefined && value !== null) resolved[key] = value;
+    }
+    const { grounding } = this.config;
+    resolved.verifyGrounding =
+      grounding.verify || resolved.verifyGrounding === true;
+    resolved.strictGrounding =
+      grounding.strict || resolved.strictGrounding === true;
+    // Answering without the documents would get around strict mode
+    if (resolved.strictGrounding) resolved.includeContext = true;
+
+    const clamp = (value, min, max, fallback) => {
+      const number = Number(value);
+      return Number.isFinite(number)
+        ? Math.min(Math.max(number, min), max)
+        : fallback;
+    };
+
+    resolved.maxContextChunks = Math.round(
+      clamp(resolved.maxContextChunks, 1, 50, retrieval.maxContextChunks)
+    );
+    resolved.contextThreshold = clamp(
+      resolved.contextThreshold,
+      0,
+      1,
+      retrieval.contextThreshold
+    );
+    // The answer may take up to half the context window and the history a
+    // quarter, so some room is always left for the retrieved context
+    const { contextWindow } = this.config.llm;
+    resolved.maxTokens = Math.round(
+      clamp(
+        resolved.maxTokens,
+        1,
+        Math.max(Math.floor(contextWindow / 2), retrieval.maxTokens),
+        retrieval.maxTokens
+      )
+    );
+    resolved.historyTokenBudget = Math.round(
+      clamp(
+        resolved.historyTokenBudget,
+        0,
+        Math.max(Math.floor(contextWindow / 4), retrieval.historyTokenBudget),
+        retrieval.historyTokenBudget
+      )
+    );
+    resolved.contextTokenBudget = Math.round(
+      clamp(
+        resolved.contextTokenBudget,
+        100,
+        contextWindow,
+        retrieval.contextTokenBudget
+      )
+    );
+    if (!["hybrid", "vector", "lexical"].includes(resolved.retrievalMode)) {
+      resolved.retrievalMode = retrieval.mode;
+    }
+
+    return resolved;
+  }
+
+  // Pick the recent turns that fit the history token budget and, for
+  // follow-up questions, rewrite the query into a standalone one so retrieval
+  // also benefits from the conversation
+  async prepareConversation(query, sessionId, options = {}) {
+    const {
+      includeContext = true,
+      historyTokenBudget,
+      rewriteFollowUps,
+    } = this.resolveQueryOptions(options);
+
+    const conversation = this.selectConversationTurns(
+      await this.getChatHistory(sessionId, 20),
+      historyTokenBudget
+    );
+
+    let retrievalQuery = query;
+
+    if (includeContext && rewriteFollowUps && conversation.length > 0) {
+      try {
+        retrievalQuery = await this.llmProvider.rewriteQuery(
+          query,
+          conversation
+        );
+        if (retrievalQuery !== query) {
+          console.log(`🔁 Rewritten follow-up: "${retrievalQuery}"`);
+        }
+      } catch (error) {
+        // Retrieval still works with the original question
+        retrievalQuery = query;
+      }
+    }
+
+    return { conversation, retrievalQuery };
+  }
+
+  selectConversationTurns(history, tokenBudget) {
+    const turns = [];
+    let usedTokens = 0;
+
+    // Walk back from the most recent turn until the budget is spent
+    for (let i = history.length - 1; i >= 0; i--) {
+      const { query } = history[i];
+      // Citation numbers refer to the sources of that turn, not this one
+      const response = stripCitations(history[i].response);
+      const turnTokens = estimateTokens(query) + estimateTokens(response);
+
+      if (usedTokens + turnTokens <= tokenBudget) {
+        turns.unshift({ query, response });
+        usedTokens += turnTokens;
+        continue;
+      }
+
+      // Keep a truncated answer for the latest turn rather than dropping it
+      const remainingTokens = tokenBudget - usedTokens - estimateTokens(query);
+      if (turns.length === 0 && remainingTokens > 50) {
+        turns.unshift({
+          query,
+          response: truncateToTokens(response, remainingTokens),
+        });
+      }
+      break;
+    }
+
+    return turns;
+  }
+
+  // Retrieve context chunks for a query. In "hybrid" mode (default) vector
+  // and BM25 keyword results are merged with reciprocal rank fusion so exact
+  // identifiers (interface names, VLAN IDs, error codes) are not lost. With
+  // `rerank`, a larger pool of candidates is rescored by the reranker before
+  // the best maxContextChunks are taken. The chunks are then assembled into
+  // passages that fit the token budget left by the prompt and `conversation`.
+  async retrieveContext(query, options = {}, conversation = []) {
+    const resolved = this.resolveQueryOptions(options);
+    const { maxContextChunks, contextThreshold, retrievalMode, rerank } =
+      resolved;
+    const { candidates, dedupThreshold } = this.config.reranking;
+    // Only chunks of documents matching the collection, type, keyword, name
+    // and date filters are considered
+    const filter = pickFilter(resolved);
+    // Glossary expansions ("vpn" adds "virtual private network") help both
+    // retrievers find the documents' wording; the reranker, the prompt and
+    // the LLM still get the question as asked
+    const searchQuery = this.expandQuery(query, resolved);
+    const expandedQuery = searchQuery !== query ? searchQuery : null;
+
+    // Over-fetch from each retriever so fusion and near-duplicate removal
+    // have candidates to work with
+    const poolSize = rerank
+      ? Math.max(candidates, maxContextChunks)
+      : maxContextChunks;
+    const candidateCount =
+      retrievalMode === "hybrid" ? poolSize * 4 : poolSize * 2;
+    const rankedLists = {};
+
+    if (retrievalMode !== "lexical") {
+      const queryEmbedding = await this.llmProvider.getEmbedding(searchQuery);
+      rankedLists.vector = await this.knowledgeBaseService.searchSimilarChunks(
+        queryEmbedding,
+        candidateCount,
+        contextThreshold,
+        { filter }
+      );
+    }
+
+    if (retrievalMode !== "vector") {
+      rankedLists.lexical = await this.knowledgeBaseService.searchLexicalChunks(
+        searchQuery,
+        candidateCount,
+        { filter }
+      );
+    }
+
+    const { chunks: uniqueChunks, removed } = removeNearDuplicates(
+      reciprocalRankFusion(rankedLists),
+      { threshold: dedupThreshold }
+    );
+    if (removed.length > 0) {
+      console.log(`✂️  Dropped ${removed.length} near-duplicate chunk(s)`);
+    }
+
+    let rankedChunks = uniqueChunks.slice(0, poolSize);
+    if (rerank && rankedChunks.length > 1) {
+      rankedChunks = await this.rerankChunks(query, rankedChunks);
+    }
+    const relevantChunks = rankedChunks.slice(0, maxContextChunks);
+
+    if (relevantChunks.length === 0) {
+      console.log("📄 No relevant context found");
+      return {
+        context: "",
+        contextSources: [],
+        chunks: [],
+        contextAssembly: null,
+        expandedQuery,
+      };
+    }
+
+    console.log(`📄 Found ${relevantChunks.length} relevant chunks`);
+
+    const tokenBudget = this.contextTokenBudget(query, conversation, resolved);
+    const {
+      context,
+      passages,
+      report: contextAssembly,
+    } = this.contextBuilder.build(relevantChunks, {
+      tokenBudget,
+      expandNeighbours: resolved.expandNeighbours,
+    });
+
+    if (contextAssembly.dropped.length > 0 || contextAssembly.truncated) {
+      console.log(
+        `📏 Context budget of ${tokenBudget} tokens: left out ${contextAssembly.dropped.length} chunk(s)${contextAssembly.truncated ? ", truncated the best one" : ""}`
+      );
+    }
+    if (contextAssembly.expandedChunks > 0) {
+      console.log(
+        `🧩 Added ${contextAssembly.expandedChunks} neighbouring chunk(s) to complete procedures`
+      );
+    }
+
+    // Passages are numbered in the prompt so the answer can cite them
+    const contextSources = passages.map((passage) => ({
+      number: passage.number,
+      id: passage.id,
+      chunkIds: passage.chunkIds,
+      documentName: passage.documentName,
+      collection: passage.collection,
+      chunkIndex: passage.chunkIndex,
+      chunkIndexes: passage.chunkIndexes,
+      section: (passage.headingPath || []).join(" > "),
+      sectionNumber: passage.sectionNumber ?? null,
+      pages: passage.pages || [],
+      similarity: passage.similarity ?? null,
+      scores: {
+        vector: passage.similarity ?? null,
+        lexical: passage.score ?? null,
+        fused: passage.fusedScore,
+        rerank: passage.rerankScore ?? null,
+      },
+      ranks: passage.ranks,
+      expandedChunks: passage.expandedChunks,
+      preview: passage.text.substring(0, 200) + "...",
+    }));
+
+    return {
+      context,
+      contextSources,
+      chunks: passages,
+      contextAssembly,
+      expandedQuery,
+    };
+  }
+
+  expandQuery(query, { expandQuery }) {
+    if (!expandQuery) return query;
+
+    const { query: expanded, expansions } = this.glossary.expandQuery(query);
+    if (expansions.length > 0) {
+      console.log(`📖 Expanded query: "${expanded}"`);
     }
+    return expanded;
+  }
+
+  // Tokens left for retrieved context: the configured budget, capped by what
+  // the context window leaves after the prompt, history and answer
+  contextTokenBudget(query, conversation, { contextTokenBudget, maxTokens }) {
+    const promptTokens = estimateTokens(
+      this.llmProvider.buildPrompt(query, "", conversation)
+    );
+    const available =
+      this.config.llm.contextWindow - promptTokens - (Number(maxTokens) || 0);
+    return Math.max(Math.min(contextTokenBudget, available), 0);
+  }
+
+  // Reorder retrieved chunks by the reranker's scores, recording each
+  // chunk's rank before reranking as ranks.fused. A reranker failure leaves
+  // the retrieval order in place rather than failing the query.
+  async rerankChunks(query, chunks) {
+    const ranked = chunks.map((chunk, i) => ({
+      ...chunk,
+      ranks: { ...chunk.ranks, fused: i + 1 },
+    }));
 
-    const history = this.chatHistory.get(sessionId);
-    history.push({
+    try {
+      const reranked = await this.reranker.rerank(query, ranked);
+      console.log(
+        `🎯 Reranked ${reranked.length} candidates (${this.reranker.method})`
+      );
+      return reranked;
+    } catch (error) {
+      console.error(
+        "⚠️  Reranking failed, keeping the retrieval order:",
+        error.message
+      );
+      return chunks;
+    }
+  }
+
+  async getSessionStore() {
+    await this.sessionStoreReady;
+    return this.sessionStore;
+  }
+
+  async close() {
+    const store = await this.getSessionStore();
+    await store.close();
+  }
+
+  // Returns the id the answer can be rated by
+  async addToChatHistory(
+    sessionId,
+    query,
+    response,
+    contextSources,
+    details = {}
+  ) {
+    const store = await this.getSessionStore();
+    const answerId = this.generateAnswerId();
+    await store.appendTurn(sessionId, {
+      answerId,
       timestamp: new Date().toISOString(),
       query,
       response,
       contextSources: contextSources || [],
       hasContext: (contextSources || []).length > 0,
+      model: {
+        provider: this.llmProvider.name,
+        llm: this.llmProvider.llmModel,
+        embedding: this.llmProvider.embeddingModelId,
+      },
+      ...details,
     });
+    return answerId;
+  }
 
-    // Keep only last 20 interactions per session for MVP
-    if (history.length > 20) {
-      history.splice(0, history.length - 20);
-    }
+  // Rate an answer of the session's history; null if there is no such
+  // answer (or it has expired or been dropped from the history)
+  async recordFeedback(sessionId, answerId, { rating, comment }) {
+    this.feedbackService.validate({ rating, comment });
+
+    const turns = await this.getChatHistory(sessionId, 0);
+    const turn = turns.find((item) => item.answerId === answerId);
+    if (!turn) return null;
+
+    const record = await this.feedbackService.record(turn, {
+      sessionId,
+      rating,
+      comment,
+    });
+    console.log(
+      `${rating === "up" ? "👍" : "👎"} Feedback on answer ${answerId}` +
+        (record.comment ? " (with comment)" : "")
+    );
+    return record;
   }
 
-  getChatHistory(sessionId = "default", limit = 10) {
-    const history = this.chatHistory.get(sessionId) || [];
-    return history.slice(-limit);
+  // limit <= 0 returns the full history
+  async getChatHistory(sessionId = "default", limit = 10) {
+    const store = await this.getSessionStore();
+    return await store.getTurns(sessionId, limit);
   }
 
-  clearChatHistory(sessionId = "default") {
+  async clearChatHistory(sessionId = "default") {
+    const store = await this.getSessionStore();
     if (sessionId === "all") {
-      this.chatHistory.clear();
+      await store.clear();
     } else {
-      this.chatHistory.delete(sessionId);
+      await store.deleteSession(sessionId);
     }
   }
 
+  async createSession(title = null) {
+    const store = await this.getSessionStore();
+    return await store.createSession(this.generateSessionId(), { title });
+  }
+
+  async listSessions(limit = 50) {
+    const store = await this.getSessionStore();
+    return await store.listSessions({ limit });
+  }
+
+  async getSession(sessionId) {
+    const store = await this.getSessionStore();
+    const session = await store.getSession(sessionId);
+    return session ? store.summarize(session) : null;
+  }
+
+  async updateSession(sessionId, updates) {
+    const store = await this.getSessionStore();
+    return await store.updateSession(sessionId, updates);
+  }
+
   async getAvailableDocuments() {
     try {
       const stats = await this.knowledgeBaseService.getStats();
@@ -231,6 +827,8 @@ export class ChatService {
         totalWords: stats.totalWords,
         lastIngestion: stats.lastIngestion,
         documentDetails: stats.documentDetails,
+        collections: stats.collections,
+        facets: stats.facets,
         knowledgeBaseAvailable: stats.knowledgeBaseAvailable,
         message: stats.message,
       };
@@ -247,9 +845,13 @@ export class ChatService {
     }
   }
 
-  async searchDocuments(query, limit = 10) {
+  async searchDocuments(query, limit = 10, filter = {}) {
     try {
-      return await this.knowledgeBaseService.searchDocuments(query, limit);
+      return await this.knowledgeBaseService.searchDocuments(
+        query,
+        limit,
+        filter
+      );
     } catch (error) {
       console.error("Error searching documents:", error);
       return [];
@@ -259,16 +861,16 @@ export class ChatService {
   async getSystemStatus() {
     const knowledgeBaseAvailable =
       await this.knowledgeBaseService.isKnowledgeBaseAvailable();
-    const ollamaConnected = await this.ollamaService.isAvailable();
+    const llmConnected = await this.llmProvider.isAvailable();
+    const sessionStats = await (await this.getSessionStore()).getStats();
 
     return {
-      chatSessions: this.chatHistory.size,
-      totalInteractions: Array.from(this.chatHistory.values()).reduce(
-        (total, history) => total + history.length,
-        0
-      ),
+      chatSessions: sessionStats.sessions,
+      totalInteractions: sessionStats.interactions,
       knowledgeBaseAvailable,
-      ollamaConnected,
+      llmProvider: this.llmProvider.name,
+      llmConnected,
+      embeddingCache: this.llmProvider.embeddingCache?.getStats() || null,
       timestamp: new Date().toISOString(),
     };
   }
@@ -277,42 +879,18 @@ export class ChatService {
     return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
-  // IT-specific query preprocessing
-  preprocessITQuery(query) {
-    // Expand common IT abbreviations and synonyms
-    const expansions = {
-      dns: "domain name system dns",
-      dhcp: "dynamic host configuration protocol dhcp",
-      vpn: "virtual private network vpn",
-      ssl: "secure socket layer ssl tls",
-      api: "application programming interface api",
-      tcp: "transmission control protocol tcp",
-      udp: "user datagram protocol udp",
-      ip: "internet protocol ip address",
-      vlan: "virtual local area network vlan",
-      wan: "wide area network wan",
-      lan: "local area network lan",
-    };
-
-    let expandedQuery = query.toLowerCase();
-
-    for (const [abbr, expansion] of Object.entries(expansions)) {
-      const regex = new RegExp(`\\b${abbr}\\b`, "gi");
-      expandedQuery = expandedQuery.replace(regex, expansion);
-    }
-
-    return expandedQuery;
+  generateAnswerId() {
+    return `answer_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
   async processITQuery(query, sessionId = "default", options = {}) {
-    // Preprocess the query for better IT-specific matching
-    const expandedQuery = this.preprocessITQuery(query);
-
-    return await this.processQuery(expandedQuery, sessionId, {
-      ...options,
-      maxContextChunks: 7, // More context for technical queries
-      contextThreshold: 0.05, // Lower threshold for technical content
-    });
+    // IT queries default to more context and a lower threshold (see the
+    // itQuery config section), but explicit client options still win
+    return await this.processQuery(
+      query,
+      sessionId,
+      this.resolveQueryOptions(options, this.config.itQuery)
+    );
   }
 }
 
@@ -0,0 +1,218 @@
+import { estimateTokens, truncateToTokens } from "../utils/tokens.js";
+import { formatLocation } from "../utils/citations.js";
+import { getConfig } from "../config/index.js";
+
+const LIST_ITEM = /^\s*(?:(?:step\s+)?\d+[.):]|[a-zA-Z][.)]|[-*•+])\s+\S/i;
+
+// Allowance for the "[n] Source: ... Section: ..." line of each passage
+const HEADER_TOKENS = 25;
+
+const sectionKey = (chunk) =>
+  `${chunk.documentName}\n${(chunk.headingPath || []).join("\n")}`;
+
+const firstLine = (text) => text.trimStart().split("\n")[0];
+const lastLine = (text) => text.trimEnd().split("\n").pop();
+
+// `next` without the sentences it repeats from the end of `previous`: the
+// chunker starts a chunk with the previous chunk's last sentences and a
+// blank line
+export const stripOverlap = (previous, next) => {
+  let overlapEnd = -1;
+  for (
+    let end = next.indexOf("\n\n");
+    end !== -1;
+    end = next.indexOf("\n\n", end + 2)
+  ) {
+    if (previous.endsWith(next.slice(0, end))) overlapEnd = end;
+  }
+  return overlapEnd === -1 ? next : next.slice(overlapEnd + 2);
+};
+
+// Whether `next` carries on a procedure `previous` was cut off in: a lead-in
+// ending in ":", a list continuing across the boundary or a split code block
+const continuesProcedure = (previous, next) => {
+  if (sectionKey(previous) !== sectionKey(next)) return false;
+
+  const tail = lastLine(previous.text);
+  const head = firstLine(stripOverlap(previous.text, next.text));
+  return (
+    tail.trimEnd().endsWith(":") ||
+    (LIST_ITEM.test(tail) && LIST_ITEM.test(head)) ||
+    (previous.blockTypes?.at(-1) === "code" && next.blockTypes?.[0] === "code")
+  );
+};
+
+// Assembles retrieved chunks into the prompt context within a token budget:
+// chunks are taken by relevance while they fit, neighbours that continue a
+// cut-off procedure are added with what budget is left, and consecutive
+// chunks of a section are merged into one passage with the overlap between
+// them removed. Passages are numbered for citation, most relevant first.
+export class ContextBuilder {
+  constructor(knowledgeBaseService, options = {}) {
+    const { retrieval } = getConfig();
+
+    this.knowledgeBaseService = knowledgeBaseService;
+    this.expandNeighbours =
+      options.expandNeighbours ?? retrieval.expandNeighbours;
+  }
+
+  // The chunks before and after `chunk` that continue a procedure with it
+  neighboursOf(chunk) {
+    const { documentName, chunkIndex } = chunk;
+    const previous = this.knowledgeBaseService.getChunkAt(
+      documentName,
+      chunkIndex - 1
+    );
+    const next = this.knowledgeBaseService.getChunkAt(
+      documentName,
+      chunkIndex + 1
+    );
+
+    return [
+      previous && continuesProcedure(previous, chunk) ? previous : null,
+      next && continuesProcedure(chunk, next) ? next : null,
+    ].filter(Boolean);
+  }
+
+  // `chunks` best first. Returns the context text, the passages it is made
+  // of and a report of the budget and of the chunks left out.
+  build(chunks, { tokenBudget, expandNeighbours = this.expandNeighbours }) {
+    const selected = new Map();
+    const dropped = [];
+    let budgetUsed = 0;
+
+    const select = (chunk, priority, expanded) => {
+      if (selected.has(chunk.id)) return;
+
+      const tokens = estimateTokens(chunk.text) + HEADER_TOKENS;
+      if (budgetUsed + tokens <= tokenBudget) {
+        selected.set(chunk.id, { chunk, priority, expanded });
+        budgetUsed += tokens;
+        return;
+      }
+
+      // Rather than no context at all, the best chunk is cut to fit
+      if (selected.size === 0 && tokenBudget > HEADER_TOKENS * 2) {
+        const text = truncateToTokens(chunk.text, tokenBudget - HEADER_TOKENS);
+        selected.set(chunk.id, {
+          chunk: { ...chunk, text, truncated: true },
+          priority,
+          expanded,
+        });
+        budgetUsed = tokenBudget;
+        return;
+      }
+
+      dropped.push({
+        id: chunk.id,
+        documentName: chunk.documentName,
+        chunkIndex: chunk.chunkIndex,
+        tokens,
+        reason: expanded ? "neighbour over budget" : "over budget",
+      });
+    };
+
+    chunks.forEach((chunk, i) => select(chunk, i, false));
+
+    if (expandNeighbours) {
+      const seeds = [...selected.values()].filter(
+        ({ chunk }) => !chunk.truncated
+      );
+      for (const { chunk, priority } of seeds) {
+        for (const neighbour of this.neighboursOf(chunk)) {
+          // Ranked just below the chunk that pulled it in
+          select(neighbour, priority + 0.5, true);
+        }
+      }
+    }
+
+    const passages = this.mergePassages([...selected.values()]);
+    const context = passages
+      .map((passage) => {
+        const location = formatLocation(passage);
+        const section = passage.headingPath?.length
+          ? `\nSection: ${passage.headingPath.join(" > ")}`
+          : "";
+        return (
+          `[${passage.number}] Source: ${passage.documentName}` +
+          `${location ? ` (${location})` : ""}${section}\n${passage.text}`
+        );
+      })
+      .join("\n\n---\n\n");
+
+    return {
+      context,
+      passages,
+      report: {
+        tokenBudget,
+        usedTokens: estimateTokens(context),
+        retrievedChunks: chunks.length,
+        includedChunks: selected.size,
+        expandedChunks: [...selected.values()].filter(
+          ({ expanded }) => expanded
+        ).length,
+        passages: passages.length,
+        truncated: [...selected.values()].some(({ chunk }) => chunk.truncated),
+        dropped,
+      },
+    };
+  }
+
+  // Merge runs of consecutive chunks of one section into passages, ordered
+  // by their most relevant chunk. A passage keeps that chunk's scores.
+  mergePassages(entries) {
+    const sections = new Map();
+    for (const entry of entries) {
+      const key = sectionKey(entry.chunk);
+      if (!sections.has(key)) sections.set(key, []);
+      sections.get(key).push(entry);
+    }
+
+    const runs = [];
+    for (const members of sections.values()) {
+      members.sort((a, b) => a.chunk.chunkIndex - b.chunk.chunkIndex);
+      let run = [];
+      for (const entry of members) {
+        const last = run[run.length - 1];
+        if (last && entry.chunk.chunkIndex !== last.chunk.chunkIndex + 1) {
+          runs.push(run);
+          run = [];
+        }
+        run.push(entry);
+      }
+      runs.push(run);
+    }
+
+    return runs
+      .map((run) => {
+        const best = run.reduce((a, b) => (b.priority < a.priority ? b : a));
+        const chunks = run.map(({ chunk }) => chunk);
+        const text = chunks
+          .slice(1)
+          .reduce(
+            (merged, chunk, i) =>
+              `${merged}\n\n${stripOverlap(chunks[i].text, chunk.text)}`,
+            chunks[0].text
+          );
+
+        return {
+          ...best.chunk,
+          id: chunks[0].id,
+          chunkIds: chunks.map((chunk) => chunk.id),
+          chunkIndex: chunks[0].chunkIndex,
+          chunkIndexes: chunks.map((chunk) => chunk.chunkIndex),
+          sectionNumber: chunks[0].sectionNumber,
+          pages: [
+            ...new Set(chunks.flatMap((chunk) => chunk.pages || [])),
+          ].sort((a, b) => a - b),
+          text,
+          expandedChunks: run.filter(({ expanded }) => expanded).length,
+          priority: best.priority,
+        };
+      })
+      .sort((a, b) => a.priority - b.priority)
+      .map(({ priority, ...passage }, i) => ({ ...passage, number: i + 1 }));
+  }
+}
+
+export default ContextBuilder;
@@ -1,13 +1,38 @@
 import fs from "fs-extra";
 import path from "path";
-import pdf from "pdf-parse";
+// The package entry point reads a test PDF from the working directory when it
+// is imported from an ES module
+import pdf from "pdf-parse/lib/pdf-parse.js";
 import mammoth from "mammoth";
-import { v4 as uuidv4 } from "uuid";
+import { StructuredChunker } from "./StructuredChunker.js";
+import { getConfig } from "../config/index.js";
+import { getGlossaryService } from "./GlossaryService.js";
+import { htmlToStructuredText } from "../utils/html.js";
+import { parseCSV } from "../utils/csv.js";
+
+const MARKDOWN_EXTENSIONS = [".md", ".markdown"];
+const HTML_EXTENSIONS = [".html", ".htm"];
+const CSV_EXTENSIONS = [".csv", ".tsv"];
+const CONFIG_EXTENSIONS = [".cfg", ".conf", ".ini", ".yaml", ".yml"];
+const CONFIG_COMMENT = /^(?:#|;|\/\/|!)/;
 
 export class DocumentProcessingService {
-  constructor(chunkSize = 1000, chunkOverlap = 200) {
+  constructor(
+    chunkSize = getConfig().chunking.chunkSize,
+    chunkOverlap = getConfig().chunking.chunkOverlap
+  ) {
     this.chunkSize = chunkSize;
     this.chunkOverlap = chunkOverlap;
+    this.chunker = new StructuredChunker({ chunkSize, chunkOverlap });
+    this.supportedExtensions = [
+      ".pdf",
+      ".docx",
+      ".txt",
+      ...MARKDOWN_EXTENSIONS,
+      ...HTML_EXTENSIONS,
+      ...CSV_EXTENSIONS,
+      ...CONFIG_EXTENSIONS,
+    ];
   }
 
   async extractTextFromFile(filePath, filename) {
@@ -25,29 +50,69 @@ export class DocumentProcessingService {
           );
         case ".txt":
           return await this.extractFromTXT(filePath);
-        default:
-          throw new Error(`Unsupported file format: ${extension}`);
       }
+
+      if (MARKDOWN_EXTENSIONS.includes(extension)) {
+        return await this.extractFromMarkdown(filePath);
+      } else if (HTML_EXTENSIONS.includes(extension)) {
+        return await this.extractFromHTML(filePath);
+      } else if (CSV_EXTENSIONS.includes(extension)) {
+        return await this.extractFromCSV(filePath, extension);
+      } else if (CONFIG_EXTENSIONS.includes(extension)) {
+        return await this.extractFromConfig(filePath);
+      }
+      throw new Error(`Unsupported file format: ${extension}`);
     } catch (error) {
       console.error(`Error extracting text from ${filename}:`, error);
       throw error;
     }
   }
 
+  // Pages are extracted one by one and joined with form feeds, which the
+  // chunker turns into page numbers on each chunk
   async extractFromPDF(filePath) {
     try {
       const dataBuffer = await fs.readFile(filePath);
-      const data = await pdf(dataBuffer);
-      return this.cleanText(data.text);
+      const pages = [];
+      await pdf(dataBuffer, {
+        pagerender: async (pageData) => {
+          const text = await this.renderPDFPage(pageData);
+          pages[pageData.pageIndex] = text;
+          return text;
+        },
+      });
+      return this.cleanText(
+        Array.from(pages, (text) => text || "").join("\n\f\n")
+      );
     } catch (error) {
       throw new Error(`Failed to parse PDF: ${error.message}`);
     }
   }
 
+  // Same line handling as pdf-parse's default renderer: text items on the
+  // same baseline are joined, a new baseline starts a new line
+  async renderPDFPage(pageData) {
+    const textContent = await pageData.getTextContent({
+      normalizeWhitespace: false,
+      disableCombineTextItems: false,
+    });
+
+    let lastY;
+    let text = "";
+    for (const item of textContent.items) {
+      text += lastY === undefined || lastY === item.transform[5] ? "" : "\n";
+      text += item.str;
+      lastY = item.transform[5];
+    }
+    return text;
+  }
+
+  // Converted through mammoth's HTML output rather than raw text so Word
+  // headings, lists and tables keep their structure
   async extractFromDOCX(filePath) {
     try {
-      const { value: text } = await mammoth.extractRawText({ path: filePath });
-      return this.cleanText(text);
+      const { value: html } = await mammoth.convertToHtml({ path: filePath });
+      return this.cleanText(htmlToStructuredText(html));
     } catch (error) {
       throw new Error(`Failed to parse DOCX: ${error.message}`);
     }
@@ -55,178 +120,227 @@ export class DocumentProcessingService {
 
   async extractFromTXT(filePath) {
     try {
-      const text = await fs.readFile(filePath, "utf-8");
+      const text = await this.readTextFile(filePath);
       return this.cleanText(text);
     } catch (error) {
       throw new Error(`Failed to read TXT file: ${error.message}`);
     }
   }
 
-  cleanText(text) {
-    return (
-      text
-        // Remove extra whitespace and normalize line breaks
-        .replace(/\r\n/g, "\n")
-        .replace(/\r/g, "\n")
-        // Remove multiple consecutive spaces
-        .replace(/[ \t]+/g, " ")
-        // Remove multiple consecutive newlines (keep max 2)
-        .replace(/\n{3,}/g, "\n\n")
-        // Trim whitespace
-        .trim()
-    );
+  async extractFromMarkdown(filePath) {
+    try {
+      const text = this.cleanText(await this.readTextFile(filePath));
+      return this.cleanText(
+        text
+          // YAML front matter
+          .replace(/^---\n[\s\S]*?\n---(?:\n|$)/, "")
+          .replace(/<!--[\s\S]*?-->/g, "")
+          // Images become their alt text, links keep their target
+          .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+          .replace(/\[([^\]]+)\]\(#[^)]*\)/g, "$1")
+          .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, "$1 ($2)")
+      );
+    } catch (error) {
+      throw new Error(`Failed to read Markdown file: ${error.message}`);
+    }
   }
 
-  createTextChunks(text, documentId) {
-    const chunks = [];
-    const sentences = this.splitIntoSentences(text);
+  // Exported wiki pages (e.g. Confluence): headings, lists and tables are
+  // kept, scripts, styles and the <head> dropped
+  async extractFromHTML(filePath) {
+    try {
+      const html = await this.readTextFile(filePath);
+      return this.cleanText(htmlToStructuredText(html));
+    } catch (error) {
+      throw new Error(`Failed to parse HTML: ${error.message}`);
+    }
+  }
 
-    let currentChunk = "";
-    let chunkIndex = 0;
+  // One record per row ("- Row 2: hostname: sw-01; ip: 10.0.0.2"), so a row
+  // is never split across chunks and every value keeps its column name
+  async extractFromCSV(filePath, extension) {
+    try {
+      const text = await this.readTextFile(filePath);
+      const [header = [], ...rows] = parseCSV(
+        text,
+        extension === ".tsv" ? "\t" : undefined
+      );
+      const columns = header.map((name, i) => name.trim() || `Column ${i + 1}`);
+
+      const records = rows.map((fields, index) => {
+        const values = fields
+          .map((value, i) => [
+            columns[i] || `Column ${i + 1}`,
+            value.replace(/\s+/g, " ").trim(),
+          ])
+          .filter(([, value]) => value)
+          .map(([column, value]) => `${column}: ${value}`);
+        return `- Row ${index + 2}: ${values.join("; ")}`;
+      });
 
-    for (let i = 0; i < sentences.length; i++) {
-      const sentence = sentences[i];
-      const potentialChunk = currentChunk
-        ? `${currentChunk} ${sentence}`
-        : sentence;
+      return this.cleanText(
+        [
+          `${rows.length} records with columns: ${columns.join(", ")}.`,
+          "",
+          ...records,
+        ].join("\n")
+      );
+    } catch (error) {
+      throw new Error(`Failed to parse CSV: ${error.message}`);
+    }
+  }
 
-      if (potentialChunk.length <= this.chunkSize) {
-        currentChunk = potentialChunk;
-      } else {
-        // Save current chunk if it has content
-        if (currentChunk.trim()) {
-          chunks.push({
-            id: uuidv4(),
-            text: currentChunk.trim(),
-            documentId,
-            chunkIndex: chunkIndex++,
-            wordCount: currentChunk.trim().split(/\s+/).length,
-            startSentence: i - (currentChunk.split(/[.!?]+/).length - 1),
-            endSentence: i - 1,
-          });
-        }
+  // Device and service configs: every stanza becomes its own section with a
+  // code block, titled by its first line ("interface GigabitEthernet0/1",
+  // "server", "[database]")
+  async extractFromConfig(filePath) {
+    try {
+      const text = (await this.readTextFile(filePath)).replace(/\r\n?/g, "\n");
+      return this.cleanText(
+        this.splitConfigStanzas(text)
+          .map(
+            ({ title, lines }) =>
+              `# ${title}\n\n\`\`\`\n${lines.join("\n")}\n\`\`\``
+          )
+          .join("\n\n")
+      );
+    } catch (error) {
+      throw new Error(`Failed to parse config file: ${error.message}`);
+    }
+  }
 
-        // Start new chunk with current sentence
-        currentChunk = sentence;
-
-        // If single sentence is too long, split it by words
-        if (sentence.length > this.chunkSize) {
-          const words = sentence.split(/\s+/);
-          let wordChunk = "";
-
-          for (const word of words) {
-            const potentialWordChunk = wordChunk
-              ? `${wordChunk} ${word}`
-              : word;
-
-            if (potentialWordChunk.length <= this.chunkSize) {
-              wordChunk = potentialWordChunk;
-            } else {
-              if (wordChunk.trim()) {
-                chunks.push({
-                  id: uuidv4(),
-                  text: wordChunk.trim(),
-                  documentId,
-                  chunkIndex: chunkIndex++,
-                  wordCount: wordChunk.trim().split(/\s+/).length,
-                  isPartialSentence: true,
-                  partialSentenceIndex: i,
-                });
-              }
-              wordChunk = word;
-            }
-          }
-
-          // Save remaining word chunk
-          if (wordChunk.trim()) {
-            chunks.push({
-              id: uuidv4(),
-              text: wordChunk.trim(),
-              documentId,
-              chunkIndex: chunkIndex++,
-              wordCount: wordChunk.trim().split(/\s+/).length,
-              isPartialSentence: true,
-              partialSentenceIndex: i,
-            });
-          }
-          currentChunk = "";
+  // A stanza is a top-level line with its indented or brace-enclosed lines
+  // (Cisco/Juniper, nginx, YAML) or an INI [section] with its keys. Comment
+  // lines go with the stanza below them, "!" lines separate stanzas, and runs
+  // of single-line top-level statements are grouped as "Global settings".
+  splitConfigStanzas(text) {
+    const stanzas = [];
+    let current = null;
+    let comments = [];
+    let depth = 0;
+
+    const close = () => {
+      if (current) {
+        while (current.lines[current.lines.length - 1] === "") {
+          current.lines.pop();
         }
+        stanzas.push(current);
       }
-    }
+      current = null;
+    };
 
-    // Add final chunk
-    if (currentChunk.trim()) {
-      chunks.push({
-        id: uuidv4(),
-        text: currentChunk.trim(),
-        documentId,
-        chunkIndex: chunkIndex++,
-        wordCount: currentChunk.trim().split(/\s+/).length,
-        startSentence:
-          sentences.length - (currentChunk.split(/[.!?]+/).length - 1),
-        endSentence: sentences.length - 1,
-      });
+    for (const line of text.split("\n")) {
+      const trimmed = line.trimEnd();
+      const indented = /^\s/.test(trimmed);
+      const nested = depth > 0 || indented || /^[}\]]/.test(trimmed);
+
+      if (!trimmed.trim()) {
+        if (current) current.lines.push("");
+      } else if (/^!+$/.test(trimmed) && depth === 0) {
+        close();
+      } else if (CONFIG_COMMENT.test(trimmed) && !current?.section) {
+        close();
+        comments.push(trimmed);
+      } else if (nested || (current?.section && !/^\[.+\]$/.test(trimmed))) {
+        if (!current) current = { title: null, lines: [] };
+        current.lines.push(...comments, trimmed);
+        comments = [];
+      } else if (/^- /.test(trimmed) && current) {
+        // Top-level YAML sequence item of the previous key
+        current.lines.push(trimmed);
+      } else {
+        close();
+        const section = trimmed.match(/^\[(.+)\]$/);
+        current = {
+          title: section
+            ? trimmed
+            : trimmed.replace(/\s*[{:]\s*$/, "").slice(0, 80),
+          section: Boolean(section),
+          lines: [...comments, trimmed],
+        };
+        comments = [];
+      }
+
+      // Braces inside quoted strings do not count
+      const code = trimmed.replace(/"(?:[^"\\]|\\.)*"|'[^']*'/g, "");
+      depth = Math.max(
+        depth +
+          (code.match(/{/g) || []).length -
+          (code.match(/}/g) || []).length,
+        0
+      );
+    }
+    close();
+    if (comments.length > 0) {
+      stanzas.push({ title: "Comments", lines: comments });
     }
 
-    console.log(`Created ${chunks.length} chunks with overlap strategy`);
+    // Group consecutive one-line statements
+    const grouped = [];
+    for (const stanza of stanzas) {
+      const single =
+        !stanza.section &&
+        stanza.lines.filter((line) => !CONFIG_COMMENT.test(line)).length <= 1;
+      const previous = grouped[grouped.length - 1];
+
+      if (single && previous?.grouped) {
+        previous.lines.push(...stanza.lines);
+      } else if (single) {
+        grouped.push({
+          title: "Global settings",
+          grouped: true,
+          lines: [...stanza.lines],
+        });
+      } else {
+        grouped.push({ ...stanza, title: stanza.title || "Global settings" });
+      }
+    }
 
-    // Add overlap between chunks
-    return this.addOverlapToChunks(chunks);
+    return grouped;
   }
 
-  splitIntoSentences(text) {
-    // Simple sentence splitting - can be improved with more sophisticated NLP
-    return text
-      .split(/[.!?]+/)
-      .map((s) => s.trim())
-      .filter((s) => s.length > 10); // Filter out very short fragments
+  async readTextFile(filePath) {
+    const text = await fs.readFile(filePath, "utf-8");
+    return text.replace(/^\uFEFF/, "");
   }
 
-  addOverlapToChunks(chunks) {
-    if (chunks.length <= 1) return chunks;
-
-    const chunksWithOverlap = [chunks[0]]; // First chunk stays the same
-
-    for (let i = 1; i < chunks.length; i++) {
-      const currentChunk = chunks[i];
-      const previousChunk = chunks[i - 1];
-
-      // Get overlap text from previous chunk (last N characters)
-      let overlapText = "";
-      if (previousChunk.text.length > this.chunkOverlap) {
-        // Take the last `chunkOverlap` characters from previous chunk
-        overlapText = previousChunk.text.slice(-this.chunkOverlap);
-
-        // Try to start overlap at a word boundary to avoid splitting words
-        const spaceIndex = overlapText.indexOf(" ");
-        if (spaceIndex > 0 && spaceIndex < this.chunkOverlap * 0.3) {
-          // If we find a space within the first 30% of overlap, start from there
-          overlapText = overlapText.slice(spaceIndex + 1);
-        }
-      } else {
-        // If previous chunk is shorter than overlap size, use entire previous chunk
-        overlapText = previousChunk.text;
-      }
+  cleanText(text) {
+    return (
+      text
+        // Normalize line breaks
+        .replace(/\r\n/g, "\n")
+        .replace(/\r/g, "\n")
+        // Drop trailing whitespace; leading indentation and tabs are kept,
+        // they mark code blocks and table columns for the chunker
+        .replace(/[ \t]+$/gm, "")
+        // Remove multiple consecutive newlines (keep max 2)
+        .replace(/\n{3,}/g, "\n\n")
+        // Trim surrounding blank lines
+        .replace(/^\n+|\s+$/g, "")
+    );
+  }
 
-      // Prepend overlap to current chunk
-      const enhancedText = overlapText
-        ? `${overlapText} ${currentChunk.text}`
-        : currentChunk.text;
+  // Stored on each ingested document; documents chunked with another
+  // strategy or size are re-chunked on the next ingest
+  get chunkingSignature() {
+    return `${StructuredChunker.version}:${this.chunkSize}:${this.chunkOverlap}`;
+  }
 
-      chunksWithOverlap.push({
-        ...currentChunk,
-        text: enhancedText,
-        wordCount: enhancedText.split(/\s+/).length,
-        overlapSize: overlapText.length, // Track actual overlap size for debugging
-      });
-    }
+  createTextChunks(text, documentId) {
+    const chunks = this.chunker.chunk(text, documentId);
+    const sections = new Set(chunks.map((chunk) => chunk.section)).size;
 
-    return chunksWithOverlap;
+    console.log(
+      `Created ${chunks.length} chunks across ${sections} section(s)`
+    );
+    return chunks;
   }
 
   extractMetadata(text, filename) {
+    const extension = path.extname(filename).toLowerCase();
     const metadata = {
       filename,
+      format: extension.slice(1),
       wordCount: text.split(/\s+/).length,
       characterCount: text.length,
       estimatedReadingTime: Math.ceil(text.split(/\s+/).length / 200), // 200 WPM average
@@ -244,79 +358,16 @@ export class DocumentProcessingService {
     }
 
     // Try to identify document type based on content
-    metadata.documentType = this.identifyDocumentType(firstFewLines);
+    metadata.documentType = CONFIG_EXTENSIONS.includes(extension)
+      ? "configuration"
+      : this.identifyDocumentType(firstFewLines);
 
     return metadata;
   }
 
+  // IT keywords from the glossary (entries marked as keywords)
   extractKeywords(text) {
-    // IT and networking specific keywords
-    const itKeywords = [
-      "network",
-      "server",
-      "router",
-      "switch",
-      "firewall",
-      "vpn",
-      "dns",
-      "dhcp",
-      "tcp",
-      "udp",
-      "ip",
-      "subnet",
-      "vlan",
-      "api",
-      "database",
-      "security",
-      "authentication",
-      "authorization",
-      "ssl",
-      "tls",
-      "https",
-      "configuration",
-      "monitoring",
-      "backup",
-      "recovery",
-      "disaster",
-      "load balancer",
-      "proxy",
-      "bandwidth",
-      "latency",
-      "throughput",
-      "protocol",
-      "ethernet",
-      "wifi",
-      "infrastructure",
-      "datacenter",
-      "cloud",
-      "aws",
-      "azure",
-      "kubernetes",
-      "docker",
-      "container",
-      "virtualization",
-      "hypervisor",
-      "storage",
-    ];
-
-    const textLower = text.toLowerCase();
-    const foundKeywords = [];
-
-    for (const keyword of itKeywords) {
-      const regex = new RegExp(`\\b${keyword}\\b`, "gi");
-      const matches = textLower.match(regex);
-      if (matches && matches.length > 2) {
-        // Only include if mentioned multiple times
-        foundKeywords.push({
-          keyword,
-          count: matches.length,
-        });
-      }
-    }
-
-    return foundKeywords
-      .sort((a, b) => b.count - a.count)
-      .map((item) => item.keyword);
+    return getGlossaryService().extractKeywords(text);
   }
 
   identifyDocumentType(text) {
@@ -0,0 +1,229 @@
+import fs from "fs-extra";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import DocumentIngestionService from "../../scripts/ingest.js";
+import { getKnowledgeBaseService } from "./KnowledgeBaseService.js";
+
+// An upload the documents folder cannot take: a collection outside it, or a
+// document that already exists
+export class UploadError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = "UploadError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Folder names as the ingestion picks them up: no hidden or Office lock
+// folders, nothing that climbs out of the documents folder
+const COLLECTION_SEGMENT = /^(?!~\$)[\w-][\w.\- ]*$/;
+
+export class DocumentUploadService {
+  constructor() {
+    this.ingestionService = new DocumentIngestionService();
+    this.knowledgeBaseService = getKnowledgeBaseService();
+    this.jobs = new Map();
+    this.maxJobs = 100; // Keep status for the most recent uploads only
+    this.queue = Promise.resolve(); // Uploads are ingested one at a time
+  }
+
+  get supportedExtensions() {
+    return this.ingestionService.documentProcessor.supportedExtensions;
+  }
+
+  isSupportedFile(filename) {
+    const extension = path.extname(filename).toLowerCase();
+    return this.supportedExtensions.includes(extension);
+  }
+
+  sanitizeFilename(filename) {
+    return path
+      .basename(filename)
+      .replace(/[^\w.\- ]+/g, "_")
+      .replace(/^\.+/, "");
+  }
+
+  // "network/firewall/" for a collection given as e.g. "network/firewall",
+  // "" for the top folder; throws UploadError for anything else
+  normalizeCollection(collection) {
+    if (collection === undefined || collection === null) return "";
+    if (typeof collection !== "string") {
+      throw new UploadError(
+        "collection must be a string",
+        "INVALID_COLLECTION"
+      );
+    }
+
+    const segments = collection
+      .trim()
+      .replace(/\\/g, "/")
+      .split("/")
+      .filter(Boolean);
+    const invalid = segments.find(
+      (segment) => !COLLECTION_SEGMENT.test(segment)
+    );
+    if (invalid !== undefined) {
+      throw new UploadError(
+        `Invalid collection folder name: ${invalid}`,
+        "INVALID_COLLECTION"
+      );
+    }
+
+    return segments.map((segment) => `${segment}/`).join("");
+  }
+
+  isPending(documentName) {
+    return Array.from(this.jobs.values()).some(
+      (job) =>
+        job.documentName === documentName &&
+        (job.status === "queued" || job.status === "processing")
+    );
+  }
+
+  // Queue uploaded temp files for ingestion into a collection. Nothing is
+  // queued unless every file can be: an invalid collection or a name that is
+  // already taken rejects the whole upload and removes its temp files.
+  async enqueueUploads(files, { collection } = {}) {
+    try {
+      const folder = this.normalizeCollection(collection);
+      const names = new Set();
+
+      for (const file of files) {
+        const documentName = `${folder}${this.sanitizeFilename(
+          file.originalname
+        )}`;
+        if (
+          names.has(documentName) ||
+          this.isPending(documentName) ||
+          (await fs.pathExists(
+            path.join(this.ingestionService.inputDir, documentName)
+          ))
+        ) {
+          throw new UploadError(
+            `A document named ${documentName} already exists`,
+            "DOCUMENT_EXISTS",
+            409
+          );
+        }
+        names.add(documentName);
+      }
+    } catch (error) {
+      await Promise.all(
+        files.map((file) => fs.remove(file.path).catch(() => {}))
+      );
+      throw error;
+    }
+
+    const jobs = [];
+    for (const file of files) {
+      jobs.push(await this.enqueueUpload(file, { collection }));
+    }
+    return jobs;
+  }
+
+  // Queue an uploaded temp file for ingestion. Returns the job immediately;
+  // callers poll getJob for progress.
+  async enqueueUpload(file, { collection } = {}) {
+    const filename = this.sanitizeFilename(file.originalname);
+    const folder = this.normalizeCollection(collection);
+
+    const job = {
+      id: uuidv4(),
+      filename,
+      collection: folder,
+      documentName: `${folder}${filename}`,
+      size: file.size,
+      status: "queued",
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null,
+      result: null,
+      error: null,
+    };
+
+    this.jobs.set(job.id, job);
+    this.pruneJobs();
+
+    this.queue = this.queue.then(() => this.runJob(job, file.path));
+
+    return { ...job };
+  }
+
+  // Move the temp file into the documents folder, so later CLI runs keep
+  // treating it as a source document, and ingest it. A document that
+  // appeared under the same name since the upload was queued is left alone.
+  // Whatever happens, the temp file does not outlive the job.
+  async runJob(job, tempPath) {
+    job.status = "processing";
+    job.startedAt = new Date().toISOString();
+
+    try {
+      const destination = path.join(
+        this.ingestionService.inputDir,
+        job.documentName
+      );
+      if (await fs.pathExists(destination)) {
+        throw new UploadError(
+          `A document named ${job.documentName} already exists`,
+          "DOCUMENT_EXISTS",
+          409
+        );
+      }
+      await fs.ensureDir(path.dirname(destination));
+      await fs.move(tempPath, destination);
+
+      job.result = await this.ingestionService.ingestFile(destination);
+
+      if (job.result.status !== "unchanged") {
+        await this.knowledgeBaseService.reload();
+      }
+
+      job.status = "completed";
+    } catch (error) {
+      console.error(
+        `❌ Upload ingestion failed for ${job.documentName}:`,
+        error
+      );
+      job.status = "failed";
+      job.error = error.message;
+    } finally {
+      job.completedAt = new Date().toISOString();
+      await fs.remove(tempPath).catch((error) => {
+        console.error(`Error removing upload ${tempPath}:`, error.message);
+      });
+    }
+  }
+
+  pruneJobs() {
+    for (const [id, job] of this.jobs) {
+      if (this.jobs.size <= this.maxJobs) break;
+      if (job.status === "completed" || job.status === "failed") {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? { ...job } : null;
+  }
+
+  listJobs() {
+    return Array.from(this.jobs.values())
+      .map((job) => ({ ...job }))
+      .reverse();
+  }
+}
+
+// Singleton instance
+let documentUploadService = null;
+
+export const getDocumentUploadService = () => {
+  if (!documentUploadService) {
+    documentUploadService = new DocumentUploadService();
+  }
+  return documentUploadService;
+};
+
+export default DocumentUploadService;
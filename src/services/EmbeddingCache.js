@@ -0,0 +1,226 @@
+import fs from "fs-extra";
+import path from "path";
+import crypto from "crypto";
+import readline from "readline";
+import { fileURLToPath } from "url";
+import { getConfig } from "../config/index.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Bumped when cached vectors change meaning; older files are discarded.
+// 2: Ollama embeddings are always normalised
+const CACHE_FORMAT_VERSION = 2;
+
+// Whitespace differences do not change what a text means to the embedder
+const normalizeText = (text) =>
+  text.normalize("NFC").replace(/\s+/g, " ").trim();
+
+const encodeVector = (vector) => {
+  const floats = Float32Array.from(vector);
+  return Buffer.from(floats.buffer).toString("base64");
+};
+
+const decodeVector = (encoded) => {
+  const buffer = Buffer.from(encoded, "base64");
+  return new Float32Array(
+    buffer.buffer.slice(
+      buffer.byteOffset,
+      buffer.byteOffset + buffer.byteLength
+    )
+  );
+};
+
+// Persistent content-addressed cache of embeddings, keyed by the hash of the
+// embedding model and the normalised text, and shared by the ingestion script
+// and the app. Entries live in memory in least-recently-used order (evicted
+// beyond maxEntries) and are appended to a JSONL file as float32 base64; the
+// file starts with a header naming the model, and is discarded when the
+// configured embedding model or the cache format changes. The file is
+// rewritten without evicted entries once it holds twice maxEntries lines.
+export class EmbeddingCache {
+  constructor({
+    model,
+    filePath = path.join(__dirname, "../../data/cache/embeddings.jsonl"),
+    maxEntries = getConfig().embeddingCache.maxEntries,
+  } = {}) {
+    this.model = model;
+    this.filePath = filePath;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.fileLines = 0;
+    this.writePromise = Promise.resolve();
+    this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+    this.ready = null;
+  }
+
+  init() {
+    if (!this.ready) {
+      this.ready = this.load().catch((error) => {
+        console.error("Error loading embedding cache:", error.message);
+      });
+    }
+    return this.ready;
+  }
+
+  async load() {
+    if (!(await fs.pathExists(this.filePath))) {
+      await this.rewrite();
+      return;
+    }
+
+    const rl = readline.createInterface({
+      input: fs.createReadStream(this.filePath),
+      crlfDelay: Infinity,
+    });
+
+    let header = null;
+    for await (const line of rl) {
+      if (!line.trim()) continue;
+      this.fileLines++;
+
+      try {
+        const record = JSON.parse(line);
+        if (!header) {
+          header = record;
+          if (!this.matchesHeader(header)) break;
+          continue;
+        }
+        // Re-adding moves the key to the most recently used end
+        this.entries.delete(record.key);
+        this.entries.set(record.key, decodeVector(record.embedding));
+      } catch (error) {
+        // A line cut off by a crash or a concurrent write; skip it
+      }
+    }
+    rl.close();
+
+    if (!this.matchesHeader(header)) {
+      if (header && header.model === this.model) {
+        console.log("🧹 Embedding cache format changed, clearing it");
+      } else if (header) {
+        console.log(
+          `🧹 Embedding model changed (${header.model} → ${this.model}), clearing the embedding cache`
+        );
+      }
+      this.entries.clear();
+      await this.rewrite();
+      return;
+    }
+
+    this.evict();
+    if (this.fileLines > this.maxEntries * 2) {
+      await this.rewrite();
+    }
+  }
+
+  matchesHeader(header) {
+    return (
+      header?.model === this.model && header.version === CACHE_FORMAT_VERSION
+    );
+  }
+
+  keyFor(text) {
+    return crypto
+      .createHash("sha256")
+      .update(`${this.model}\n${normalizeText(text)}`)
+      .digest("hex");
+  }
+
+  async get(text) {
+    await this.init();
+
+    const key = this.keyFor(text);
+    const vector = this.entries.get(key);
+    if (!vector) {
+      this.stats.misses++;
+      return null;
+    }
+
+    this.stats.hits++;
+    this.entries.delete(key);
+    this.entries.set(key, vector);
+    return Array.from(vector);
+  }
+
+  async set(text, embedding) {
+    await this.init();
+
+    const key = this.keyFor(text);
+    if (this.entries.has(key)) return;
+
+    const encoded = encodeVector(embedding);
+    this.entries.set(key, decodeVector(encoded));
+    this.stats.writes++;
+    this.evict();
+
+    this.enqueueWrite(async () => {
+      await fs.appendFile(
+        this.filePath,
+        JSON.stringify({ key, embedding: encoded }) + "\n"
+      );
+      this.fileLines++;
+      if (this.fileLines > this.maxEntries * 2) {
+        await this.rewrite();
+      }
+    });
+  }
+
+  evict() {
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  // Write the header and the live entries, oldest first, via an atomic rename
+  async rewrite() {
+    const tempFile = `${this.filePath}.tmp`;
+    const lines = [
+      JSON.stringify({ model: this.model, version: CACHE_FORMAT_VERSION }),
+    ];
+    for (const [key, vector] of this.entries) {
+      lines.push(JSON.stringify({ key, embedding: encodeVector(vector) }));
+    }
+
+    await fs.ensureDir(path.dirname(this.filePath));
+    await fs.writeFile(tempFile, lines.join("\n") + "\n");
+    await fs.move(tempFile, this.filePath, { overwrite: true });
+    this.fileLines = lines.length;
+  }
+
+  enqueueWrite(write) {
+    this.writePromise = this.writePromise.then(write).catch((error) => {
+      console.error("Error saving embedding cache:", error.message);
+    });
+  }
+
+  // Resolves once everything set so far is on disk
+  async flush() {
+    await this.init();
+    await this.writePromise;
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      model: this.model,
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      ...this.stats,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : null,
+    };
+  }
+}
+
+// One cache per embedding model, shared by every provider in the process
+const caches = new Map();
+
+export const getEmbeddingCache = (model) => {
+  if (!caches.has(model)) {
+    caches.set(model, new EmbeddingCache({ model }));
+  }
+  return caches.get(model);
+};
+
+export default EmbeddingCache;
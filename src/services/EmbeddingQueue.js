@@ -0,0 +1,171 @@
+import { getConfig } from "../config/index.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Network failures, timeouts, rate limiting and server errors are worth
+// retrying; other 4xx responses (e.g. an input that is too long) are not
+const isRetryable = (error) => {
+  const status = error.response?.status;
+  return !status || status === 408 || status === 429 || status >= 500;
+};
+
+// Embeds many texts for ingestion: texts in the provider's embedding cache
+// are served from it, and for the rest at most `concurrency` requests are in
+// flight (and `requestsPerSecond` started, when set), texts grouped into
+// batch requests where the provider supports them, and failed requests
+// retried with exponential backoff. A text that still fails is reported, not
+// thrown, so one bad chunk does not sink the whole document.
+export class EmbeddingQueue {
+  constructor(provider, options = {}) {
+    const settings = { ...getConfig().embedding, ...options };
+
+    this.provider = provider;
+    this.concurrency = settings.concurrency;
+    this.batchSize = settings.batchSize;
+    this.maxRetries = settings.maxRetries;
+    this.retryDelayMs = settings.retryDelayMs;
+    this.requestInterval =
+      settings.requestsPerSecond > 0 ? 1000 / settings.requestsPerSecond : 0;
+
+    this.active = 0;
+    this.waiting = [];
+    this.nextRequestAt = 0;
+    this.stats = { requests: 0, retries: 0, failures: 0 };
+  }
+
+  async acquire() {
+    if (this.active < this.concurrency) {
+      this.active++;
+    } else {
+      // release() hands its slot straight to the next waiter
+      await new Promise((resolve) => this.waiting.push(resolve));
+    }
+
+    if (this.requestInterval > 0) {
+      const now = Date.now();
+      const startAt = Math.max(now, this.nextRequestAt);
+      this.nextRequestAt = startAt + this.requestInterval;
+      await sleep(startAt - now);
+    }
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  async request(send) {
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire();
+      this.stats.requests++;
+
+      try {
+        return await send();
+      } catch (error) {
+        if (attempt >= this.maxRetries || !isRetryable(error)) throw error;
+
+        // Honour Retry-After on 429/503, otherwise back off exponentially
+        // with some jitter so parallel requests do not retry in lockstep. The
+        // slot stays taken while backing off, easing off a struggling server.
+        const retryAfter = Number(error.response?.headers?.["retry-after"]);
+        const delay =
+          retryAfter > 0
+            ? retryAfter * 1000
+            : this.retryDelayMs * 2 ** attempt * (1 + Math.random() * 0.25);
+        this.stats.retries++;
+        await sleep(delay);
+      } finally {
+        this.release();
+      }
+    }
+  }
+
+  async embedBatch(texts) {
+    const embeddings = await this.request(() =>
+      texts.length === 1
+        ? this.provider.embed(texts[0]).then((embedding) => [embedding])
+        : this.provider.embedBatch(texts)
+    );
+
+    if (!Array.isArray(embeddings) || embeddings.length !== texts.length) {
+      throw new Error(
+        `Expected ${texts.length} embeddings, got ${embeddings?.length ?? 0}`
+      );
+    }
+    for (const embedding of embeddings) {
+      if (!Array.isArray(embedding) || embedding.length === 0) {
+        throw new Error("Empty embedding returned");
+      }
+    }
+    return embeddings;
+  }
+
+  // Embeds `texts` and calls onResult(index, { embedding } | { error }) as
+  // each one settles; resolves with the results in input order
+  async embedAll(texts, onResult = () => {}) {
+    const results = new Array(texts.length);
+    const cache = this.provider.embeddingCache;
+    const settle = (index, result) => {
+      if (result.error) this.stats.failures++;
+      if (result.embedding && !result.cached) {
+        cache?.set(texts[index], result.embedding);
+      }
+      results[index] = result;
+      onResult(index, result);
+    };
+
+    // Only texts missing from the cache are sent, in their original order
+    const pending = [];
+    for (let i = 0; i < texts.length; i++) {
+      const embedding = await cache?.get(texts[i]);
+      if (embedding) {
+        settle(i, { embedding, cached: true });
+      } else {
+        pending.push(i);
+      }
+    }
+
+    const batchSize = this.provider.supportsBatchEmbedding ? this.batchSize : 1;
+    const batches = [];
+    for (let start = 0; start < pending.length; start += batchSize) {
+      batches.push(start);
+    }
+
+    // `start` and `count` address `pending`
+    const embedRange = async (start, count) => {
+      const indexes = pending.slice(start, start + count);
+      const batch = indexes.map((index) => texts[index]);
+
+      try {
+        const embeddings = await this.embedBatch(batch);
+        embeddings.forEach((embedding, i) => settle(indexes[i], { embedding }));
+      } catch (error) {
+        // A rejected batch may be down to a single bad text: split it so
+        // only that text is lost. Retryable errors were already retried.
+        if (batch.length > 1 && !isRetryable(error)) {
+          const half = Math.ceil(batch.length / 2);
+          await Promise.all([
+            embedRange(start, half),
+            embedRange(start + half, batch.length - half),
+          ]);
+          return;
+        }
+        indexes.forEach((index) => settle(index, { error: error.message }));
+      }
+    };
+
+    await Promise.all(
+      batches.map((start) =>
+        embedRange(start, Math.min(batchSize, pending.length - start))
+      )
+    );
+
+    return results;
+  }
+}
+
+export default EmbeddingQueue;
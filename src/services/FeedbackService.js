@@ -0,0 +1,184 @@
+import fs from "fs-extra";
+import path from "path";
+import readline from "readline";
+import { fileURLToPath } from "url";
+import { getConfig } from "../config/index.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const RATINGS = ["up", "down"];
+const MAX_COMMENT_LENGTH = 2000;
+
+// Unusable ratings sent to the API
+export class FeedbackError extends Error {
+  constructor(problems) {
+    super(`Invalid feedback: ${problems.join("; ")}`);
+    this.name = "FeedbackError";
+    this.code = "INVALID_FEEDBACK";
+    this.problems = problems;
+  }
+}
+
+export const feedbackProblems = ({ rating, comment } = {}) => {
+  const problems = [];
+
+  if (!RATINGS.includes(rating)) {
+    problems.push(`rating must be one of ${RATINGS.join(", ")}`);
+  }
+  if (comment !== undefined && comment !== null) {
+    if (typeof comment !== "string") {
+      problems.push("comment must be a string");
+    } else if (comment.length > MAX_COMMENT_LENGTH) {
+      problems.push(`comment must be at most ${MAX_COMMENT_LENGTH} characters`);
+    }
+  }
+
+  return problems;
+};
+
+// One labelled example per rated answer. A good answer marks the chunks it
+// cited (or, without citations, everything it was given) as relevant to the
+// question. `answerable` is only set where the rating tells: a good answer
+// means the documents cover the question, a good "not covered" refusal means
+// they don't; the grounding calibration script reads these lines as is.
+const toEvaluationExample = (record) => {
+  const good = record.rating === "up";
+  const cited = record.retrieved.filter((source) => source.cited);
+  const used = cited.length > 0 ? cited : record.retrieved;
+  const relevant = good && !record.refused ? used : [];
+
+  return {
+    id: record.answerId,
+    question: record.query,
+    label: good ? "good" : "bad",
+    ...(good ? { answerable: !record.refused } : {}),
+    comment: record.comment,
+    answer: record.response,
+    retrievalQuery:
+      record.expandedQuery || record.rewrittenQuery || record.query,
+    relevantChunkIds: relevant.flatMap((source) => source.chunkIds),
+    retrievedChunkIds: record.retrieved.flatMap((source) => source.chunkIds),
+    retrieved: record.retrieved,
+    model: record.model,
+    askedAt: record.askedAt,
+    ratedAt: record.ratedAt,
+  };
+};
+
+// Thumbs up/down ratings of answers, with what the answer was built from:
+// the question, the retrieved chunks and their scores and the models used.
+// Ratings are appended to a JSONL file (data/feedback/feedback.jsonl by
+// default); rating an answer again supersedes the earlier line.
+export class FeedbackService {
+  constructor({ filePath = getConfig().feedback.file } = {}) {
+    this.filePath = path.resolve(path.join(__dirname, "../.."), filePath);
+    this.writePromise = Promise.resolve();
+  }
+
+  validate(feedback) {
+    const problems = feedbackProblems(feedback);
+    if (problems.length > 0) throw new FeedbackError(problems);
+  }
+
+  // Rate the answer of a chat history `turn`; returns the stored record
+  async record(turn, { sessionId, rating, comment }) {
+    this.validate({ rating, comment });
+
+    const citedNumbers = new Set(
+      (turn.citations || []).map((citation) => citation.number)
+    );
+    const record = {
+      answerId: turn.answerId,
+      sessionId,
+      rating,
+      comment: comment?.trim() || null,
+      ratedAt: new Date().toISOString(),
+      askedAt: turn.timestamp,
+      query: turn.query,
+      rewrittenQuery: turn.rewrittenQuery ?? null,
+      expandedQuery: turn.expandedQuery ?? null,
+      response: turn.response,
+      refused: Boolean(turn.grounding?.refused),
+      retrievalScore: turn.grounding?.retrieval?.score ?? null,
+      model: turn.model || null,
+      retrieved: (turn.contextSources || []).map((source) => ({
+        number: source.number,
+        chunkIds: source.chunkIds || [source.id],
+        documentName: source.documentName,
+        chunkIndexes: source.chunkIndexes || [source.chunkIndex],
+        section: source.section || "",
+        scores: source.scores || { vector: source.similarity ?? null },
+        ranks: source.ranks || null,
+        cited: citedNumbers.has(source.number),
+      })),
+    };
+
+    const write = async () => {
+      await fs.ensureDir(path.dirname(this.filePath));
+      await fs.appendFile(this.filePath, JSON.stringify(record) + "\n");
+    };
+    this.writePromise = this.writePromise.catch(() => {}).then(write);
+    await this.writePromise;
+
+    return record;
+  }
+
+  // The latest rating of each answer, newest first
+  async getFeedback({ rating } = {}) {
+    await this.writePromise.catch(() => {});
+    const records = new Map();
+
+    if (await fs.pathExists(this.filePath)) {
+      const lines = readline.createInterface({
+        input: fs.createReadStream(this.filePath),
+        crlfDelay: Infinity,
+      });
+
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          const record = JSON.parse(line);
+          records.delete(record.answerId);
+          records.set(record.answerId, record);
+        } catch (error) {
+          console.error("Error parsing feedback line:", error.message);
+        }
+      }
+    }
+
+    return Array.from(records.values())
+      .filter((record) => !rating || record.rating === rating)
+      .reverse();
+  }
+
+  async getSummary() {
+    const records = await this.getFeedback();
+    const up = records.filter((record) => record.rating === "up").length;
+    return {
+      total: records.length,
+      up,
+      down: records.length - up,
+      withComments: records.filter((record) => record.comment).length,
+    };
+  }
+
+  // Ratings as labelled evaluation examples, oldest first
+  async exportEvaluationSet({ rating } = {}) {
+    return (await this.getFeedback({ rating }))
+      .reverse()
+      .map(toEvaluationExample);
+  }
+}
+
+// Singleton instance
+let feedbackService = null;
+
+export const getFeedbackService = () => {
+  if (!feedbackService) {
+    feedbackService = new FeedbackService();
+  }
+  return feedbackService;
+};
+
+export default FeedbackService;
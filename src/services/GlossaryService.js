@@ -0,0 +1,396 @@
+import fs from "fs-extra";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { getConfig } from "../config/index.js";
+import { isAbbreviation } from "../utils/glossaryMining.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Shipped with the code; read until the glossary is first edited
+const DEFAULT_GLOSSARY_FILE = "data/glossary.default.json";
+
+export const ENTRY_TYPES = ["abbreviation", "synonym", "product", "keyword"];
+export const CANDIDATE_STATUSES = ["pending", "approved", "rejected"];
+
+// Invalid glossary entries sent to the API
+export class GlossaryError extends Error {
+  constructor(problems) {
+    super(`Invalid glossary entry: ${problems.join("; ")}`);
+    this.name = "GlossaryError";
+    this.code = "INVALID_GLOSSARY_ENTRY";
+    this.problems = problems;
+  }
+}
+
+const normalizeTerm = (term) =>
+  String(term).trim().toLowerCase().replace(/\s+/g, " ");
+
+// Stable id of a mined definition, for approving or rejecting it
+export const candidateId = (term, expansion) =>
+  crypto
+    .createHash("sha1")
+    .update(`${normalizeTerm(term)}\n${normalizeTerm(expansion)}`)
+    .digest("hex")
+    .slice(0, 12);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Whole-word, case-insensitive; terms may contain punctuation ("pan-os"),
+// and a hyphenated word is one word ("wan" is not found in "sd-wan")
+const termPattern = (term) =>
+  new RegExp(
+    `(?<![\\p{L}\\p{N}-])${escapeRegExp(term).replace(/ /g, "\\s+")}(?![\\p{L}\\p{N}-])`,
+    "giu"
+  );
+
+export const entryProblems = (entry) => {
+  const problems = [];
+
+  if (typeof entry?.term !== "string" || !entry.term.trim()) {
+    problems.push("term must be a non-empty string");
+  } else if (entry.term.length > 100) {
+    problems.push("term must be at most 100 characters");
+  }
+  if (!ENTRY_TYPES.includes(entry?.type)) {
+    problems.push(`type must be one of ${ENTRY_TYPES.join(", ")}`);
+  }
+  if (
+    entry?.expansions !== undefined &&
+    (!Array.isArray(entry.expansions) ||
+      entry.expansions.some(
+        (expansion) => typeof expansion !== "string" || !expansion.trim()
+      ))
+  ) {
+    problems.push("expansions must be an array of non-empty strings");
+  }
+  if (entry?.keyword !== undefined && typeof entry.keyword !== "boolean") {
+    problems.push("keyword must be true or false");
+  }
+
+  return problems;
+};
+
+const normalizeEntry = (entry) => {
+  const term = normalizeTerm(entry.term);
+  return {
+    term,
+    type: entry.type,
+    expansions: [
+      ...new Set((entry.expansions || []).map(normalizeTerm)),
+    ].filter((expansion) => expansion !== term),
+    keyword: entry.keyword ?? entry.type === "keyword",
+  };
+};
+
+// The IT glossary: abbreviations, synonyms, vendor product names and the
+// keywords documents are tagged with. It drives query expansion for retrieval
+// and keyword extraction at ingestion. It starts out as the shipped
+// data/glossary.default.json; the first edit writes the whole glossary to
+// glossary.file (data/glossary/glossary.json by default, not tracked by git),
+// which is read from then on. The file is re-read when it changes on disk, so
+// edits made through the API are seen by the ingestion script and hand edits
+// by the app. Definitions mined from the documents at ingestion are offered
+// as candidates to approve into it; rejected ones are listed in the file so
+// they are not offered again.
+export class GlossaryService {
+  constructor({
+    filePath = getConfig().glossary.file,
+    defaultFilePath = DEFAULT_GLOSSARY_FILE,
+  } = {}) {
+    const root = path.join(__dirname, "../..");
+    this.filePath = path.resolve(root, filePath);
+    this.defaultFilePath = path.resolve(root, defaultFilePath);
+    this.entries = new Map();
+    this.rejected = new Map();
+    this.loadedFile = null;
+    this.loadedMtime = null;
+    this.lastUpdateCheck = 0;
+    this.updateCheckInterval = 2000; // ms between mtime checks on access
+    this.savePromise = Promise.resolve();
+  }
+
+  // Reload the file if it changed since it was read; missing files leave the
+  // glossary empty and a broken one leaves it as it was
+  refresh() {
+    const now = Date.now();
+    if (
+      this.loadedMtime !== null &&
+      now - this.lastUpdateCheck < this.updateCheckInterval
+    ) {
+      return;
+    }
+    this.lastUpdateCheck = now;
+
+    try {
+      const file = [this.filePath, this.defaultFilePath].find((candidate) =>
+        fs.existsSync(candidate)
+      );
+      if (!file) {
+        this.entries = new Map();
+        this.rejected = new Map();
+        this.loadedFile = null;
+        this.loadedMtime = 0;
+        return;
+      }
+
+      const { mtimeMs } = fs.statSync(file);
+      if (file === this.loadedFile && mtimeMs === this.loadedMtime) return;
+
+      const glossary = fs.readJsonSync(file);
+      const entries = new Map();
+      for (const entry of glossary.entries || []) {
+        const problems = entryProblems(entry);
+        if (problems.length > 0) {
+          console.warn(
+            `⚠️  Skipping glossary entry "${entry?.term}": ${problems.join("; ")}`
+          );
+          continue;
+        }
+        const normalized = normalizeEntry(entry);
+        entries.set(normalized.term, normalized);
+      }
+
+      this.entries = entries;
+      this.rejected = new Map(
+        (glossary.rejected || [])
+          .filter((item) => item?.term && item?.expansion)
+          .map(({ term, expansion }) => [
+            candidateId(term, expansion),
+            { term: normalizeTerm(term), expansion: normalizeTerm(expansion) },
+          ])
+      );
+      this.loadedFile = file;
+      this.loadedMtime = mtimeMs;
+    } catch (error) {
+      console.error("Error loading glossary:", error.message);
+      this.loadedMtime ??= 0;
+    }
+  }
+
+  getEntries({ type } = {}) {
+    this.refresh();
+    const entries = Array.from(this.entries.values());
+    return (
+      type ? entries.filter((entry) => entry.type === type) : entries
+    ).sort((a, b) => a.term.localeCompare(b.term));
+  }
+
+  getEntry(term) {
+    this.refresh();
+    return this.entries.get(normalizeTerm(term)) || null;
+  }
+
+  // Add or replace the entry for `entry.term`; returns { entry, created }
+  async upsertEntry(entry) {
+    const problems = entryProblems(entry);
+    if (problems.length > 0) throw new GlossaryError(problems);
+
+    this.refresh();
+    const normalized = normalizeEntry(entry);
+    const created = !this.entries.has(normalized.term);
+    this.entries.set(normalized.term, normalized);
+    await this.save();
+
+    return { entry: normalized, created };
+  }
+
+  // Returns whether there was an entry to remove
+  async removeEntry(term) {
+    this.refresh();
+    if (!this.entries.delete(normalizeTerm(term))) return false;
+    await this.save();
+    return true;
+  }
+
+  // Definitions mined from the documents (`definitions`: { term, expansion,
+  // pattern, context, documentName }) grouped by term and expansion, with
+  // the documents they were found in. A candidate is approved once the
+  // glossary expands its term to its expansion.
+  getCandidates(definitions, { status } = {}) {
+    this.refresh();
+    const candidates = new Map();
+
+    for (const definition of definitions) {
+      const id = candidateId(definition.term, definition.expansion);
+      if (!candidates.has(id)) {
+        const term = normalizeTerm(definition.term);
+        const expansion = normalizeTerm(definition.expansion);
+        const entry = this.entries.get(term);
+
+        candidates.set(id, {
+          id,
+          term,
+          expansion,
+          type: isAbbreviation(definition.term.trim())
+            ? "abbreviation"
+            : "synonym",
+          status: entry?.expansions.includes(expansion)
+            ? "approved"
+            : this.rejected.has(id)
+              ? "rejected"
+              : "pending",
+          existingEntry: entry || null,
+          sources: [],
+        });
+      }
+      candidates.get(id).sources.push({
+        documentName: definition.documentName,
+        pattern: definition.pattern,
+        context: definition.context,
+      });
+    }
+
+    // Definitions found in most documents first
+    return Array.from(candidates.values())
+      .filter((candidate) => !status || candidate.status === status)
+      .sort(
+        (a, b) =>
+          b.sources.length - a.sources.length || a.term.localeCompare(b.term)
+      );
+  }
+
+  // Add the candidate's expansion to the glossary: to the entry for its term
+  // if there is one, else as a new entry. `type` and `expansions` override
+  // what was mined.
+  async approveCandidate(candidate, { type, expansions } = {}) {
+    this.refresh();
+    const existing = this.entries.get(candidate.term);
+    const added = expansions ?? [candidate.expansion];
+
+    const entry = {
+      term: candidate.term,
+      type: type ?? existing?.type ?? candidate.type,
+      expansions: Array.isArray(added)
+        ? [...(existing?.expansions || []), ...added]
+        : added,
+      keyword: existing?.keyword,
+    };
+    const problems = entryProblems(entry);
+    if (problems.length > 0) throw new GlossaryError(problems);
+
+    // With corrected expansions, the mined one is not offered again
+    if (
+      expansions === undefined ||
+      added.map(normalizeTerm).includes(candidate.expansion)
+    ) {
+      this.rejected.delete(candidate.id);
+    } else {
+      this.rejected.set(candidate.id, {
+        term: candidate.term,
+        expansion: candidate.expansion,
+      });
+    }
+    return this.upsertEntry(entry);
+  }
+
+  async rejectCandidate(candidate) {
+    this.refresh();
+    this.rejected.set(candidate.id, {
+      term: candidate.term,
+      expansion: candidate.expansion,
+    });
+    await this.save();
+  }
+
+  // Writes go one at a time, each via an atomic rename of the whole file
+  save() {
+    const write = async () => {
+      const tempFile = `${this.filePath}.tmp`;
+      await fs.ensureDir(path.dirname(this.filePath));
+      await fs.writeJson(
+        tempFile,
+        {
+          entries: Array.from(this.entries.values()),
+          rejected: Array.from(this.rejected.values()),
+        },
+        { spaces: 2 }
+      );
+      await fs.move(tempFile, this.filePath, { overwrite: true });
+      this.loadedFile = this.filePath;
+      this.loadedMtime = (await fs.stat(this.filePath)).mtimeMs;
+    };
+
+    this.savePromise = this.savePromise.catch(() => {}).then(write);
+    return this.savePromise;
+  }
+
+  // Terms that mean the same as `entry.term` wherever one of them is found.
+  // Abbreviations and synonyms work both ways ("virtual private network"
+  // also finds "vpn"); product names only add their expansions, so a
+  // question about firewalls is not tied to one vendor.
+  aliasesOf(entry) {
+    return entry.type === "product" || entry.type === "keyword"
+      ? [entry.term]
+      : [entry.term, ...entry.expansions];
+  }
+
+  // The query with the glossary terms it mentions followed by their
+  // expansions, for retrieval only; `expansions` lists what was added per term
+  expandQuery(query) {
+    this.refresh();
+    const added = new Set();
+    const expansions = [];
+
+    for (const entry of this.entries.values()) {
+      if (entry.expansions.length === 0) continue;
+
+      const group = [entry.term, ...entry.expansions];
+      const found = this.aliasesOf(entry).filter((alias) =>
+        termPattern(alias).test(query)
+      );
+      if (found.length === 0) continue;
+
+      const terms = group.filter(
+        (term) =>
+          !found.includes(term) &&
+          !added.has(term) &&
+          !termPattern(term).test(query)
+      );
+      if (terms.length === 0) continue;
+
+      terms.forEach((term) => added.add(term));
+      expansions.push({ term: entry.term, added: terms });
+    }
+
+    return {
+      query: added.size > 0 ? `${query} ${[...added].join(" ")}` : query,
+      expansions,
+    };
+  }
+
+  // Keyword entries mentioned more than twice in `text` (counting their
+  // abbreviation or synonym forms), most mentioned first
+  extractKeywords(text) {
+    this.refresh();
+    const found = [];
+
+    for (const entry of this.entries.values()) {
+      if (!entry.keyword) continue;
+
+      const count = this.aliasesOf(entry).reduce(
+        (total, alias) => total + (text.match(termPattern(alias)) || []).length,
+        0
+      );
+      // Only include if mentioned multiple times
+      if (count > 2) {
+        found.push({ keyword: entry.term, count });
+      }
+    }
+
+    return found.sort((a, b) => b.count - a.count).map((item) => item.keyword);
+  }
+}
+
+// Singleton instance
+let glossaryService = null;
+
+export const getGlossaryService = () => {
+  if (!glossaryService) {
+    glossaryService = new GlossaryService();
+  }
+  return glossaryService;
+};
+
+export default GlossaryService;
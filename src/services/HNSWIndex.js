@@ -0,0 +1,357 @@
+import fs from "fs-extra";
+
+// Hierarchical Navigable Small World graph for approximate nearest-neighbour
+// search (Malkov & Yashunin, 2016). Vectors are L2-normalised and packed into
+// a single Float32Array, so cosine similarity is a plain dot product.
+
+const INDEX_FORMAT_VERSION = 1;
+
+class BinaryHeap {
+  constructor(compare) {
+    this.items = [];
+    this.compare = compare;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (
+          left < items.length &&
+          this.compare(items[left], items[smallest]) < 0
+        ) {
+          smallest = left;
+        }
+        if (
+          right < items.length &&
+          this.compare(items[right], items[smallest]) < 0
+        ) {
+          smallest = right;
+        }
+        if (smallest === i) break;
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+// Seeded PRNG so the same data always produces the same graph
+const mulberry32 = (seed) => () => {
+  seed |= 0;
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+export const normalizeVector = (
+  vector,
+  target = new Float32Array(vector.length)
+) => {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) {
+    norm += vector[i] * vector[i];
+  }
+  norm = Math.sqrt(norm);
+  for (let i = 0; i < vector.length; i++) {
+    target[i] = norm === 0 ? 0 : vector[i] / norm;
+  }
+  return target;
+};
+
+// Pack an array of embeddings into one normalised Float32Array
+export const packVectors = (embeddings, dimension) => {
+  const data = new Float32Array(embeddings.length * dimension);
+  embeddings.forEach((embedding, i) => {
+    normalizeVector(
+      embedding,
+      data.subarray(i * dimension, (i + 1) * dimension)
+    );
+  });
+  return data;
+};
+
+export class HNSWIndex {
+  constructor(vectors, dimension, options = {}) {
+    this.vectors = vectors;
+    this.dimension = dimension;
+    this.count = vectors.length / dimension;
+    this.M = options.M || 16;
+    this.maxNeighborsLevel0 = this.M * 2;
+    this.efConstruction = options.efConstruction || 64;
+    this.efSearch = options.efSearch || 64;
+    this.levelMultiplier = 1 / Math.log(this.M);
+    this.random = mulberry32(options.seed || 42);
+
+    this.levels = new Uint8Array(this.count);
+    this.neighbors = new Array(this.count); // neighbors[node][level] = node[]
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    this.built = 0; // Number of nodes inserted so far
+  }
+
+  similarity(a, b) {
+    const dim = this.dimension;
+    const vectors = this.vectors;
+    const offsetA = a * dim;
+    const offsetB = b * dim;
+    let dot = 0;
+    for (let i = 0; i < dim; i++) {
+      dot += vectors[offsetA + i] * vectors[offsetB + i];
+    }
+    return dot;
+  }
+
+  similarityToQuery(query, node) {
+    const dim = this.dimension;
+    const vectors = this.vectors;
+    const offset = node * dim;
+    let dot = 0;
+    for (let i = 0; i < dim; i++) {
+      dot += query[i] * vectors[offset + i];
+    }
+    return dot;
+  }
+
+  randomLevel() {
+    const level = Math.floor(
+      -Math.log(1 - this.random()) * this.levelMultiplier
+    );
+    return Math.min(level, 255);
+  }
+
+  // Greedy beam search on one layer. Returns up to `ef` candidates as
+  // [similarity, node] pairs, best first.
+  searchLayer(scoreFn, entryPoints, ef, level) {
+    const visited = new Set(entryPoints.map(([, node]) => node));
+    // Max-heap of candidates to expand, min-heap of the current best results
+    const candidates = new BinaryHeap((a, b) => b[0] - a[0]);
+    const results = new BinaryHeap((a, b) => a[0] - b[0]);
+
+    for (const entry of entryPoints) {
+      candidates.push(entry);
+      results.push(entry);
+      if (results.size > ef) results.pop();
+    }
+
+    while (candidates.size > 0) {
+      const [similarity, node] = candidates.pop();
+      if (results.size >= ef && similarity < results.peek()[0]) break;
+
+      for (const neighbor of this.neighbors[node][level]) {
+        if (visited.has(neighbor)) continue;
+        visited.add(neighbor);
+
+        const neighborSimilarity = scoreFn(neighbor);
+        if (results.size < ef || neighborSimilarity > results.peek()[0]) {
+          candidates.push([neighborSimilarity, neighbor]);
+          results.push([neighborSimilarity, neighbor]);
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+
+    return results.items.sort((a, b) => b[0] - a[0]);
+  }
+
+  // Neighbour selection heuristic: keep a candidate only if it is closer to
+  // the base node than to any neighbour already selected, which spreads
+  // links across clusters and keeps recall high on clustered data
+  selectNeighbors(candidates, maxNeighbors) {
+    const selected = [];
+    for (const [similarity, node] of candidates) {
+      if (selected.length >= maxNeighbors) break;
+      let keep = true;
+      for (const [, chosen] of selected) {
+        if (this.similarity(node, chosen) > similarity) {
+          keep = false;
+          break;
+        }
+      }
+      if (keep) selected.push([similarity, node]);
+    }
+
+    // Top up with the closest remaining candidates if the heuristic was strict,
+    // to M only: a full level-0 list would leave no room for reverse links,
+    // and shrinking it to the closest ones drops the links between clusters
+    if (selected.length < this.M) {
+      const chosen = new Set(selected.map(([, node]) => node));
+      for (const candidate of candidates) {
+        if (selected.length >= this.M) break;
+        if (!chosen.has(candidate[1])) selected.push(candidate);
+      }
+    }
+
+    return selected.map(([, node]) => node);
+  }
+
+  insert(node) {
+    const level = this.randomLevel();
+    this.levels[node] = level;
+    this.neighbors[node] = Array.from({ length: level + 1 }, () => []);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+      return;
+    }
+
+    const scoreFn = (other) => this.similarity(node, other);
+    let entryPoints = [[scoreFn(this.entryPoint), this.entryPoint]];
+
+    for (let l = this.maxLevel; l > level; l--) {
+      entryPoints = this.searchLayer(scoreFn, entryPoints, 1, l);
+    }
+
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const candidates = this.searchLayer(
+        scoreFn,
+        entryPoints,
+        this.efConstruction,
+        l
+      );
+      const maxNeighbors = l === 0 ? this.maxNeighborsLevel0 : this.M;
+      const selected = this.selectNeighbors(candidates, maxNeighbors);
+      this.neighbors[node][l] = selected;
+
+      for (const neighbor of selected) {
+        const links = this.neighbors[neighbor][l];
+        links.push(node);
+
+        // Shrink overflowing neighbour lists to the closest links. Running the
+        // full heuristic here as well roughly doubles build time for little
+        // recall gain on embedding data.
+        if (links.length > maxNeighbors) {
+          const ranked = links
+            .map((other) => [this.similarity(neighbor, other), other])
+            .sort((a, b) => b[0] - a[0]);
+          this.neighbors[neighbor][l] = ranked
+            .slice(0, maxNeighbors)
+            .map(([, other]) => other);
+        }
+      }
+
+      entryPoints = candidates;
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = node;
+    }
+  }
+
+  // Build the graph, yielding to the event loop periodically so a background
+  // reload does not stall requests served from the previous snapshot
+  async build({ yieldEvery = 250 } = {}) {
+    for (let node = this.built; node < this.count; node++) {
+      this.insert(node);
+      this.built = node + 1;
+      if (node % yieldEvery === 0) {
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+    }
+    return this;
+  }
+
+  // Returns up to k [{ index, similarity }] for an already normalised query
+  search(query, k = 10, ef = this.efSearch) {
+    if (this.entryPoint === -1) return [];
+
+    const scoreFn = (node) => this.similarityToQuery(query, node);
+    let entryPoints = [[scoreFn(this.entryPoint), this.entryPoint]];
+
+    for (let l = this.maxLevel; l > 0; l--) {
+      entryPoints = this.searchLayer(scoreFn, entryPoints, 1, l);
+    }
+
+    return this.searchLayer(scoreFn, entryPoints, Math.max(ef, k), 0)
+      .slice(0, k)
+      .map(([similarity, index]) => ({ index, similarity }));
+  }
+
+  toJSON(fingerprint) {
+    return {
+      version: INDEX_FORMAT_VERSION,
+      fingerprint,
+      dimension: this.dimension,
+      count: this.count,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      levels: Array.from(this.levels),
+      neighbors: this.neighbors,
+    };
+  }
+
+  async save(filePath, fingerprint) {
+    const tempFile = `${filePath}.tmp`;
+    await fs.writeJson(tempFile, this.toJSON(fingerprint));
+    await fs.move(tempFile, filePath, { overwrite: true });
+  }
+
+  // Restore a persisted graph over freshly packed vectors. Returns null when
+  // the file is missing or was built from different data.
+  static async load(filePath, vectors, dimension, fingerprint) {
+    if (!(await fs.pathExists(filePath))) return null;
+
+    try {
+      const data = await fs.readJson(filePath);
+      if (
+        data.version !== INDEX_FORMAT_VERSION ||
+        data.fingerprint !== fingerprint ||
+        data.dimension !== dimension ||
+        data.count !== vectors.length / dimension
+      ) {
+        return null;
+      }
+
+      const index = new HNSWIndex(vectors, dimension, {
+        M: data.M,
+        efConstruction: data.efConstruction,
+        efSearch: data.efSearch,
+      });
+      index.levels = Uint8Array.from(data.levels);
+      index.neighbors = data.neighbors;
+      index.entryPoint = data.entryPoint;
+      index.maxLevel = data.maxLevel;
+      index.built = index.count;
+      return index;
+    } catch (error) {
+      console.error("Error loading vector index:", error.message);
+      return null;
+    }
+  }
+}
+
+export default HNSWIndex;
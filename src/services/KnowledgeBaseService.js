@@ -2,10 +2,26 @@ import fs from "fs-extra";
 import path from "path";
 import { fileURLToPath } from "url";
 import readline from "readline";
+import crypto from "crypto";
+import HNSWIndex, { normalizeVector, packVectors } from "./HNSWIndex.js";
+import BM25Index from "./BM25Index.js";
+import { getConfig } from "../config/index.js";
+import { getEmbeddingModelId } from "./LLMProviderFactory.js";
+import { collectionOf } from "../utils/collections.js";
+import { createDocumentFilter } from "../utils/filters.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Vector search against embeddings from another model than the query's
+export class EmbeddingMismatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "EmbeddingMismatchError";
+    this.code = "EMBEDDING_MODEL_MISMATCH";
+  }
+}
+
 export class KnowledgeBaseService {
   constructor() {
     this.knowledgeFile = path.join(
@@ -16,13 +32,38 @@ export class KnowledgeBaseService {
       __dirname,
       "../../data/processed/ingestion_summary.json"
     );
+    this.indexFile = path.join(
+      __dirname,
+      "../../data/processed/knowledge_base.hnsw.json"
+    );
+    // "ann" uses the HNSW index, "exact" falls back to a brute-force scan
+    this.searchMode = getConfig().retrieval.vectorSearch;
+    // Brute force is fast enough below this size
+    this.annMinChunks = getConfig().retrieval.annMinChunks;
+    this.embeddingMismatchMode = getConfig().retrieval.embeddingMismatch;
+    this.embeddingModel = getEmbeddingModelId();
+    this.embeddingInfo = null;
+    this.warnedQueryDimension = false;
     this.chunks = [];
+    this.chunksByPosition = new Map();
+    this.vectorStore = null;
+    this.lexicalIndex = null;
     this.documents = [];
     this.loaded = false;
+    this.loadedMtime = null; // mtime of the JSONL file currently in memory
+    this.loadedAt = null;
+    this.reloadPromise = null;
+    this.lastUpdateCheck = 0;
+    this.updateCheckInterval = 2000; // ms between mtime checks on access
+    this.watching = false;
   }
 
   async loadKnowledgeBase() {
-    if (this.loaded) return true;
+    if (this.loaded) {
+      // Serve the current snapshot and pick up a newer file in the background
+      this.checkForUpdates();
+      return true;
+    }
 
     if (!(await fs.pathExists(this.knowledgeFile))) {
       // Don't throw error, just return false to indicate KB is not available
@@ -30,52 +71,348 @@ export class KnowledgeBaseService {
       return false;
     }
 
-    console.log("📚 Loading knowledge base...");
-
-    try {
-      this.chunks = [];
-      this.documents = [];
+    return await this.reload();
+  }
 
-      const fileStream = fs.createReadStream(this.knowledgeFile);
-      const rl = readline.createInterface({
-        input: fileStream,
-        crlfDelay: Infinity,
-      });
+  // Read the JSONL file into a fresh snapshot without touching the one that
+  // is currently serving queries
+  async readKnowledgeFile() {
+    const { mtimeMs } = await fs.stat(this.knowledgeFile);
+    const snapshot = {
+      chunks: [],
+      documents: [],
+      mtimeMs,
+    };
 
-      let chunkCount = 0;
-      let docCount = 0;
-
-      for await (const line of rl) {
-        if (line.trim()) {
-          try {
-            const data = JSON.parse(line);
-
-            if (data.type === "document") {
-              this.documents.push(data);
-              docCount++;
-            } else if (data.type === "chunk") {
-              this.chunks.push(data);
-              chunkCount++;
-            }
-          } catch (error) {
-            console.error("Error parsing line:", error.message);
+    const fileStream = fs.createReadStream(this.knowledgeFile);
+    const rl = readline.createInterface({
+      input: fileStream,
+      crlfDelay: Infinity,
+    });
+
+    for await (const line of rl) {
+      if (line.trim()) {
+        try {
+          const data = JSON.parse(line);
+
+          if (data.type === "document") {
+            snapshot.documents.push(data);
+          } else if (data.type === "chunk") {
+            snapshot.chunks.push(data);
           }
+        } catch (error) {
+          console.error("Error parsing line:", error.message);
         }
       }
+    }
 
-      console.log(`✅ Knowledge base loaded:`);
-      console.log(`   📄 Documents: ${docCount}`);
-      console.log(`   📦 Chunks: ${chunkCount}`);
+    // Records ingested before collections existed get theirs from the name
+    const collections = new Map(
+      snapshot.documents.map((doc) => [
+        doc.document_name,
+        doc.collection ?? collectionOf(doc.document_name),
+      ])
+    );
+    for (const chunk of snapshot.chunks) {
+      chunk.collection =
+        collections.get(chunk.document_name) ??
+        collectionOf(chunk.document_name);
+    }
 
-      this.loaded = true;
-      return true;
+    // Neighbouring chunks are looked up by position for context expansion
+    snapshot.chunksByPosition = new Map(
+      snapshot.chunks.map((chunk) => [
+        `${chunk.document_name}#${chunk.chunk_index}`,
+        chunk,
+      ])
+    );
+
+    snapshot.embeddingInfo = this.checkEmbeddingModels(snapshot.documents);
+    snapshot.vectorStore = snapshot.embeddingInfo.refusal
+      ? null
+      : await this.buildVectorStore(
+          snapshot.chunks,
+          snapshot.embeddingInfo.excluded
+        );
+    // Headings are indexed too, so a keyword in a section title matches
+    // every chunk of that section
+    snapshot.lexicalIndex = BM25Index.fromTexts(
+      snapshot.chunks.map((chunk) =>
+        chunk.heading_path?.length
+          ? `${chunk.heading_path.join(" ")}\n${chunk.text}`
+          : chunk.text
+      )
+    );
+
+    return snapshot;
+  }
+
+  // Compare the embedding model recorded on each document with the
+  // configured one. Documents ingested before models were recorded are
+  // assumed to match; a dimension mismatch still shows at query time.
+  checkEmbeddingModels(documents) {
+    const models = {};
+    const excluded = new Set();
+
+    for (const doc of documents) {
+      const model = doc.embedding_model || "unrecorded";
+      models[model] = (models[model] || 0) + 1;
+      if (doc.embedding_model && doc.embedding_model !== this.embeddingModel) {
+        excluded.add(doc.document_name);
+      }
+    }
+
+    const info = {
+      configuredModel: this.embeddingModel,
+      models,
+      dimension:
+        documents.find(
+          (doc) =>
+            doc.embedding_model === this.embeddingModel &&
+            doc.embedding_dimension
+        )?.embedding_dimension || null,
+      normalized:
+        documents.length > 0 &&
+        documents.every((doc) => doc.embedding_normalized === true),
+      mismatchedDocuments: excluded.size,
+      excluded,
+      refusal: null,
+    };
+
+    if (excluded.size > 0) {
+      const others = Object.keys(models).filter(
+        (model) => model !== this.embeddingModel && model !== "unrecorded"
+      );
+      const message =
+        `${excluded.size} documents were embedded with ${others.join(", ")}, ` +
+        `but the configured embedding model is ${this.embeddingModel}. ` +
+        "Run 'npm run reembed' to migrate the knowledge base";
+
+      if (this.embeddingMismatchMode === "refuse") {
+        info.refusal = message;
+        console.error(`❌ ${message}. Vector search is disabled until then.`);
+      } else {
+        console.warn(
+          `⚠️  ${message}. Until then they are left out of vector search.`
+        );
+      }
+    }
+
+    return info;
+  }
+
+  // Pack chunk embeddings into one normalised Float32Array and attach an ANN
+  // index, reusing the persisted graph when it matches the chunk set. Chunks
+  // of `excluded` documents (embedded with another model) are left out.
+  async buildVectorStore(chunks, excluded = new Set()) {
+    const dimension = chunks.find(
+      (chunk) => chunk.embedding?.length && !excluded.has(chunk.document_name)
+    )?.embedding.length;
+    if (!dimension) {
+      chunks.forEach((chunk) => delete chunk.embedding);
+      return null;
+    }
+
+    const embeddings = [];
+    const chunkPositions = [];
+    let skipped = 0;
+
+    chunks.forEach((chunk, position) => {
+      if (excluded.has(chunk.document_name)) {
+        // Already reported as a model mismatch
+      } else if (chunk.embedding?.length === dimension) {
+        embeddings.push(chunk.embedding);
+        chunkPositions.push(position);
+      } else {
+        skipped++;
+      }
+      // The packed copy is all search needs; free the plain JS array
+      delete chunk.embedding;
+    });
+
+    if (skipped > 0) {
+      console.warn(
+        `⚠️  Skipped ${skipped} chunks without a ${dimension}-dimension embedding`
+      );
+    }
+
+    const vectorStore = {
+      dimension,
+      vectors: packVectors(embeddings, dimension),
+      chunkPositions: Int32Array.from(chunkPositions),
+      index: null,
+    };
+
+    if (this.searchMode !== "ann" || embeddings.length < this.annMinChunks) {
+      return vectorStore;
+    }
+
+    // Re-embedding keeps chunk ids, so the model is part of the fingerprint
+    const fingerprint = crypto
+      .createHash("sha1")
+      .update(`${this.embeddingModel}:${dimension}:`)
+      .update(chunkPositions.map((position) => chunks[position].id).join(","))
+      .digest("hex");
+
+    vectorStore.index = await HNSWIndex.load(
+      this.indexFile,
+      vectorStore.vectors,
+      dimension,
+      fingerprint
+    );
+
+    if (vectorStore.index) {
+      console.log("⚡ Loaded persisted vector index");
+    } else {
+      console.log(
+        `🏗️  Building vector index for ${embeddings.length} chunks...`
+      );
+      const startTime = Date.now();
+      vectorStore.index = await new HNSWIndex(
+        vectorStore.vectors,
+        dimension
+      ).build();
+      console.log(`✅ Vector index built in ${Date.now() - startTime}ms`);
+
+      try {
+        await vectorStore.index.save(this.indexFile, fingerprint);
+      } catch (error) {
+        console.error("Error saving vector index:", error.message);
+      }
+    }
+
+    return vectorStore;
+  }
+
+  applySnapshot(snapshot) {
+    this.chunks = snapshot.chunks;
+    this.chunksByPosition = snapshot.chunksByPosition;
+    this.vectorStore = snapshot.vectorStore;
+    this.lexicalIndex = snapshot.lexicalIndex;
+    this.documents = snapshot.documents;
+    this.embeddingInfo = snapshot.embeddingInfo;
+    this.warnedQueryDimension = false;
+    this.loadedMtime = snapshot.mtimeMs;
+    this.loadedAt = new Date().toISOString();
+    this.loaded = true;
+  }
+
+  // Load the knowledge base file into a fresh snapshot and swap it in once it
+  // is complete. Concurrent callers share the same in-flight reload.
+  async reload() {
+    if (this.reloadPromise) return await this.reloadPromise;
+
+    this.reloadPromise = (async () => {
+      if (!(await fs.pathExists(this.knowledgeFile))) {
+        console.log("❌ Knowledge base file not found:", this.knowledgeFile);
+        return this.loaded;
+      }
+
+      console.log(
+        this.loaded
+          ? "🔄 Reloading knowledge base..."
+          : "📚 Loading knowledge base..."
+      );
+
+      try {
+        const snapshot = await this.readKnowledgeFile();
+        this.applySnapshot(snapshot);
+
+        console.log(`✅ Knowledge base loaded:`);
+        console.log(`   📄 Documents: ${snapshot.documents.length}`);
+        console.log(`   📦 Chunks: ${snapshot.chunks.length}`);
+
+        return true;
+      } catch (error) {
+        console.error("❌ Error loading knowledge base:", error);
+        // Keep serving the previous snapshot if there is one
+        return this.loaded;
+      } finally {
+        this.reloadPromise = null;
+      }
+    })();
+
+    return await this.reloadPromise;
+  }
+
+  async isStale() {
+    try {
+      const { mtimeMs } = await fs.stat(this.knowledgeFile);
+      return this.loadedMtime === null || mtimeMs > this.loadedMtime;
     } catch (error) {
-      console.error("❌ Error loading knowledge base:", error);
-      this.loaded = false;
       return false;
     }
   }
 
+  checkForUpdates() {
+    const now = Date.now();
+    if (
+      this.reloadPromise ||
+      now - this.lastUpdateCheck < this.updateCheckInterval
+    ) {
+      return;
+    }
+    this.lastUpdateCheck = now;
+
+    this.isStale()
+      .then((stale) => {
+        if (stale) {
+          console.log("📝 Knowledge base file changed on disk");
+          return this.reload();
+        }
+      })
+      .catch((error) => {
+        console.error("Error checking knowledge base for updates:", error);
+      });
+  }
+
+  // Poll the JSONL file so a re-run of ingestion is picked up even when no
+  // queries arrive. watchFile copes with the file being replaced by rename.
+  startWatching(interval = 5000) {
+    if (this.watching) return;
+    this.watching = true;
+
+    fs.watchFile(this.knowledgeFile, { interval }, (curr) => {
+      if (this.loaded && curr.mtimeMs > (this.loadedMtime || 0)) {
+        console.log("📝 Knowledge base file changed on disk");
+        this.reload();
+      }
+    });
+  }
+
+  stopWatching() {
+    if (!this.watching) return;
+    fs.unwatchFile(this.knowledgeFile);
+    this.watching = false;
+  }
+
+  getLoadStatus() {
+    return {
+      loaded: this.loaded,
+      loadedAt: this.loadedAt,
+      fileModifiedAt: this.loadedMtime
+        ? new Date(this.loadedMtime).toISOString()
+        : null,
+      reloading: Boolean(this.reloadPromise),
+      watching: this.watching,
+      documents: this.documents.length,
+      chunks: this.chunks.length,
+      searchMode: this.vectorStore?.index ? "ann" : "exact",
+      embeddingDimension: this.vectorStore?.dimension || null,
+      embedding: this.embeddingInfo
+        ? {
+            configuredModel: this.embeddingInfo.configuredModel,
+            models: this.embeddingInfo.models,
+            dimension: this.embeddingInfo.dimension,
+            normalized: this.embeddingInfo.normalized,
+            mismatchedDocuments: this.embeddingInfo.mismatchedDocuments,
+            mismatchMode: this.embeddingMismatchMode,
+            vectorSearchDisabled: Boolean(this.embeddingInfo.refusal),
+          }
+        : null,
+    };
+  }
+
   async getStats() {
     const loaded = await this.loadKnowledgeBase();
 
@@ -86,6 +423,8 @@ export class KnowledgeBaseService {
         totalWords: 0,
         lastIngestion: null,
         documentDetails: [],
+        collections: [],
+        facets: null,
         knowledgeBaseAvailable: false,
         message:
           "No knowledge base found. Run 'npm run ingest' to process your documents.",
@@ -103,14 +442,21 @@ export class KnowledgeBaseService {
       totalWords: summary.total_words || 0,
       lastIngestion: summary.ingestion_completed_at || null,
       documentDetails: summary.documents || [],
+      collections: this.getCollections(),
+      facets: this.getFacets(),
       knowledgeBaseAvailable: true,
     };
   }
 
   cosineSimilarity(vecA, vecB) {
-    if (!vecA || !vecB || vecA.length !== vecB.length) {
+    if (!vecA || !vecB) {
       return 0;
     }
+    if (vecA.length !== vecB.length) {
+      throw new EmbeddingMismatchError(
+        `Cannot compare a ${vecA.length}-dimension embedding with a ${vecB.length}-dimension one`
+      );
+    }
 
     let dotProduct = 0;
     let normA = 0;
@@ -126,69 +472,231 @@ export class KnowledgeBaseService {
     return denominator === 0 ? 0 : dotProduct / denominator;
   }
 
-  async searchSimilarChunks(queryEmbedding, topK = 5, threshold = 0.1) {
+  // Brute-force scan over the packed vectors; returns [{ index, similarity }]
+  exactSearch(vectorStore, query, topK, threshold, accept = null) {
+    const { vectors, dimension } = vectorStore;
+    const count = vectors.length / dimension;
+    const matches = [];
+
+    for (let i = 0; i < count; i++) {
+      if (accept && !accept(i)) continue;
+      const offset = i * dimension;
+      let similarity = 0;
+      for (let d = 0; d < dimension; d++) {
+        similarity += query[d] * vectors[offset + d];
+      }
+      if (similarity >= threshold) {
+        matches.push({ index: i, similarity });
+      }
+    }
+
+    return matches.sort((a, b) => b.similarity - a.similarity).slice(0, topK);
+  }
+
+  async searchSimilarChunks(
+    queryEmbedding,
+    topK = 5,
+    threshold = 0.1,
+    options = {}
+  ) {
     const loaded = await this.loadKnowledgeBase();
+    // Capture one snapshot so a concurrent reload cannot mix chunk sets
+    const { chunks, documents, vectorStore, embeddingInfo } = this;
 
-    if (!loaded) {
+    if (loaded && embeddingInfo?.refusal) {
+      throw new EmbeddingMismatchError(embeddingInfo.refusal);
+    }
+    if (!loaded || !vectorStore || !queryEmbedding) {
       return [];
     }
 
-    const results = [];
-
-    for (const chunk of this.chunks) {
-      const similarity = this.cosineSimilarity(queryEmbedding, chunk.embedding);
+    if (queryEmbedding.length !== vectorStore.dimension) {
+      const message =
+        `Query embeddings from ${this.embeddingModel} have ${queryEmbedding.length} dimensions, ` +
+        `the knowledge base has ${vectorStore.dimension}. ` +
+        "Run 'npm run reembed' to migrate it to the configured model";
+      if (this.embeddingMismatchMode === "refuse") {
+        throw new EmbeddingMismatchError(message);
+      }
+      if (!this.warnedQueryDimension) {
+        console.warn(`⚠️  ${message}. Vector search returns no results.`);
+        this.warnedQueryDimension = true;
+      }
+      return [];
+    }
 
-      if (similarity >= threshold) {
-        results.push({
-          id: chunk.id,
-          similarity,
-          text: chunk.text,
-          documentName: chunk.document_name,
-          chunkIndex: chunk.chunk_index,
-          wordCount: chunk.word_count,
-        });
+    const query = normalizeVector(queryEmbedding);
+    const useExact = options.exact || !vectorStore.index;
+    const filter = this.createChunkFilter(options.filter, documents);
+    const accept = filter
+      ? (index) => filter(chunks[vectorStore.chunkPositions[index]])
+      : null;
+
+    let matches;
+    if (useExact) {
+      matches = this.exactSearch(vectorStore, query, topK, threshold, accept);
+    } else {
+      // With a filter, over-fetch from the index and fall back to an exact
+      // scan of the matching chunks when too few of the hits pass it
+      const fetchCount = accept ? topK * 10 : topK;
+      matches = vectorStore.index
+        .search(
+          query,
+          fetchCount,
+          Math.max(vectorStore.index.efSearch, fetchCount * 2)
+        )
+        .filter(
+          (match) =>
+            match.similarity >= threshold && (!accept || accept(match.index))
+        )
+        .slice(0, topK);
+
+      if (accept && matches.length < topK) {
+        matches = this.exactSearch(vectorStore, query, topK, threshold, accept);
       }
     }
 
-    // Sort by similarity (descending) and return top K
-    return results.sort((a, b) => b.similarity - a.similarity).slice(0, topK);
+    return matches.map(({ index, similarity }) =>
+      this.toSearchResult(chunks[vectorStore.chunkPositions[index]], {
+        similarity,
+      })
+    );
   }
 
-  async searchDocuments(query, limit = 10) {
+  // BM25 keyword search; catches exact identifiers that embeddings miss
+  async searchLexicalChunks(query, topK = 5, options = {}) {
     const loaded = await this.loadKnowledgeBase();
+    const { chunks, documents, lexicalIndex } = this;
 
-    if (!loaded) {
+    if (!loaded || !lexicalIndex) {
       return [];
     }
 
-    const queryLower = query.toLowerCase();
-    const results = [];
+    const filter = this.createChunkFilter(options.filter, documents);
+    return lexicalIndex
+      .search(query, topK, filter ? (index) => filter(chunks[index]) : null)
+      .map(({ index, score }) => this.toSearchResult(chunks[index], { score }));
+  }
+
+  // Chunk predicate for search filters (see utils/filters.js), or null when
+  // nothing is filtered. Filters apply per document, so the matching
+  // documents are resolved once per search.
+  createChunkFilter(filter = {}, documents = this.documents) {
+    const acceptDocument = createDocumentFilter(filter);
+    if (!acceptDocument) return null;
 
-    for (const chunk of this.chunks) {
-      if (chunk.text.toLowerCase().includes(queryLower)) {
-        results.push({
-          documentName: chunk.document_name,
-          similarity: 1.0, // Perfect text match
-          preview: chunk.text.substring(0, 300) + "...",
-          chunkIndex: chunk.chunk_index,
-        });
+    const accepted = new Set(
+      documents.filter(acceptDocument).map((doc) => doc.document_name)
+    );
+    return (chunk) => accepted.has(chunk.document_name);
+  }
 
-        if (results.length >= limit) break;
-      }
+  toSearchResult(chunk, scores) {
+    return {
+      id: chunk.id,
+      ...scores,
+      text: chunk.text,
+      documentName: chunk.document_name,
+      collection: chunk.collection,
+      chunkIndex: chunk.chunk_index,
+      wordCount: chunk.word_count,
+      headingPath: chunk.heading_path || [],
+      sectionNumber: chunk.section_number || null,
+      pages: chunk.pages || [],
+      blockTypes: chunk.block_types || [],
+    };
+  }
+
+  // The chunk at `chunkIndex` of a document, as a search result, or null
+  getChunkAt(documentName, chunkIndex) {
+    const chunk = this.chunksByPosition.get(`${documentName}#${chunkIndex}`);
+    return chunk ? this.toSearchResult(chunk, {}) : null;
+  }
+
+  async searchDocuments(query, limit = 10, filter = {}) {
+    const results = await this.searchLexicalChunks(query, limit, { filter });
+
+    return results.map((result) => ({
+      id: result.id,
+      documentName: result.documentName,
+      collection: result.collection,
+      score: result.score,
+      preview: result.text.substring(0, 300) + "...",
+      chunkIndex: result.chunkIndex,
+    }));
+  }
+
+  // Collections with their document and chunk counts, sorted by name
+  getCollections() {
+    const collections = new Map();
+
+    for (const doc of this.documents) {
+      const name = doc.collection ?? collectionOf(doc.document_name);
+      const entry = collections.get(name) || { name, documents: 0, chunks: 0 };
+      entry.documents++;
+      entry.chunks += doc.total_chunks || 0;
+      collections.set(name, entry);
     }
 
-    return results;
+    return Array.from(collections.values()).sort((a, b) =>
+      a.name.localeCompare(b.name)
+    );
+  }
+
+  // Values the documents can be filtered by, with document counts, for the
+  // UI facets
+  getFacets() {
+    const count = (values) => {
+      const counts = new Map();
+      for (const value of values) {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+      return Array.from(counts, ([name, documents]) => ({ name, documents }));
+    };
+    const processed = this.documents
+      .map((doc) => doc.processed_at)
+      .filter(Boolean)
+      .sort();
+
+    return {
+      collections: this.getCollections(),
+      documentTypes: count(
+        this.documents.map((doc) => doc.metadata?.documentType || "general")
+      ).sort((a, b) => a.name.localeCompare(b.name)),
+      keywords: count(
+        this.documents.flatMap((doc) => doc.metadata?.keywords || [])
+      ).sort(
+        (a, b) => b.documents - a.documents || a.name.localeCompare(b.name)
+      ),
+      documents: this.documents.map((doc) => doc.document_name).sort(),
+      processed: {
+        from: processed[0] || null,
+        to: processed[processed.length - 1] || null,
+      },
+    };
   }
 
   getDocumentsList() {
     return this.documents.map((doc) => ({
       name: doc.document_name,
+      collection: doc.collection ?? collectionOf(doc.document_name),
       processedAt: doc.processed_at,
       totalChunks: doc.total_chunks,
       metadata: doc.metadata,
     }));
   }
 
+  // Glossary definitions found in the documents at ingestion, each with the
+  // document it came from
+  getMinedDefinitions() {
+    return this.documents.flatMap((doc) =>
+      (doc.glossary_candidates || []).map((definition) => ({
+        ...definition,
+        documentName: doc.document_name,
+      }))
+    );
+  }
+
   async isKnowledgeBaseAvailable() {
     return await fs.pathExists(this.knowledgeFile);
   }
@@ -0,0 +1,303 @@
+import axios from "axios";
+import { estimateTokens } from "../utils/tokens.js";
+
+// LLM provider interface. A provider talks to one model server and must
+// implement isAvailable(), listModels(), embed(), generate() and stream(),
+// and may implement embedBatch() when the server embeds several texts per
+// request and rerank() when it serves reranker models; prompt building, query
+// rewriting, relevance scoring, error wrapping and cancellation handling are
+// shared here so every backend behaves the same for ChatService and the
+// ingestion script.
+export class LLMProvider {
+  constructor({
+    name,
+    baseUrl,
+    embeddingModel,
+    llmModel,
+    temperature = 0.1,
+    topP = 0.9,
+    embeddingTimeoutMs = 30000,
+    generationTimeoutMs = 60000,
+    contextWindow = 8192,
+  } = {}) {
+    this.name = name;
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.embeddingModel = embeddingModel;
+    this.llmModel = llmModel;
+    this.temperature = temperature;
+    this.topP = topP;
+    this.embeddingTimeoutMs = embeddingTimeoutMs;
+    this.generationTimeoutMs = generationTimeoutMs;
+    this.contextWindow = contextWindow;
+    // Providers that override embedBatch() with a batch endpoint set this
+    this.supportsBatchEmbedding = false;
+    // Set by createLLMProvider when the embedding cache is enabled
+    this.embeddingCache = null;
+  }
+
+  // Embeddings are only comparable within one model on one kind of server
+  get embeddingModelId() {
+    return `${this.name}:${this.embeddingModel}`;
+  }
+
+  async isAvailable() {
+    throw new Error("isAvailable() not implemented");
+  }
+
+  // Names of the models the server has available
+  async listModels() {
+    throw new Error("listModels() not implemented");
+  }
+
+  // Returns the embedding vector for `text`
+  async embed(text) {
+    throw new Error("embed() not implemented");
+  }
+
+  // Returns the embedding vectors for `texts`, in order
+  async embedBatch(texts) {
+    const embeddings = [];
+    for (const text of texts) {
+      embeddings.push(await this.embed(text));
+    }
+    return embeddings;
+  }
+
+  // Returns the relevance scores of `documents` to `query` from reranker
+  // `model`, in input order; higher is more relevant
+  async rerank(query, documents, options = {}) {
+    throw new Error(`The ${this.name} provider has no rerank endpoint`);
+  }
+
+  // Returns the completion for `prompt`. Options: maxTokens, temperature
+  async generate(prompt, options = {}) {
+    throw new Error("generate() not implemented");
+  }
+
+  // Calls onChunk with each piece of text as it is generated and resolves
+  // with { cancelled } once the stream ends or `options.signal` aborts it
+  async stream(prompt, onChunk, options = {}) {
+    throw new Error("stream() not implemented");
+  }
+
+  async getEmbedding(text) {
+    try {
+      const cached = await this.embeddingCache?.get(text);
+      if (cached) return cached;
+
+      const embedding = await this.embed(text);
+      await this.embeddingCache?.set(text, embedding);
+      return embedding;
+    } catch (error) {
+      console.error("Error getting embedding:", error.message);
+      throw new Error(`Failed to get embedding: ${error.message}`);
+    }
+  }
+
+  formatConversation(conversation = []) {
+    return conversation
+      .map((turn) => `User: ${turn.query}\nAssistant: ${turn.response}`)
+      .join("\n\n");
+  }
+
+  buildPrompt(prompt, context = "", conversation = []) {
+    const conversationSection =
+      conversation.length > 0
+        ? `\nPrevious conversation (use it to resolve references like "that" or "it" in the question):\n${this.formatConversation(conversation)}\n`
+        : "";
+    const citationGuideline = context
+      ? "\n- Cite the numbered context passages that support each statement by their number in square brackets right after it, e.g. [1] or [2][3]. Only cite numbers that appear in the context"
+      : "";
+
+    return `You are an expert IT infrastructure and networking assistant. Your knowledge is based solely on the provided context from internal documentation.
+
+IMPORTANT GUIDELINES:
+- Only answer questions related to IT infrastructure, networking, and technical documentation
+- Base your responses ONLY on the provided context
+- If the context doesn't contain enough information, clearly state this
+- Be specific and technical when appropriate
+- Provide actionable insights when possible
+- If asked about something outside the context, politely redirect to the available documentation${citationGuideline}
+
+FORMATTING REQUIREMENTS:
+- Use clear headings (## Main Topic, ### Subtopic) to organize your response
+- Use **bold text** for important concepts, key terms, and critical information
+- Use bullet points (-) or numbered lists (1.) for steps, procedures, or multiple items
+- Break up long responses into well-structured paragraphs
+- Highlight important warnings or notes
+- Make responses easy to scan and read
+- Use backtick code formatting for commands, file names, or technical syntax
+
+Context from internal documentation:
+${context}
+${conversationSection}
+User question: ${prompt}
+
+Please provide a well-formatted, organized response:`;
+  }
+
+  async generateResponse(
+    prompt,
+    context = "",
+    maxTokens = 2048,
+    conversation = []
+  ) {
+    try {
+      const systemPrompt = this.buildPrompt(prompt, context, conversation);
+      this.checkPromptSize(systemPrompt, maxTokens);
+      const response = await this.generate(systemPrompt, { maxTokens });
+      return response.trim();
+    } catch (error) {
+      console.error("Error generating response:", error.message);
+      throw new Error(`Failed to generate response: ${error.message}`);
+    }
+  }
+
+  // Servers silently drop the start of a prompt that does not fit the
+  // context window, which loses the instructions rather than the context
+  checkPromptSize(prompt, maxTokens = 0) {
+    const promptTokens = estimateTokens(prompt);
+    if (promptTokens + maxTokens > this.contextWindow) {
+      console.warn(
+        `⚠️  Prompt (~${promptTokens} tokens) plus answer (${maxTokens}) exceeds the ${this.contextWindow}-token context window`
+      );
+    }
+  }
+
+  // Streams tokens to onChunk. Aborting `signal` closes the HTTP stream, which
+  // makes the server stop generating. Resolves with { cancelled }.
+  async generateStreamResponse(prompt, context = "", onChunk, options = {}) {
+    const { conversation = [], signal, maxTokens } = options;
+
+    try {
+      const systemPrompt = this.buildPrompt(prompt, context, conversation);
+      this.checkPromptSize(systemPrompt, maxTokens);
+      return await this.stream(systemPrompt, onChunk, { signal, maxTokens });
+    } catch (error) {
+      if (axios.isCancel(error)) {
+        return { cancelled: true };
+      }
+      console.error("Error generating stream response:", error.message);
+      throw new Error(`Failed to generate stream response: ${error.message}`);
+    }
+  }
+
+  // Turn a follow-up question into a standalone one so it can be embedded
+  // and searched without the conversation around it
+  async rewriteQuery(query, conversation = []) {
+    const rewritePrompt = `Given the conversation below and a follow-up question, rewrite the follow-up question as a standalone question that can be understood without the conversation. Keep technical terms, device names and identifiers exactly as written. If the question is already standalone, return it unchanged. Reply with the question only.
+
+Conversation:
+${this.formatConversation(conversation)}
+
+Follow-up question: ${query}
+
+Standalone question:`;
+
+    try {
+      const response = await this.generate(rewritePrompt, {
+        maxTokens: 128,
+        temperature: 0,
+      });
+
+      const rewritten = response
+        .trim()
+        .split("\n")[0]
+        .replace(/^["']|["']$/g, "")
+        .trim();
+
+      return rewritten || query;
+    } catch (error) {
+      console.error("Error rewriting query:", error.message);
+      throw new Error(`Failed to rewrite query: ${error.message}`);
+    }
+  }
+
+  // Ask the LLM how well `text` answers `query`; resolves with a score from
+  // 0 to 1, or null when the reply holds no rating
+  async scoreRelevance(query, text) {
+    const relevancePrompt = `Rate how relevant the passage is to answering the question, from 0 (unrelated) to 10 (answers it directly). Reply with the number only.
+
+Question: ${query}
+
+Passage:
+${text}
+
+Relevance (0-10):`;
+
+    try {
+      const response = await this.generate(relevancePrompt, {
+        maxTokens: 8,
+        temperature: 0,
+      });
+
+      const rating = response.match(/\d+(?:\.\d+)?/);
+      if (!rating) return null;
+      return Math.min(Math.max(Number(rating[0]), 0), 10) / 10;
+    } catch (error) {
+      console.error("Error scoring relevance:", error.message);
+      throw new Error(`Failed to score relevance: ${error.message}`);
+    }
+  }
+
+  async checkModelsAvailable() {
+    try {
+      const models = await this.listModels();
+
+      // Ollama reports tags such as "nomic-embed-text:latest"
+      const hasEmbeddingModel = models.some((model) =>
+        model.includes(this.embeddingModel)
+      );
+      const hasLLMModel = models.some((model) => model.includes(this.llmModel));
+
+      return {
+        available: hasEmbeddingModel && hasLLMModel,
+        embeddingModel: hasEmbeddingModel,
+        llmModel: hasLLMModel,
+        models,
+      };
+    } catch (error) {
+      return {
+        available: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Feed each complete line of a streamed HTTP response to onLine (lines can
+  // be split across network chunks) and resolve with { cancelled }
+  readStreamLines(stream, onLine, signal) {
+    let buffer = "";
+
+    stream.on("data", (chunk) => {
+      buffer += chunk.toString();
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+
+      for (const line of lines.filter((line) => line.trim())) {
+        onLine(line.trim());
+      }
+    });
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        stream.destroy();
+        return resolve({ cancelled: true });
+      }
+      signal?.addEventListener("abort", () => {
+        stream.destroy();
+        resolve({ cancelled: true });
+      });
+      stream.on("end", () => {
+        if (buffer.trim()) onLine(buffer.trim());
+        resolve({ cancelled: false });
+      });
+      stream.on("error", (error) => {
+        if (signal?.aborted) return resolve({ cancelled: true });
+        reject(error);
+      });
+    });
+  }
+}
+
+export default LLMProvider;
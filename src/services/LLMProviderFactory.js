@@ -0,0 +1,37 @@
+import OllamaService from "./OllamaService.js";
+import OpenAICompatibleService from "./OpenAICompatibleService.js";
+import { getEmbeddingCache } from "./EmbeddingCache.js";
+import { getConfig } from "../config/index.js";
+
+// Kept apart from LLMProvider.js, which the implementations import
+export const createLLMProvider = ({
+  provider = getConfig().llm.provider,
+  embeddingCache = getConfig().embeddingCache.enabled,
+  ...options
+} = {}) => {
+  let instance;
+  switch (provider) {
+    case "ollama":
+      instance = new OllamaService(options);
+      break;
+    case "openai":
+      instance = new OpenAICompatibleService(options);
+      break;
+    default:
+      throw new Error(`Unknown LLM provider: ${provider}`);
+  }
+
+  if (embeddingCache) {
+    instance.embeddingCache = getEmbeddingCache(instance.embeddingModelId);
+  }
+  return instance;
+};
+
+// The configured embedding model as LLMProvider#embeddingModelId reports it,
+// for code that checks stored embeddings without talking to the server
+export const getEmbeddingModelId = (config = getConfig()) => {
+  const { provider } = config.llm;
+  return `${provider}:${config[provider].embeddingModel}`;
+};
+
+export default createLLMProvider;
@@ -1,10 +1,19 @@
 import axios from "axios";
-
-export class OllamaService {
-  constructor(baseUrl = "http://localhost:11434") {
-    this.baseUrl = baseUrl;
-    this.embeddingModel = "nomic-embed-text";
-    this.llmModel = "llama3.1:8b";
+import LLMProvider from "./LLMProvider.js";
+import { getConfig } from "../config/index.js";
+
+// Unit length, as /api/embed returns them
+const normalize = (vector) => {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm === 0 ? vector : vector.map((value) => value / norm);
+};
+
+// Ollama's native API (/api/generate, /api/embed, /api/embeddings, /api/tags)
+export class OllamaService extends LLMProvider {
+  constructor(options = {}) {
+    const config = getConfig();
+    super({ name: "ollama", ...config.llm, ...config.ollama, ...options });
+    this.supportsBatchEmbedding = true;
   }
 
   async isAvailable() {
@@ -18,178 +27,136 @@ export class OllamaService {
     }
   }
 
-  async getEmbedding(text) {
-    try {
-      const response = await axios.post(
-        `${this.baseUrl}/api/embeddings`,
-        {
-          model: this.embeddingModel,
-          prompt: text,
-        },
-        {
-          timeout: 30000,
-          headers: { "Content-Type": "application/json" },
-        }
-      );
-
-      return response.data.embedding;
-    } catch (error) {
-      console.error("Error getting embedding:", error.message);
-      throw new Error(`Failed to get embedding: ${error.message}`);
-    }
+  async listModels() {
+    const response = await axios.get(`${this.baseUrl}/api/tags`);
+    return (response.data.models || []).map((model) => model.name);
   }
 
-  async generateResponse(prompt, context = "", maxTokens = 2048) {
-    try {
-      const systemPrompt = `You are an expert IT infrastructure and networking assistant. Your knowledge is based solely on the provided context from internal documentation.
-
-IMPORTANT GUIDELINES:
-- Only answer questions related to IT infrastructure, networking, and technical documentation
-- Base your responses ONLY on the provided context
-- If the context doesn't contain enough information, clearly state this
-- Be specific and technical when appropriate
-- Provide actionable insights when possible
-- If asked about something outside the context, politely redirect to the available documentation
-
-FORMATTING REQUIREMENTS:
-- Use clear headings (## Main Topic, ### Subtopic) to organize your response
-- Use **bold text** for important concepts, key terms, and critical information
-- Use bullet points (-) or numbered lists (1.) for steps, procedures, or multiple items
-- Break up long responses into well-structured paragraphs
-- Highlight important warnings or notes
-- Make responses easy to scan and read
-- Use backtick code formatting for commands, file names, or technical syntax
-
-Context from internal documentation:
-${context}
-
-User question: ${prompt}
-
-Please provide a well-formatted, organized response:`;
+  async embed(text) {
+    const [embedding] = await this.embedBatch([text]);
+    return embedding;
+  }
 
-      const response = await axios.post(
-        `${this.baseUrl}/api/generate`,
-        {
-          model: this.llmModel,
-          prompt: systemPrompt,
-          stream: false,
-          options: {
-            temperature: 0.1,
-            top_p: 0.9,
-            num_predict: maxTokens,
-          },
-        },
-        {
-          timeout: 60000,
-          headers: { "Content-Type": "application/json" },
-        }
-      );
+  // The endpoint before /api/embed: one text per request, and the vectors
+  // are not normalised
+  async embedLegacy(text) {
+    const response = await axios.post(
+      `${this.baseUrl}/api/embeddings`,
+      {
+        model: this.embeddingModel,
+        prompt: text,
+      },
+      {
+        timeout: this.embeddingTimeoutMs,
+        headers: { "Content-Type": "application/json" },
+      }
+    );
+
+    return normalize(response.data.embedding);
+  }
 
-      return response.data.response.trim();
-    } catch (error) {
-      console.error("Error generating response:", error.message);
-      throw new Error(`Failed to generate response: ${error.message}`);
+  // /api/embed takes several inputs per request (Ollama 0.3.4 and later);
+  // older servers answer 404 and get one /api/embeddings request per text
+  // instead. Both return unit vectors here, so the same text always gets the
+  // same embedding, whichever endpoint (or the cache) it came from.
+  async embedBatch(texts) {
+    if (!this.supportsBatchEmbedding) {
+      const embeddings = [];
+      for (const text of texts) {
+        embeddings.push(await this.embedLegacy(text));
+      }
+      return embeddings;
     }
-  }
 
-  async generateStreamResponse(prompt, context = "", onChunk) {
     try {
-      const systemPrompt = `You are an expert IT infrastructure and networking assistant. Your knowledge is based solely on the provided context from internal documentation.
-
-IMPORTANT GUIDELINES:
-- Only answer questions related to IT infrastructure, networking, and technical documentation
-- Base your responses ONLY on the provided context
-- If the context doesn't contain enough information, clearly state this
-- Be specific and technical when appropriate
-- Provide actionable insights when possible
-- If asked about something outside the context, politely redirect to the available documentation
-
-FORMATTING REQUIREMENTS:
-- Use clear headings (## Main Topic, ### Subtopic) to organize your response
-- Use **bold text** for important concepts, key terms, and critical information
-- Use bullet points (-) or numbered lists (1.) for steps, procedures, or multiple items
-- Break up long responses into well-structured paragraphs
-- Highlight important warnings or notes
-- Make responses easy to scan and read
-- Use backtick code formatting for commands, file names, or technical syntax
-
-Context from internal documentation:
-${context}
-
-User question: ${prompt}
-
-Please provide a well-formatted, organized response:`;
-
       const response = await axios.post(
-        `${this.baseUrl}/api/generate`,
+        `${this.baseUrl}/api/embed`,
         {
-          model: this.llmModel,
-          prompt: systemPrompt,
-          stream: true,
-          options: {
-            temperature: 0.1,
-            top_p: 0.9,
-          },
+          model: this.embeddingModel,
+          input: texts,
         },
         {
-          responseType: "stream",
-          timeout: 60000,
+          timeout: this.embeddingTimeoutMs,
           headers: { "Content-Type": "application/json" },
         }
       );
 
-      response.data.on("data", (chunk) => {
-        const lines = chunk
-          .toString()
-          .split("\n")
-          .filter((line) => line.trim());
-
-        for (const line of lines) {
-          try {
-            const data = JSON.parse(line);
-            if (data.response) {
-              onChunk(data.response);
-            }
-          } catch (e) {
-            // Ignore malformed JSON
-          }
-        }
-      });
-
-      return new Promise((resolve, reject) => {
-        response.data.on("end", () => resolve());
-        response.data.on("error", reject);
-      });
+      return response.data.embeddings;
     } catch (error) {
-      console.error("Error generating stream response:", error.message);
-      throw new Error(`Failed to generate stream response: ${error.message}`);
+      // A missing model is a 404 with an error message too
+      if (
+        error.response?.status !== 404 ||
+        typeof error.response.data?.error === "string"
+      ) {
+        throw error;
+      }
+
+      this.supportsBatchEmbedding = false;
+      return await this.embedBatch(texts);
     }
   }
 
-  async checkModelsAvailable() {
-    try {
-      const response = await axios.get(`${this.baseUrl}/api/tags`);
-      const models = response.data.models || [];
+  generationOptions({ maxTokens, temperature = this.temperature } = {}) {
+    return {
+      temperature,
+      top_p: this.topP,
+      num_ctx: this.contextWindow,
+      ...(maxTokens ? { num_predict: maxTokens } : {}),
+    };
+  }
 
-      const hasEmbeddingModel = models.some((model) =>
-        model.name.includes(this.embeddingModel)
-      );
-      const hasLLMModel = models.some((model) =>
-        model.name.includes(this.llmModel)
-      );
+  async generate(prompt, options = {}) {
+    const response = await axios.post(
+      `${this.baseUrl}/api/generate`,
+      {
+        model: this.llmModel,
+        prompt,
+        stream: false,
+        options: this.generationOptions(options),
+      },
+      {
+        timeout: this.generationTimeoutMs,
+        headers: { "Content-Type": "application/json" },
+      }
+    );
+
+    return response.data.response;
+  }
 
-      return {
-        available: hasEmbeddingModel && hasLLMModel,
-        embeddingModel: hasEmbeddingModel,
-        llmModel: hasLLMModel,
-        models: models.map((m) => m.name),
-      };
-    } catch (error) {
-      return {
-        available: false,
-        error: error.message,
-      };
-    }
+  async stream(prompt, onChunk, options = {}) {
+    const { signal } = options;
+
+    const response = await axios.post(
+      `${this.baseUrl}/api/generate`,
+      {
+        model: this.llmModel,
+        prompt,
+        stream: true,
+        options: this.generationOptions(options),
+      },
+      {
+        responseType: "stream",
+        timeout: this.generationTimeoutMs,
+        headers: { "Content-Type": "application/json" },
+        signal,
+      }
+    );
+
+    // One JSON object per line
+    return await this.readStreamLines(
+      response.data,
+      (line) => {
+        try {
+          const data = JSON.parse(line);
+          if (data.response) {
+            onChunk(data.response);
+          }
+        } catch (e) {
+          // Ignore malformed JSON
+        }
+      },
+      signal
+    );
   }
 }
 
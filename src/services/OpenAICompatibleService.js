@@ -0,0 +1,160 @@
+import axios from "axios";
+import LLMProvider from "./LLMProvider.js";
+import { getConfig } from "../config/index.js";
+
+// OpenAI-compatible API (/v1/chat/completions, /v1/embeddings, /v1/models and
+// /v1/rerank), as served by llama.cpp server, vLLM and similar. `baseUrl`
+// includes the /v1 prefix.
+export class OpenAICompatibleService extends LLMProvider {
+  constructor(options = {}) {
+    const config = getConfig();
+    const { apiKey, ...settings } = {
+      ...config.llm,
+      ...config.openai,
+      ...options,
+    };
+    super({ name: "openai", ...settings });
+    this.apiKey = apiKey;
+    this.supportsBatchEmbedding = true;
+  }
+
+  get headers() {
+    return {
+      "Content-Type": "application/json",
+      ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+    };
+  }
+
+  async isAvailable() {
+    try {
+      const response = await axios.get(`${this.baseUrl}/models`, {
+        timeout: 5000,
+        headers: this.headers,
+      });
+      return response.status === 200;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async listModels() {
+    const response = await axios.get(`${this.baseUrl}/models`, {
+      headers: this.headers,
+    });
+    return (response.data.data || []).map((model) => model.id);
+  }
+
+  async embed(text) {
+    const response = await axios.post(
+      `${this.baseUrl}/embeddings`,
+      {
+        model: this.embeddingModel,
+        input: text,
+      },
+      {
+        timeout: this.embeddingTimeoutMs,
+        headers: this.headers,
+      }
+    );
+
+    return response.data.data[0].embedding;
+  }
+
+  async embedBatch(texts) {
+    const response = await axios.post(
+      `${this.baseUrl}/embeddings`,
+      {
+        model: this.embeddingModel,
+        input: texts,
+      },
+      {
+        timeout: this.embeddingTimeoutMs,
+        headers: this.headers,
+      }
+    );
+
+    // Entries carry their input's index and need not come back in order
+    return [...response.data.data]
+      .sort((a, b) => a.index - b.index)
+      .map((item) => item.embedding);
+  }
+
+  // Jina-style /rerank, as served by llama.cpp server (--reranking) and vLLM
+  async rerank(query, documents, { model } = {}) {
+    const response = await axios.post(
+      `${this.baseUrl}/rerank`,
+      { model, query, documents },
+      {
+        timeout: this.generationTimeoutMs,
+        headers: this.headers,
+      }
+    );
+
+    const scores = new Array(documents.length).fill(null);
+    for (const result of response.data.results || []) {
+      scores[result.index] = result.relevance_score;
+    }
+    return scores;
+  }
+
+  completionRequest(prompt, { maxTokens, temperature = this.temperature }) {
+    return {
+      model: this.llmModel,
+      messages: [{ role: "user", content: prompt }],
+      temperature,
+      top_p: this.topP,
+      ...(maxTokens ? { max_tokens: maxTokens } : {}),
+    };
+  }
+
+  async generate(prompt, options = {}) {
+    const response = await axios.post(
+      `${this.baseUrl}/chat/completions`,
+      { ...this.completionRequest(prompt, options), stream: false },
+      {
+        timeout: this.generationTimeoutMs,
+        headers: this.headers,
+      }
+    );
+
+    return response.data.choices[0]?.message?.content || "";
+  }
+
+  async stream(prompt, onChunk, options = {}) {
+    const { signal } = options;
+
+    const response = await axios.post(
+      `${this.baseUrl}/chat/completions`,
+      { ...this.completionRequest(prompt, options), stream: true },
+      {
+        responseType: "stream",
+        timeout: this.generationTimeoutMs,
+        headers: this.headers,
+        signal,
+      }
+    );
+
+    // Server-sent events: "data: {...}" lines, terminated by "data: [DONE]"
+    return await this.readStreamLines(
+      response.data,
+      (line) => {
+        if (!line.startsWith("data:")) return;
+
+        const payload = line.slice(5).trim();
+        if (payload === "[DONE]") return;
+
+        try {
+          const content = JSON.parse(payload).choices?.[0]?.delta?.content;
+          if (content) {
+            onChunk(content);
+          }
+        } catch (e) {
+          // Ignore malformed JSON
+        }
+      },
+      signal
+    );
+  }
+}
+
+export default OpenAICompatibleService;
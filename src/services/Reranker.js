@@ -0,0 +1,57 @@
+import { getConfig } from "../config/index.js";
+
+// Second retrieval stage: rescores retrieved chunks against the query, either
+// with a reranker (cross-encoder) model behind the provider's rerank endpoint
+// ("model") or by asking the LLM to rate each chunk ("llm"), which needs no
+// extra model but costs one short generation per candidate.
+export class Reranker {
+  constructor(provider, options = {}) {
+    const settings = { ...getConfig().reranking, ...options };
+
+    this.provider = provider;
+    this.method = settings.method;
+    this.model = settings.model;
+    this.concurrency = settings.concurrency;
+  }
+
+  // Relevance scores of `chunks` to `query`, in input order
+  async score(query, chunks) {
+    const texts = chunks.map((chunk) => chunk.text);
+
+    if (this.method === "model") {
+      return this.provider.rerank(query, texts, { model: this.model });
+    }
+
+    // At most `concurrency` relevance prompts in flight
+    const scores = new Array(texts.length).fill(null);
+    let next = 0;
+    const worker = async () => {
+      while (next < texts.length) {
+        const index = next++;
+        scores[index] = await this.provider.scoreRelevance(query, texts[index]);
+      }
+    };
+
+    await Promise.all(
+      Array.from({ length: Math.min(this.concurrency, texts.length) }, worker)
+    );
+    return scores;
+  }
+
+  // `chunks` annotated with `rerankScore` and best first; chunks left
+  // unscored keep their retrieval order after the scored ones
+  async rerank(query, chunks) {
+    const scores = await this.score(query, chunks);
+
+    return chunks
+      .map((chunk, i) => ({ ...chunk, rerankScore: scores[i] ?? null }))
+      .sort((a, b) => {
+        if (a.rerankScore === null || b.rerankScore === null) {
+          return (a.rerankScore === null) - (b.rerankScore === null);
+        }
+        return b.rerankScore - a.rerankScore;
+      });
+  }
+}
+
+export default Reranker;
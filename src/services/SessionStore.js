@@ -0,0 +1,295 @@
+import fs from "fs-extra";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getConfig } from "../config/index.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Session store interface. A session is
+// { id, title, createdAt, lastActiveAt, turns: [{ timestamp, query, ... }] }.
+// Implementations must provide every method below; all of them are async so
+// stores backed by a database can be dropped in.
+export class SessionStore {
+  constructor({ ttlMs = 30 * DAY_MS, maxTurns = 200 } = {}) {
+    this.ttlMs = ttlMs; // Sessions idle for longer than this expire
+    this.maxTurns = maxTurns; // Oldest turns are dropped beyond this
+  }
+
+  async init() {}
+
+  // Called on shutdown; stores that buffer writes save them here
+  async close() {}
+
+  async createSession(sessionId, { title = null } = {}) {
+    throw new Error("createSession() not implemented");
+  }
+
+  async getSession(sessionId) {
+    throw new Error("getSession() not implemented");
+  }
+
+  async listSessions({ limit = 50 } = {}) {
+    throw new Error("listSessions() not implemented");
+  }
+
+  async appendTurn(sessionId, turn) {
+    throw new Error("appendTurn() not implemented");
+  }
+
+  async getTurns(sessionId, limit = 10) {
+    throw new Error("getTurns() not implemented");
+  }
+
+  async updateSession(sessionId, updates) {
+    throw new Error("updateSession() not implemented");
+  }
+
+  async deleteSession(sessionId) {
+    throw new Error("deleteSession() not implemented");
+  }
+
+  async clear() {
+    throw new Error("clear() not implemented");
+  }
+
+  async purgeExpired() {
+    throw new Error("purgeExpired() not implemented");
+  }
+
+  async getStats() {
+    throw new Error("getStats() not implemented");
+  }
+
+  isExpired(session, now = Date.now()) {
+    return (
+      this.ttlMs > 0 &&
+      now - new Date(session.lastActiveAt).getTime() > this.ttlMs
+    );
+  }
+
+  // Summary view used for listings, without the turns themselves
+  summarize(session) {
+    const { turns, ...summary } = session;
+    return { ...summary, turnCount: turns.length };
+  }
+
+  defaultTitle(query) {
+    const title = query.replace(/\s+/g, " ").trim();
+    return title.length > 60 ? `${title.slice(0, 57)}...` : title;
+  }
+}
+
+export class MemorySessionStore extends SessionStore {
+  constructor(options) {
+    super(options);
+    this.sessions = new Map();
+  }
+
+  async createSession(sessionId, { title = null } = {}) {
+    const existing = await this.getSession(sessionId);
+    if (existing) return this.summarize(existing);
+
+    const now = new Date().toISOString();
+    const session = {
+      id: sessionId,
+      title,
+      createdAt: now,
+      lastActiveAt: now,
+      turns: [],
+    };
+    this.sessions.set(sessionId, session);
+    await this.persist();
+    return this.summarize(session);
+  }
+
+  async getSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+
+    if (this.isExpired(session)) {
+      this.sessions.delete(sessionId);
+      await this.persist();
+      return null;
+    }
+
+    return session;
+  }
+
+  async listSessions({ limit = 50 } = {}) {
+    await this.purgeExpired();
+    return Array.from(this.sessions.values())
+      .sort((a, b) => b.lastActiveAt.localeCompare(a.lastActiveAt))
+      .slice(0, limit)
+      .map((session) => this.summarize(session));
+  }
+
+  async appendTurn(sessionId, turn) {
+    let session = await this.getSession(sessionId);
+    if (!session) {
+      await this.createSession(sessionId);
+      session = this.sessions.get(sessionId);
+    }
+
+    session.turns.push(turn);
+    session.lastActiveAt = turn.timestamp || new Date().toISOString();
+    if (!session.title && turn.query) {
+      session.title = this.defaultTitle(turn.query);
+    }
+
+    if (session.turns.length > this.maxTurns) {
+      session.turns.splice(0, session.turns.length - this.maxTurns);
+    }
+
+    await this.persist();
+  }
+
+  async getTurns(sessionId, limit = 10) {
+    const session = await this.getSession(sessionId);
+    if (!session) return [];
+    return limit > 0 ? session.turns.slice(-limit) : [...session.turns];
+  }
+
+  async updateSession(sessionId, updates) {
+    const session = await this.getSession(sessionId);
+    if (!session) return null;
+
+    if (updates.title !== undefined) {
+      session.title = updates.title;
+    }
+
+    await this.persist();
+    return this.summarize(session);
+  }
+
+  async deleteSession(sessionId) {
+    const deleted = this.sessions.delete(sessionId);
+    if (deleted) await this.persist();
+    return deleted;
+  }
+
+  async clear() {
+    this.sessions.clear();
+    await this.persist();
+  }
+
+  async purgeExpired() {
+    const now = Date.now();
+    let purged = 0;
+
+    for (const [id, session] of this.sessions) {
+      if (this.isExpired(session, now)) {
+        this.sessions.delete(id);
+        purged++;
+      }
+    }
+
+    if (purged > 0) await this.persist();
+    return purged;
+  }
+
+  async getStats() {
+    await this.purgeExpired();
+    return {
+      sessions: this.sessions.size,
+      interactions: Array.from(this.sessions.values()).reduce(
+        (total, session) => total + session.turns.length,
+        0
+      ),
+    };
+  }
+
+  // Nothing to do for memory; subclasses write their state out here
+  async persist() {}
+}
+
+// Keeps sessions in memory and mirrors them to a JSON file, so chat history
+// survives restarts. Writes are coalesced and done via an atomic rename.
+export class FileSessionStore extends MemorySessionStore {
+  constructor({ filePath, writeDelayMs = 500, ...options } = {}) {
+    super(options);
+    this.filePath =
+      filePath || path.join(__dirname, "../../data/sessions/sessions.json");
+    this.writeDelayMs = writeDelayMs;
+    this.writeTimer = null;
+    this.writePromise = Promise.resolve();
+  }
+
+  async init() {
+    if (!(await fs.pathExists(this.filePath))) return;
+
+    try {
+      const data = await fs.readJson(this.filePath);
+      for (const session of data.sessions || []) {
+        this.sessions.set(session.id, session);
+      }
+      const purged = await this.purgeExpired();
+      console.log(
+        `💬 Loaded ${this.sessions.size} chat sessions` +
+          (purged > 0 ? ` (${purged} expired)` : "")
+      );
+    } catch (error) {
+      console.error("Error loading chat sessions:", error.message);
+    }
+  }
+
+  async persist() {
+    if (this.writeTimer) return;
+
+    this.writeTimer = setTimeout(() => {
+      this.writeTimer = null;
+      this.queueWrite();
+    }, this.writeDelayMs);
+  }
+
+  queueWrite() {
+    this.writePromise = this.writePromise
+      .then(() => this.writeFile())
+      .catch((error) => {
+        console.error("Error saving chat sessions:", error.message);
+      });
+  }
+
+  // Write a pending change now instead of after the delay
+  async flush() {
+    if (this.writeTimer) {
+      clearTimeout(this.writeTimer);
+      this.writeTimer = null;
+      this.queueWrite();
+    }
+    await this.writePromise;
+  }
+
+  async close() {
+    await this.flush();
+  }
+
+  async writeFile() {
+    const tempFile = `${this.filePath}.tmp`;
+    await fs.ensureDir(path.dirname(this.filePath));
+    await fs.writeJson(tempFile, {
+      sessions: Array.from(this.sessions.values()),
+    });
+    await fs.move(tempFile, this.filePath, { overwrite: true });
+  }
+}
+
+export const createSessionStore = ({
+  type = getConfig().sessions.store,
+  ttlMs = getConfig().sessions.ttlDays * DAY_MS,
+  maxTurns = getConfig().sessions.maxTurns,
+  ...options
+} = {}) => {
+  switch (type) {
+    case "memory":
+      return new MemorySessionStore({ ttlMs, maxTurns, ...options });
+    case "file":
+      return new FileSessionStore({ ttlMs, maxTurns, ...options });
+    default:
+      throw new Error(`Unknown session store type: ${type}`);
+  }
+};
+
+export default createSessionStore;
@@ -0,0 +1,542 @@
+import { v4 as uuidv4 } from "uuid";
+
+// Splits extracted document text along its structure instead of at every
+// full stop. Section headings start new chunks and are tracked as a heading
+// path ("Firewall > NAT > Port forwarding"); numbered procedures, tables and
+// CLI/config blocks are kept whole where they fit and otherwise split only
+// between steps, rows or lines. Prose is split at sentence boundaries that
+// leave IP addresses, version numbers and file names like nginx.conf intact.
+
+const MARKDOWN_HEADING = /^(#{1,6})\s+(.+?)\s*#*$/;
+// "2.3 NAT", "2.3.1. Port forwarding"
+const NUMBERED_HEADING = /^(\d+(?:\.\d+)+)\.?\s+([A-Za-z].{0,78})$/;
+// "1 Introduction" (no dot, so "1. Log in" stays a procedure step)
+const TOP_NUMBERED_HEADING = /^(\d+)\s+([A-Z].{0,58})$/;
+const SETEXT_UNDERLINE = /^\s*(={3,}|-{3,})\s*$/;
+const FENCE = /^\s*(```|~~~)/;
+const LIST_ITEM = /^\s*(?:(?:step\s+)?\d+[.):]|[a-zA-Z][.)]|[-*•+])\s+\S/i;
+const CLI_PROMPT =
+  /^\s*(?:\$|[\w.-]+(?:\([\w-]+\))?[#>]|PS [A-Z]:\\[^>]*>)\s?\S/;
+const INDENTED = /^(?: {4,}|\t)\S/;
+const CONFIG_LINE =
+  /^\s*(?:[\w.\-/]+\s*[=:]\s*\S.*|[^\s].*[{;]\s*|[}\]][;,]?\s*|\[[\w .:-]+\]\s*)$/;
+const TABLE_ROW = /^\s*\|.*\|\s*$|\S\t+\S|\S {2,}\S+ {2,}\S/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+// Section number typed into a heading title, "3.2 NAT rules"
+const SECTION_NUMBER = /^(\d{1,2}(?:\.\d{1,3})*)\.?\s+(?=\S)/;
+const TERMINAL_PUNCTUATION = /[.,;:!?]$/;
+const CODE_CHARACTERS = /[=<>{}$;|\\]/;
+
+// A sentence ends at . ! or ? followed by whitespace and a capital, digit or
+// opening bracket/quote, so "10.0.0.1", "v2.4.1" and "nginx.conf" survive
+const SENTENCE_BOUNDARY = /(?<=[.!?])\s+(?=["'(\[A-Z0-9])/;
+
+// Split a leading section number off a heading title
+const parseHeadingTitle = (title) => {
+  const match = title.match(SECTION_NUMBER);
+  return match
+    ? { title: title.slice(match[0].length).trim(), number: match[1] }
+    : { title: title.trim(), number: null };
+};
+
+export class StructuredChunker {
+  // Bump when chunk boundaries change so ingestion re-chunks old documents
+  static version = "structured-3";
+
+  constructor({ chunkSize = 1000, chunkOverlap = 200 } = {}) {
+    this.chunkSize = chunkSize;
+    this.chunkOverlap = chunkOverlap;
+  }
+
+  // Form feeds in `text` mark page breaks (see PDF extraction); when present
+  // every chunk records the pages it was taken from
+  chunk(text, documentId) {
+    const sections = this.buildSections(this.parseBlocks(text));
+    const paged = text.includes("\f");
+    const chunks = [];
+
+    for (const section of sections) {
+      const units = section.blocks.flatMap((block) =>
+        this.splitBlock(block).map((unit) => ({ ...unit, pages: block.pages }))
+      );
+      for (const chunk of this.packUnits(units)) {
+        const headingPath = section.headingPath;
+        const sectionTitle = headingPath.join(" > ");
+
+        chunks.push({
+          id: uuidv4(),
+          text: chunk.text,
+          documentId,
+          chunkIndex: chunks.length,
+          wordCount: chunk.text.split(/\s+/).length,
+          headingPath,
+          section: sectionTitle,
+          sectionNumber: section.sectionNumber,
+          pages: paged ? chunk.pages : [],
+          blockTypes: chunk.blockTypes,
+          overlapSize: chunk.overlapSize,
+          // The heading path gives the embedding the context the chunk text
+          // itself often lacks ("Enable it on the WAN interface")
+          embeddingText: sectionTitle
+            ? `${sectionTitle}\n\n${chunk.text}`
+            : chunk.text,
+        });
+      }
+    }
+
+    return chunks;
+  }
+
+  // Turn the text into heading, paragraph, list, table and code blocks, each
+  // with the [first, last] page it spans
+  parseBlocks(text) {
+    const lines = [];
+    const linePages = [];
+    const pageStarts = new Set();
+    let page = 1;
+
+    for (const rawLine of text.split("\n")) {
+      const segments = rawLine.split("\f");
+      segments.forEach((segment, index) => {
+        if (index > 0) {
+          page++;
+          pageStarts.add(lines.length);
+        }
+        // A page break on its own line joins the lines around it
+        if (segment.trim() || segments.length === 1) {
+          lines.push(segment.trimEnd());
+          linePages.push(page);
+        }
+      });
+    }
+
+    const blocks = [];
+    let lastExplicitLevel = 0;
+    let i = 0;
+
+    // Called once `i` is past the block's last line
+    const addBlock = (block, start) =>
+      blocks.push({ ...block, pages: [linePages[start], linePages[i - 1]] });
+
+    const isBlank = (index) => index >= lines.length || !lines[index].trim();
+    const isCodeLine = (line) => CLI_PROMPT.test(line) || INDENTED.test(line);
+    const startsCode = (index) =>
+      isCodeLine(lines[index]) ||
+      (CONFIG_LINE.test(lines[index]) &&
+        !isBlank(index + 1) &&
+        CONFIG_LINE.test(lines[index + 1]));
+    const startsTable = (index) =>
+      TABLE_ROW.test(lines[index]) &&
+      !isBlank(index + 1) &&
+      (TABLE_ROW.test(lines[index + 1]) ||
+        TABLE_SEPARATOR.test(lines[index + 1]));
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+
+      // Fenced code block, fences included
+      if (FENCE.test(line)) {
+        const start = i++;
+        while (i < lines.length && !FENCE.test(lines[i])) i++;
+        i = Math.min(i + 1, lines.length);
+        addBlock({ type: "code", lines: lines.slice(start, i) }, start);
+        continue;
+      }
+
+      const heading = this.detectHeading(
+        lines,
+        i,
+        lastExplicitLevel,
+        pageStarts
+      );
+      if (heading) {
+        if (!heading.implicit) lastExplicitLevel = heading.level;
+        blocks.push({ type: "heading", ...heading });
+        i += heading.lineCount;
+        continue;
+      }
+
+      if (startsTable(i)) {
+        const start = i;
+        while (
+          i < lines.length &&
+          (TABLE_ROW.test(lines[i]) || TABLE_SEPARATOR.test(lines[i]))
+        ) {
+          i++;
+        }
+        addBlock({ type: "table", lines: lines.slice(start, i) }, start);
+        continue;
+      }
+
+      if (startsCode(i)) {
+        const start = i;
+        while (
+          i < lines.length &&
+          !isBlank(i) &&
+          (isCodeLine(lines[i]) || CONFIG_LINE.test(lines[i]))
+        ) {
+          i++;
+        }
+        addBlock({ type: "code", lines: lines.slice(start, i) }, start);
+        continue;
+      }
+
+      if (LIST_ITEM.test(line)) {
+        const start = i;
+        const items = [];
+        while (i < lines.length) {
+          if (isBlank(i)) {
+            // Items separated by single blank lines still form one list
+            if (!isBlank(i + 1) && LIST_ITEM.test(lines[i + 1])) {
+              i++;
+              continue;
+            }
+            break;
+          }
+          if (LIST_ITEM.test(lines[i])) {
+            items.push(lines[i].trim());
+          } else if (
+            FENCE.test(lines[i]) ||
+            startsTable(i) ||
+            CLI_PROMPT.test(lines[i])
+          ) {
+            break;
+          } else {
+            // Wrapped continuation of the current item
+            items[items.length - 1] += ` ${lines[i].trim()}`;
+          }
+          i++;
+        }
+        addBlock({ type: "list", items }, start);
+        continue;
+      }
+
+      // Paragraph: consecutive lines up to a blank line or another block
+      const start = i;
+      const paragraph = [];
+      while (i < lines.length && !isBlank(i)) {
+        if (
+          paragraph.length > 0 &&
+          (FENCE.test(lines[i]) ||
+            LIST_ITEM.test(lines[i]) ||
+            MARKDOWN_HEADING.test(lines[i]) ||
+            startsTable(i) ||
+            CLI_PROMPT.test(lines[i]) ||
+            // A heading at the top of a page ends the previous page's text
+            (pageStarts.has(i) &&
+              this.detectHeading(lines, i, lastExplicitLevel, pageStarts)))
+        ) {
+          break;
+        }
+        paragraph.push(lines[i].trim());
+        i++;
+      }
+      addBlock({ type: "paragraph", text: paragraph.join(" ") }, start);
+    }
+
+    return blocks;
+  }
+
+  // Returns { title, number, level, implicit, lineCount } when lines[i] is a
+  // heading. Implicit headings (short standalone title lines, common in DOCX
+  // and PDF text) nest one level below the last explicit heading. The start
+  // of a page counts as a blank line before.
+  detectHeading(lines, i, lastExplicitLevel, pageStarts = new Set()) {
+    const line = lines[i].trim();
+    const previousBlank = i === 0 || !lines[i - 1].trim() || pageStarts.has(i);
+    const next = lines[i + 1];
+    const nextBlank = next === undefined || !next.trim();
+
+    let match = line.match(MARKDOWN_HEADING);
+    if (match) {
+      return {
+        ...parseHeadingTitle(match[2]),
+        level: match[1].length,
+        lineCount: 1,
+      };
+    }
+
+    if (next && SETEXT_UNDERLINE.test(next) && line.length <= 80) {
+      return {
+        ...parseHeadingTitle(line),
+        level: next.trim().startsWith("=") ? 1 : 2,
+        lineCount: 2,
+      };
+    }
+
+    if (line.length > 80 || TERMINAL_PUNCTUATION.test(line)) return null;
+    if (CODE_CHARACTERS.test(line) || LIST_ITEM.test(line)) {
+      match = line.match(NUMBERED_HEADING);
+      return match
+        ? {
+            title: match[2].trim(),
+            number: match[1],
+            level: match[1].split(".").length,
+            lineCount: 1,
+          }
+        : null;
+    }
+
+    match = line.match(NUMBERED_HEADING);
+    if (match) {
+      return {
+        title: match[2].trim(),
+        number: match[1],
+        level: match[1].split(".").length,
+        lineCount: 1,
+      };
+    }
+
+    const words = line.split(/\s+/);
+    const standalone = previousBlank && nextBlank && next !== undefined;
+
+    match = line.match(TOP_NUMBERED_HEADING);
+    if (match && standalone && words.length <= 7) {
+      return {
+        title: match[2].trim(),
+        number: match[1],
+        level: 1,
+        lineCount: 1,
+      };
+    }
+
+    // An all-caps line inside a paragraph is emphasis, not a heading
+    const letters = line.replace(/[^A-Za-z]/g, "");
+    if (
+      standalone &&
+      letters.length >= 4 &&
+      letters === letters.toUpperCase() &&
+      line.length <= 60
+    ) {
+      return { title: line, level: 1, lineCount: 1 };
+    }
+
+    if (
+      standalone &&
+      /^[A-Z]/.test(line) &&
+      line.length <= 60 &&
+      words.length <= 8
+    ) {
+      return {
+        title: line,
+        level: lastExplicitLevel + 1,
+        implicit: true,
+        lineCount: 1,
+      };
+    }
+
+    return null;
+  }
+
+  // Group blocks under the heading path they appear in. The section number is
+  // that of the deepest numbered heading on the path.
+  buildSections(blocks) {
+    const sections = [];
+    const stack = [];
+    let current = { headingPath: [], sectionNumber: null, blocks: [] };
+
+    for (const block of blocks) {
+      if (block.type !== "heading") {
+        current.blocks.push(block);
+        continue;
+      }
+
+      if (current.blocks.length > 0) sections.push(current);
+
+      while (stack.length > 0 && stack[stack.length - 1].level >= block.level) {
+        stack.pop();
+      }
+      stack.push(block);
+      current = {
+        headingPath: stack.map((h) => h.title),
+        sectionNumber:
+          stack
+            .map((h) => h.number)
+            .filter(Boolean)
+            .pop() || null,
+        blocks: [],
+      };
+    }
+
+    if (current.blocks.length > 0) sections.push(current);
+    return sections;
+  }
+
+  // Render a block as one or more units no longer than chunkSize, splitting
+  // only at natural boundaries
+  splitBlock(block) {
+    switch (block.type) {
+      case "paragraph":
+        return this.splitText(block.text, "paragraph");
+      case "list":
+        return this.packPieces(block.items, "list", "\n", (item) =>
+          this.splitText(item, "list").map((unit) => unit.text)
+        );
+      case "table": {
+        // Repeat the header row (and markdown separator) on every part
+        const headerCount = TABLE_SEPARATOR.test(block.lines[1] || "") ? 2 : 1;
+        const header = block.lines.slice(0, headerCount);
+        const rows = block.lines.slice(headerCount);
+        const units = this.packPieces(
+          rows,
+          "table",
+          "\n",
+          (row) => [row],
+          header.join("\n").length + 1
+        );
+        return units.length > 0
+          ? units.map((unit) => ({
+              ...unit,
+              text: [...header, unit.text].join("\n"),
+            }))
+          : [{ type: "table", text: header.join("\n") }];
+      }
+      case "code":
+        return this.packPieces(block.lines, "code", "\n", (line) =>
+          this.splitWords(line)
+        );
+      default:
+        return [];
+    }
+  }
+
+  splitText(text, type) {
+    if (text.length <= this.chunkSize) return [{ type, text }];
+
+    return this.packPieces(text.split(SENTENCE_BOUNDARY), type, " ", (piece) =>
+      this.splitWords(piece)
+    );
+  }
+
+  splitWords(text) {
+    if (text.length <= this.chunkSize) return [text];
+
+    const parts = [];
+    let current = "";
+    for (const word of text.split(/\s+/)) {
+      if (current && current.length + word.length + 1 > this.chunkSize) {
+        parts.push(current);
+        current = word;
+      } else {
+        current = current ? `${current} ${word}` : word;
+      }
+    }
+    if (current) parts.push(current);
+    return parts;
+  }
+
+  // Greedily join pieces with `separator` into units of at most chunkSize
+  // (minus `reserved`); oversized pieces are broken up with `splitPiece`
+  packPieces(pieces, type, separator, splitPiece, reserved = 0) {
+    const limit = Math.max(this.chunkSize - reserved, 1);
+    const units = [];
+    let current = "";
+
+    const flush = () => {
+      if (current) {
+        units.push({ type, text: current, continued: units.length > 0 });
+      }
+      current = "";
+    };
+
+    for (const piece of pieces) {
+      const parts = piece.length > limit ? splitPiece(piece) : [piece];
+      for (const part of parts) {
+        if (
+          current &&
+          current.length + separator.length + part.length > limit
+        ) {
+          flush();
+        }
+        current = current ? `${current}${separator}${part}` : part;
+      }
+    }
+    flush();
+
+    return units;
+  }
+
+  // Pack units into chunks. A paragraph ending in ":" introduces the block
+  // after it, so it moves along to the next chunk with that block. New chunks
+  // in a section start with the previous chunk's last sentences as overlap.
+  packUnits(units) {
+    const chunks = [];
+    let current = [];
+    let overlap = "";
+
+    const size = (parts) =>
+      parts.reduce((total, unit) => total + unit.text.length + 2, 0);
+
+    const emit = () => {
+      if (current.length === 0) return;
+
+      const body = current.map((unit) => unit.text).join("\n\n");
+      const firstPage = Math.min(...current.map((unit) => unit.pages[0]));
+      const lastPage = Math.max(...current.map((unit) => unit.pages[1]));
+      chunks.push({
+        text: overlap ? `${overlap}\n\n${body}` : body,
+        blockTypes: [...new Set(current.map((unit) => unit.type))],
+        overlapSize: overlap.length,
+        pages: Array.from(
+          { length: lastPage - firstPage + 1 },
+          (_, i) => firstPage + i
+        ),
+      });
+
+      const last = current[current.length - 1];
+      overlap = last.type === "paragraph" ? this.overlapText(last.text) : "";
+      current = [];
+    };
+
+    for (const unit of units) {
+      if (
+        current.length > 0 &&
+        size(current) + unit.text.length > this.chunkSize
+      ) {
+        const last = current[current.length - 1];
+        const leadIn =
+          last.type === "paragraph" &&
+          last.text.endsWith(":") &&
+          unit.type !== "paragraph";
+
+        // A lead-in on its own stays with its block even if that overflows
+        if (!leadIn || current.length > 1) {
+          const carried = leadIn ? current.pop() : null;
+          emit();
+          if (carried) {
+            overlap = "";
+            current.push(carried);
+          }
+        }
+      }
+      current.push(unit);
+    }
+    emit();
+
+    return chunks;
+  }
+
+  // Trailing whole sentences of `text`, up to chunkOverlap characters
+  overlapText(text) {
+    if (this.chunkOverlap <= 0) return "";
+
+    const sentences = text.split(SENTENCE_BOUNDARY);
+    const selected = [];
+    let length = 0;
+
+    for (let i = sentences.length - 1; i >= 0; i--) {
+      if (length + sentences[i].length > this.chunkOverlap) break;
+      selected.unshift(sentences[i]);
+      length += sentences[i].length + 1;
+    }
+
+    return selected.join(" ");
+  }
+}
+
+export default StructuredChunker;
@@ -0,0 +1,104 @@
+// Inline citations: context chunks are numbered in the prompt and the model
+// cites them as [1], [2][3] or [1, 2]. Markers are checked against the
+// retrieved sources after generation and any the model made up are dropped.
+
+// Optional leading whitespace is captured so a dropped marker does not leave
+// a stray space before punctuation
+const CITATION_PATTERN = /(\s*)\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+// Sentence boundaries, keeping markers that follow the punctuation with the
+// sentence they belong to
+const SENTENCE_BOUNDARY = /(?<=[.!?])\s+(?!\[\d)|\n+/;
+
+const MAX_SENTENCE_LENGTH = 300;
+
+// Where in its document a source was found, e.g. "p. 14, §3.2" or
+// "pp. 14–15"; empty when neither pages nor a section number are known
+export const formatLocation = ({ pages = [], sectionNumber = null } = {}) => {
+  const parts = [];
+  if (pages.length === 1) {
+    parts.push(`p. ${pages[0]}`);
+  } else if (pages.length > 1) {
+    parts.push(`pp. ${pages[0]}–${pages[pages.length - 1]}`);
+  }
+  if (sectionNumber) {
+    parts.push(`§${sectionNumber}`);
+  }
+  return parts.join(", ");
+};
+
+export const stripCitations = (text) =>
+  (text || "").replace(CITATION_PATTERN, "");
+
+// `sources` are context sources with a `number`. Returns the answer with only
+// valid markers left (normalised to [n][m]), the citation map (one entry per
+// cited source with the sentences citing it) and the invented numbers.
+export const extractCitations = (text, sources = []) => {
+  const sourcesByNumber = new Map(
+    sources.map((source) => [source.number, source])
+  );
+  const invalid = new Set();
+
+  const cleaned = (text || "").replace(
+    CITATION_PATTERN,
+    (match, whitespace, list) => {
+      const numbers = [
+        ...new Set(list.split(",").map((n) => parseInt(n.trim(), 10))),
+      ];
+      const valid = numbers.filter((number) => sourcesByNumber.has(number));
+      numbers
+        .filter((number) => !sourcesByNumber.has(number))
+        .forEach((number) => invalid.add(number));
+
+      return valid.length > 0
+        ? whitespace + valid.map((number) => `[${number}]`).join("")
+        : "";
+    }
+  );
+
+  const citations = new Map();
+
+  for (const sentence of cleaned.split(SENTENCE_BOUNDARY)) {
+    const numbers = new Set(
+      [...sentence.matchAll(/\[(\d+)\]/g)].map((match) => Number(match[1]))
+    );
+    if (numbers.size === 0) continue;
+
+    let statement = stripCitations(sentence)
+      .replace(/^(?:[\s#>*-]+|\d+\.\s+)+/, "")
+      .trim();
+    if (statement.length > MAX_SENTENCE_LENGTH) {
+      statement = `${statement.slice(0, MAX_SENTENCE_LENGTH - 3)}...`;
+    }
+
+    for (const number of numbers) {
+      if (!citations.has(number)) {
+        const source = sourcesByNumber.get(number);
+        citations.set(number, {
+          number,
+          id: source.id,
+          documentName: source.documentName,
+          chunkIndex: source.chunkIndex,
+          section: source.section,
+          sectionNumber: source.sectionNumber,
+          pages: source.pages,
+          preview: source.preview,
+          sentences: [],
+        });
+      }
+      if (statement) {
+        citations.get(number).sentences.push(statement);
+      }
+    }
+  }
+
+  return {
+    text: cleaned,
+    citations: Array.from(citations.values()).sort(
+      (a, b) => a.number - b.number
+    ),
+    invalidCitations: Array.from(invalid).sort((a, b) => a - b),
+  };
+};
+
+export default extractCitations;
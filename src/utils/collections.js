@@ -0,0 +1,40 @@
+// Collections are the folders documents live in below data/documents, e.g.
+// "network/" or "security/firewall/"; documents in the top folder have the
+// empty collection "". A collection filter matches its sub-folders too, and
+// "/" selects the top folder only.
+
+export const collectionOf = (documentName) => {
+  const index = documentName.lastIndexOf("/");
+  return index === -1 ? "" : documentName.slice(0, index + 1);
+};
+
+// Accepts an array or a comma-separated string; returns normalised filters
+// ("network/", "/") or an empty array when nothing is filtered
+export const normalizeCollections = (collections) => {
+  const values = Array.isArray(collections)
+    ? collections
+    : typeof collections === "string"
+      ? collections.split(",")
+      : [];
+
+  return [
+    ...new Set(
+      values
+        .filter((value) => typeof value === "string" && value.trim())
+        .map((value) => {
+          const name = value
+            .trim()
+            .replace(/\\/g, "/")
+            .replace(/^\.?\/+/, "");
+          return name ? `${name.replace(/\/+$/, "")}/` : "/";
+        })
+    ),
+  ];
+};
+
+export const matchesCollections = (collection, filters) =>
+  filters.some((filter) =>
+    filter === "/" ? collection === "" : collection.startsWith(filter)
+  );
+
+export default collectionOf;
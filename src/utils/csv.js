@@ -0,0 +1,59 @@
+// Minimal RFC 4180 CSV parsing: quoted fields may contain the delimiter,
+// doubled quotes and line breaks. The delimiter is detected from the header
+// line when not given (comma, semicolon or tab).
+
+const DELIMITERS = [",", ";", "\t"];
+
+export const detectDelimiter = (text) => {
+  const header = text.split("\n", 1)[0];
+  return DELIMITERS.map((delimiter) => ({
+    delimiter,
+    count: header.split(delimiter).length - 1,
+  })).reduce((a, b) => (b.count > a.count ? b : a)).delimiter;
+};
+
+// Returns an array of rows, each an array of field strings
+export const parseCSV = (text, delimiter = detectDelimiter(text)) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((fields) => fields.some((value) => value.trim()));
+};
+
+export default parseCSV;
@@ -0,0 +1,57 @@
+// Near-duplicate removal for retrieved chunks. Consecutive chunks of a
+// section repeat the previous chunk's last sentences, so a short chunk can be
+// almost entirely contained in its neighbour; the same boilerplate may also
+// appear in several documents. Two chunks are near-duplicates when one shares
+// at least `threshold` of its word trigrams with the other.
+
+const SHINGLE_SIZE = 3;
+
+const shingles = (text) => {
+  const words = (text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const result = new Set();
+
+  if (words.length < SHINGLE_SIZE) {
+    if (words.length > 0) result.add(words.join(" "));
+    return result;
+  }
+  for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+    result.add(words.slice(i, i + SHINGLE_SIZE).join(" "));
+  }
+  return result;
+};
+
+// Share of the smaller set found in the larger one
+const containment = (a, b) => {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  if (small.size === 0) return 0;
+
+  let shared = 0;
+  for (const shingle of small) {
+    if (large.has(shingle)) shared++;
+  }
+  return shared / small.size;
+};
+
+// Keeps the first (best ranked) of each group of near-duplicates in `chunks`,
+// in order; returns { chunks, removed } with the dropped chunks' ids
+export const removeNearDuplicates = (chunks, { threshold = 0.8 } = {}) => {
+  const kept = [];
+  const removed = [];
+
+  for (const chunk of chunks) {
+    const chunkShingles = shingles(chunk.text);
+    const duplicate = kept.some(
+      (other) => containment(chunkShingles, other.shingles) >= threshold
+    );
+
+    if (duplicate) {
+      removed.push(chunk.id);
+    } else {
+      kept.push({ chunk, shingles: chunkShingles });
+    }
+  }
+
+  return { chunks: kept.map(({ chunk }) => chunk), removed };
+};
+
+export default removeNearDuplicates;
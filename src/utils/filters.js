@@ -0,0 +1,139 @@
+// Retrieval filters narrow chat and search to a subset of the documents:
+// by collection (folder), document type, IT keyword, document name and the
+// date the document was processed. Any value within one filter matches;
+// different filters must all match.
+
+import {
+  collectionOf,
+  matchesCollections,
+  normalizeCollections,
+} from "./collections.js";
+import { matchesGlob } from "./glob.js";
+
+export const FILTER_KEYS = [
+  "collections",
+  "documentTypes",
+  "keywords",
+  "documents",
+  "processedFrom",
+  "processedTo",
+];
+
+const LIST_KEYS = ["collections", "documentTypes", "keywords", "documents"];
+const DATE_KEYS = ["processedFrom", "processedTo"];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const toList = (values) =>
+  (Array.isArray(values)
+    ? values
+    : typeof values === "string"
+      ? values.split(",")
+      : []
+  )
+    .filter((value) => typeof value === "string")
+    .map((value) => value.trim())
+    .filter(Boolean);
+
+// A date-only "to" bound includes the whole day
+const parseDate = (value, endOfDay = false) => {
+  if (value === undefined || value === null || value === "") return null;
+  const text = String(value).trim();
+  const date = new Date(
+    DATE_ONLY.test(text) && endOfDay ? `${text}T23:59:59.999Z` : text
+  );
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// Only the filter fields of `source` (request body or query options)
+export const pickFilter = (source = {}) =>
+  Object.fromEntries(
+    FILTER_KEYS.filter(
+      (key) => source[key] !== undefined && source[key] !== null
+    ).map((key) => [key, source[key]])
+  );
+
+// Problems with client-supplied filter fields, empty when they are usable
+export const filterProblems = (source = {}) => {
+  const problems = [];
+
+  for (const key of LIST_KEYS) {
+    const value = source[key];
+    if (value === undefined || value === null || typeof value === "string") {
+      continue;
+    }
+    if (
+      !Array.isArray(value) ||
+      value.some((item) => typeof item !== "string")
+    ) {
+      problems.push(`${key} must be an array of strings or a comma string`);
+    }
+  }
+
+  for (const key of DATE_KEYS) {
+    if (parseDate(source[key]) === undefined) {
+      problems.push(`${key} must be an ISO date (e.g. 2024-05-31)`);
+    }
+  }
+
+  const from = parseDate(source.processedFrom);
+  const to = parseDate(source.processedTo, true);
+  if (from && to && from > to) {
+    problems.push("processedFrom must not be after processedTo");
+  }
+
+  return problems;
+};
+
+// Normalised filter, or null when nothing is filtered
+export const normalizeFilter = (source = {}) => {
+  const filter = {
+    collections: normalizeCollections(source.collections),
+    documentTypes: toList(source.documentTypes).map((type) =>
+      type.toLowerCase()
+    ),
+    keywords: toList(source.keywords).map((keyword) => keyword.toLowerCase()),
+    documents: toList(source.documents),
+    processedFrom: parseDate(source.processedFrom) || null,
+    processedTo: parseDate(source.processedTo, true) || null,
+  };
+
+  const active = FILTER_KEYS.some((key) =>
+    Array.isArray(filter[key]) ? filter[key].length > 0 : filter[key]
+  );
+  return active ? filter : null;
+};
+
+// Document record predicate for a filter, or null when nothing is filtered.
+// Document names match exactly or as a glob ("network/*.pdf").
+export const createDocumentFilter = (source) => {
+  const filter = normalizeFilter(source);
+  if (!filter) return null;
+
+  const { collections, documentTypes, keywords, documents } = filter;
+  const { processedFrom, processedTo } = filter;
+
+  return (doc) => {
+    const name = doc.document_name;
+    const collection = doc.collection ?? collectionOf(name);
+    const documentType = doc.metadata?.documentType || "general";
+    const documentKeywords = doc.metadata?.keywords || [];
+    const processedAt = new Date(doc.processed_at);
+
+    return (
+      (collections.length === 0 ||
+        matchesCollections(collection, collections)) &&
+      (documentTypes.length === 0 || documentTypes.includes(documentType)) &&
+      (keywords.length === 0 ||
+        documentKeywords.some((keyword) =>
+          keywords.includes(keyword.toLowerCase())
+        )) &&
+      (documents.length === 0 ||
+        documents.includes(name) ||
+        matchesGlob(name, documents)) &&
+      (!processedFrom || processedAt >= processedFrom) &&
+      (!processedTo || processedAt <= processedTo)
+    );
+  };
+};
+
+export default createDocumentFilter;
@@ -0,0 +1,54 @@
+// Glob matching for "/"-separated relative paths. "*" and "?" stay within a
+// path segment, "**" spans any number of segments (including none), "{a,b}"
+// alternates and "[...]" is a character class. Like .gitignore, a pattern
+// without "/" matches the file name in any folder.
+
+const escapeRegExp = (text) => text.replace(/[.+^$()|\\[\]{}]/g, "\\$&");
+
+const globSource = (pattern) => {
+  let source = "";
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === "*" && pattern[i + 1] === "*") {
+      // "**/" is zero or more folders, any other "**" is anything at all
+      if (pattern[i + 2] === "/") {
+        source += "(?:.*/)?";
+        i += 2;
+      } else {
+        source += ".*";
+        i += 1;
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{" && pattern.indexOf("}", i) !== -1) {
+      const end = pattern.indexOf("}", i);
+      const alternatives = pattern.slice(i + 1, end).split(",");
+      source += `(?:${alternatives.map(globSource).join("|")})`;
+      i = end;
+    } else if (char === "[" && pattern.indexOf("]", i + 1) !== -1) {
+      const end = pattern.indexOf("]", i + 1);
+      const members = pattern.slice(i + 1, end).replace(/^!/, "^");
+      source += `[${members.replace(/\\/g, "\\\\")}]`;
+      i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return source;
+};
+
+export const globToRegExp = (pattern) => {
+  const anchored = pattern.includes("/") ? pattern : `**/${pattern}`;
+  return new RegExp(`^${globSource(anchored.replace(/^\.?\//, ""))}$`);
+};
+
+// True when `relativePath` matches any of `patterns`
+export const matchesGlob = (relativePath, patterns = []) =>
+  patterns.some((pattern) => globToRegExp(pattern).test(relativePath));
+
+export default matchesGlob;
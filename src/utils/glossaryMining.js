@@ -0,0 +1,334 @@
+// Finds definitions of abbreviations and terms in extracted document text,
+// as candidates for the glossary:
+//   "Software Defined Network Gateway (SDN-GW)"   long form, then abbreviation
+//   "SDN-GW (Software Defined Network Gateway)"   abbreviation, then long form
+//   "DC2-CORE stands for ..." / "is short for" / "is an acronym for" ...
+//   glossary tables ("| Acronym | Meaning |" or CSV columns of that kind)
+//   "TERM: definition" lines under a Glossary / Abbreviations heading
+// Long and short forms in parentheses are paired with the Schwartz & Hearst
+// heuristic: the abbreviation's characters must be found in order in the
+// long form, the first one at the start of a word.
+
+const MAX_EXPANSION_WORDS = 8;
+const CONTEXT_LENGTH = 200;
+
+const ABBREVIATION = String.raw`[A-Za-z0-9][A-Za-z0-9&/.-]{0,13}[A-Za-z0-9]`;
+
+const GLOSSARY_HEADING =
+  /^(?:#+\s*)?(?:\d+(?:\.\d+)*\.?\s+)?(?:list of |table of )?(?:glossary|abbreviations|acronyms|terms and definitions|definitions|abbreviations and acronyms|acronyms and abbreviations)(?: of terms)?\s*:?\s*$/i;
+const HEADING = /^(?:#+\s+\S|\d+(?:\.\d+)*\.?\s+[A-Z])/;
+
+const TERM_COLUMN =
+  /^(?:term|acronym|abbreviation|abbr\.?|short form|short name)s?$/i;
+const DEFINITION_COLUMN =
+  /^(?:definition|meaning|description|expansion|stands for|full (?:form|name)|long form)s?$/i;
+
+const STANDS_FOR = new RegExp(
+  String.raw`(?<![\w-])(${ABBREVIATION})\s+(?:stands for|is short for|is an? (?:abbreviation|acronym) (?:for|of))\s+(?:the\s+|an?\s+)?([^.;:\n()]{3,120})`,
+  "g"
+);
+const PARENTHESES = /\(([^()\n]{2,120})\)/g;
+const DEFINITION_LINE =
+  /^\s*(?:[-*•]\s+)?(?:\*\*)?([^:=\t|]{2,40}?)(?:\*\*)?\s*(?::|=|\t|\s[-–—]\s)\s*(.{3,})$/;
+
+// Two or more capitals, not just a number or an ordinary capitalised word
+export const isAbbreviation = (term) =>
+  new RegExp(`^${ABBREVIATION}$`).test(term) &&
+  (term.match(/[A-Z]/g) || []).length >= 2;
+
+const wordCount = (text) => text.split(/\s+/).filter(Boolean).length;
+
+const clean = (text) =>
+  text
+    .replace(/\*\*|__|`/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/[\s,;:.–—-]+$/, "");
+
+// The leading phrase of a definition, if it is short enough to be used as
+// an expansion ("Virtual Private Network, an encrypted tunnel" -> "Virtual
+// Private Network"), without a leading article
+const leadingPhrase = (definition) => {
+  const phrase = clean(definition.split(/[,;:.(–—]|\s-\s/)[0]).replace(
+    /^(?:the|an?)\s+/i,
+    ""
+  );
+  return phrase && wordCount(phrase) <= MAX_EXPANSION_WORDS ? phrase : null;
+};
+
+// The shortest end of `text` whose words spell out `abbreviation`, or null
+export const findLongForm = (abbreviation, text) => {
+  const short = abbreviation.toLowerCase();
+  const long = text.toLowerCase();
+  let s = short.length - 1;
+  let l = long.length - 1;
+
+  while (s >= 0) {
+    const c = short[s];
+    if (!/[a-z0-9]/.test(c)) {
+      s--;
+      continue;
+    }
+    // The first character must start a word
+    while (
+      l >= 0 &&
+      (long[l] !== c || (s === 0 && l > 0 && /[a-z0-9]/.test(long[l - 1])))
+    ) {
+      l--;
+    }
+    if (l < 0) return null;
+    l--;
+    s--;
+  }
+
+  const longForm = clean(text.slice(l + 1));
+  if (
+    wordCount(longForm) < 2 ||
+    wordCount(longForm) > MAX_EXPANSION_WORDS ||
+    longForm.toLowerCase().includes(short)
+  ) {
+    return null;
+  }
+  return longForm;
+};
+
+const contextOf = (text, index) => {
+  const start = Math.max(
+    text.lastIndexOf("\n", index) + 1,
+    index - CONTEXT_LENGTH / 2
+  );
+  const end = text.indexOf("\n", index);
+  return clean(
+    text.slice(start, end === -1 ? undefined : end).slice(0, CONTEXT_LENGTH)
+  );
+};
+
+// "Long Form (ABBR)" and "ABBR (Long Form)"
+const parenthesised = (text) => {
+  const found = [];
+
+  for (const match of text.matchAll(PARENTHESES)) {
+    const inside = match[1].trim();
+    const before = text.slice(0, match.index).trimEnd();
+
+    if (isAbbreviation(inside)) {
+      // At most twice as many words as characters in the abbreviation
+      const words = before
+        .split("\n")
+        .pop()
+        .split(/\s+/)
+        .slice(-Math.min(inside.length + 5, inside.length * 2));
+      const longForm = findLongForm(inside, words.join(" "));
+      if (longForm) {
+        found.push({
+          term: inside,
+          expansion: longForm,
+          pattern: "long form (abbreviation)",
+          index: match.index,
+        });
+      }
+      continue;
+    }
+
+    const term = before.match(new RegExp(`(?<![\\w-])(${ABBREVIATION})$`));
+    if (term && isAbbreviation(term[1])) {
+      const longForm = findLongForm(term[1], inside);
+      // The long form must be the whole parenthesis, not its tail
+      if (longForm && longForm.length >= clean(inside).length - 1) {
+        found.push({
+          term: term[1],
+          expansion: longForm,
+          pattern: "abbreviation (long form)",
+          index: match.index,
+        });
+      }
+    }
+  }
+
+  return found;
+};
+
+const standsFor = (text) =>
+  [...text.matchAll(STANDS_FOR)]
+    .filter((match) => isAbbreviation(match[1]))
+    .map((match) => ({
+      term: match[1],
+      expansion: leadingPhrase(match[2]),
+      pattern: "stands for",
+      index: match.index,
+    }))
+    .filter((definition) => definition.expansion);
+
+const tableCells = (line) =>
+  line
+    .trim()
+    .replace(/^\||\|$/g, "")
+    .split(/(?<!\\)\|/)
+    .map((cell) => cell.trim());
+
+// Pipe tables with a term and a definition column, or any two-column table
+// in a glossary section; CSV records ("- Row 2: Acronym: VPN; Meaning: ...")
+// with such columns
+const tables = (lines, inGlossary) => {
+  const found = [];
+  let columns = null;
+  let csvColumns = null;
+
+  lines.forEach(({ line, index }, i) => {
+    const csvHeader = line.match(/^\d+ records with columns: (.+)\.$/);
+    if (csvHeader) {
+      const names = csvHeader[1].split(", ");
+      const term = names.findIndex((name) => TERM_COLUMN.test(name));
+      const definition = names.findIndex((name) =>
+        DEFINITION_COLUMN.test(name)
+      );
+      csvColumns =
+        term !== -1 && definition !== -1
+          ? { term: names[term], definition: names[definition] }
+          : null;
+      return;
+    }
+    if (csvColumns && line.startsWith("- Row ")) {
+      const fields = new Map(
+        line
+          .replace(/^- Row \d+: /, "")
+          .split("; ")
+          .map((field) => field.split(/: (.*)/s).slice(0, 2))
+      );
+      const term = fields.get(csvColumns.term);
+      const definition = fields.get(csvColumns.definition);
+      if (term && definition) {
+        found.push({ term, definition, pattern: "table", index });
+      }
+      return;
+    }
+
+    if (!line.trim().startsWith("|")) {
+      columns = null;
+      return;
+    }
+    const cells = tableCells(line);
+    if (cells.every((cell) => /^:?-+:?$/.test(cell))) return;
+
+    if (!columns) {
+      // A header row is followed by its separator row
+      if (!/^\s*\|?\s*:?-+/.test(lines[i + 1]?.line || "")) return;
+      const term = cells.findIndex((cell) => TERM_COLUMN.test(cell));
+      const definition = cells.findIndex((cell) =>
+        DEFINITION_COLUMN.test(cell)
+      );
+      if (term !== -1 && definition !== -1) {
+        columns = { term, definition };
+      } else if (cells.length === 2 && inGlossary(i)) {
+        columns = { term: 0, definition: 1 };
+      } else {
+        columns = { term: -1, definition: -1 };
+      }
+      return;
+    }
+
+    const term = cells[columns.term];
+    const definition = cells[columns.definition];
+    if (term && definition) {
+      found.push({ term, definition, pattern: "table", index });
+    }
+  });
+
+  return found;
+};
+
+// "TERM: definition" lines of a glossary section
+const glossaryLines = (lines, inGlossary) =>
+  lines
+    .filter(({ line }, i) => inGlossary(i) && !line.trim().startsWith("|"))
+    .map(({ line, index }) => {
+      const match = line.match(DEFINITION_LINE);
+      return match
+        ? {
+            term: match[1],
+            definition: match[2],
+            pattern: "glossary section",
+            index,
+          }
+        : null;
+    })
+    .filter(Boolean);
+
+// Lines from a glossary heading up to the next heading
+const glossarySections = (lines) => {
+  const inside = new Array(lines.length).fill(false);
+  let active = false;
+
+  lines.forEach(({ line }, i) => {
+    const trimmed = line.trim();
+    if (GLOSSARY_HEADING.test(trimmed)) {
+      active = true;
+      return;
+    }
+    // A numbered definition ("1. VPN: ...") is not a numbered heading
+    if (
+      HEADING.test(trimmed) &&
+      !DEFINITION_LINE.test(trimmed.replace(/^\d+(?:\.\d+)*\.?\s+/, ""))
+    ) {
+      active = false;
+    }
+    inside[i] = active;
+  });
+
+  return (i) => inside[i];
+};
+
+// Definitions in `text`, one per term and expansion:
+// [{ term, expansion, pattern, context }]
+export const mineDefinitions = (text) => {
+  if (!text) return [];
+
+  let offset = 0;
+  const lines = text.split("\n").map((line) => {
+    const entry = { line, index: offset };
+    offset += line.length + 1;
+    return entry;
+  });
+  const inGlossary = glossarySections(lines);
+
+  const defined = [
+    ...tables(lines, inGlossary),
+    ...glossaryLines(lines, inGlossary),
+  ]
+    .map(({ term, definition, ...rest }) => {
+      const cleanTerm = clean(term);
+      const abbreviation = isAbbreviation(cleanTerm);
+      // An abbreviation's definition often starts with its long form
+      const expansion = abbreviation
+        ? (findLongForm(cleanTerm, leadingPhrase(definition) || "") ??
+          leadingPhrase(definition))
+        : leadingPhrase(definition);
+      return { term: cleanTerm, expansion, ...rest };
+    })
+    .filter(
+      ({ term, expansion }) =>
+        expansion &&
+        wordCount(term) <= 5 &&
+        term.toLowerCase() !== expansion.toLowerCase()
+    );
+
+  const definitions = new Map();
+  for (const definition of [
+    ...parenthesised(text),
+    ...standsFor(text),
+    ...defined,
+  ]) {
+    const key = `${definition.term.toLowerCase()}\n${definition.expansion.toLowerCase()}`;
+    if (definitions.has(key)) continue;
+    definitions.set(key, {
+      term: definition.term,
+      expansion: definition.expansion,
+      pattern: definition.pattern,
+      context: contextOf(text, definition.index),
+    });
+  }
+
+  return [...definitions.values()];
+};
+
+export default mineDefinitions;
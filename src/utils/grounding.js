@@ -0,0 +1,124 @@
+import { tokenize } from "../services/BM25Index.js";
+import { stripCitations } from "./citations.js";
+
+// Post-generation grounding checks. Each claim (sentence) of an answer is
+// scored by how much of its content is found in the best matching retrieved
+// chunk; technical terms with digits (IPs, VLAN IDs, ports, versions) must
+// appear verbatim in the chunks, since those are what models tend to invent.
+
+const SENTENCE_BOUNDARY = /(?<=[.!?])\s+(?!\[\d)|\n+/;
+
+// Statements about the documentation itself rather than claims from it
+const NON_CLAIM_PATTERN =
+  /\b(not (?:mentioned|covered|provided|included|specified|available)|no (?:information|details|mention)|(?:does not|doesn't|do not|don't) (?:contain|mention|provide|cover|specify))\b/i;
+
+const MIN_CLAIM_TOKENS = 3;
+
+const hasDigit = (token) => /\d/.test(token);
+
+export const splitClaims = (answer) =>
+  (answer || "")
+    .split(SENTENCE_BOUNDARY)
+    .map((sentence) => sentence.trim())
+    .filter((sentence) => sentence && !sentence.startsWith("#"))
+    .map((sentence) => ({
+      text: stripCitations(sentence)
+        .replace(/^(?:[-*•>]\s*|\d+\.\s+)+/, "")
+        .trim(),
+      citedSources: [...sentence.matchAll(/\[(\d+)\]/g)].map((match) =>
+        Number(match[1])
+      ),
+    }))
+    .filter(
+      ({ text }) =>
+        !NON_CLAIM_PATTERN.test(text) &&
+        new Set(tokenize(text)).size >= MIN_CLAIM_TOKENS
+    );
+
+// Score each claim of `answer` against the retrieved `chunks` (each with
+// `text` and, when numbered, a `number`). A claim is supported when at least
+// `claimThreshold` of its terms occur in one chunk and none of its terms with
+// digits are missing from all chunks.
+export const verifyGrounding = (
+  answer,
+  chunks,
+  { claimThreshold = 0.5 } = {}
+) => {
+  const chunkTerms = chunks.map((chunk, i) => ({
+    number: chunk.number ?? i + 1,
+    terms: new Set(tokenize(chunk.text)),
+  }));
+  const allTerms = new Set(chunkTerms.flatMap(({ terms }) => [...terms]));
+
+  const claims = splitClaims(answer).map(({ text, citedSources }) => {
+    const terms = [...new Set(tokenize(text))];
+
+    let score = 0;
+    let bestSource = null;
+    for (const chunk of chunkTerms) {
+      const found = terms.filter((term) => chunk.terms.has(term)).length;
+      const chunkScore = found / terms.length;
+      if (chunkScore > score) {
+        score = chunkScore;
+        bestSource = chunk.number;
+      }
+    }
+
+    const missingTerms = terms.filter(
+      (term) => hasDigit(term) && !allTerms.has(term)
+    );
+
+    return {
+      text,
+      score: Number(score.toFixed(3)),
+      supported: score >= claimThreshold && missingTerms.length === 0,
+      citedSources,
+      bestSource,
+      missingTerms,
+    };
+  });
+
+  const supportedClaims = claims.filter((claim) => claim.supported).length;
+
+  return {
+    verified: true,
+    score:
+      claims.length > 0
+        ? Number((supportedClaims / claims.length).toFixed(3))
+        : 1,
+    totalClaims: claims.length,
+    supportedClaims,
+    unsupportedClaims: claims.length - supportedClaims,
+    claims,
+  };
+};
+
+// How confident retrieval is that the question is covered at all: the best
+// vector similarity among the retrieved chunks. Lexical-only retrieval has no
+// similarity, so the share of query terms found in the best chunk stands in.
+export const retrievalConfidence = (query, chunks) => {
+  const similarities = chunks
+    .map((chunk) => chunk.similarity)
+    .filter((similarity) => typeof similarity === "number");
+
+  if (similarities.length > 0) {
+    return { score: Math.max(...similarities), method: "vector" };
+  }
+
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0 || chunks.length === 0) {
+    return { score: 0, method: "lexical" };
+  }
+
+  const coverage = Math.max(
+    ...chunks.map((chunk) => {
+      const terms = new Set(tokenize(chunk.text));
+      return (
+        queryTerms.filter((term) => terms.has(term)).length / queryTerms.length
+      );
+    })
+  );
+  return { score: coverage, method: "lexical" };
+};
+
+export default verifyGrounding;
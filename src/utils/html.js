@@ -0,0 +1,201 @@
+// Convert HTML to plain text that keeps its structure in markdown form:
+// headings become "#" lines, list items "-" / "1." lines, tables pipe rows
+// and <pre> blocks fenced code, so the structured chunker sees the same
+// sections and blocks the author laid out.
+
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w-]*)([^>]*)>|[^<]+|</g;
+
+const SKIPPED_TAGS = new Set([
+  "head",
+  "script",
+  "style",
+  "noscript",
+  "template",
+  "svg",
+]);
+
+const BLOCK_TAGS = new Set([
+  "p",
+  "div",
+  "section",
+  "article",
+  "header",
+  "footer",
+  "main",
+  "nav",
+  "aside",
+  "blockquote",
+  "figure",
+  "figcaption",
+  "dl",
+  "dt",
+  "dd",
+  "hr",
+  "address",
+  "details",
+  "summary",
+]);
+
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  ndash: "–",
+  mdash: "—",
+  hellip: "…",
+  lsquo: "‘",
+  rsquo: "’",
+  ldquo: "“",
+  rdquo: "”",
+  copy: "©",
+  reg: "®",
+  trade: "™",
+};
+
+export const decodeEntities = (text) =>
+  text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const value =
+        code[1].toLowerCase() === "x"
+          ? parseInt(code.slice(2), 16)
+          : parseInt(code.slice(1), 10);
+      return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+
+export const htmlToStructuredText = (html) => {
+  const lines = [];
+  const lists = [];
+  let buffer = "";
+  let prefix = "";
+  let skipDepth = 0;
+  let pre = null;
+  let table = null;
+
+  const flushLine = () => {
+    const text = buffer.replace(/\s+/g, " ").trim();
+    if (text) lines.push(prefix + text);
+    buffer = "";
+    prefix = "";
+  };
+
+  const flushBlock = () => {
+    flushLine();
+    if (lines.length > 0 && lines[lines.length - 1] !== "") lines.push("");
+  };
+
+  for (const [token, closing, rawTag] of html.matchAll(TOKEN_PATTERN)) {
+    const tag = rawTag?.toLowerCase();
+
+    if (!tag) {
+      if (skipDepth > 0 || token.startsWith("<!--")) continue;
+      const text = decodeEntities(token);
+      if (pre !== null) {
+        pre += text;
+      } else if (table && table.cell !== null) {
+        table.cell += text;
+      } else {
+        buffer += text;
+      }
+      continue;
+    }
+
+    if (SKIPPED_TAGS.has(tag)) {
+      if (!token.endsWith("/>")) skipDepth += closing ? -1 : 1;
+      skipDepth = Math.max(skipDepth, 0);
+      continue;
+    }
+    if (skipDepth > 0) continue;
+
+    if (pre !== null) {
+      if (tag === "pre" && closing) {
+        flushBlock();
+        lines.push("```", ...pre.replace(/^\n|\n$/g, "").split("\n"), "```");
+        lines.push("");
+        pre = null;
+      } else if (tag === "br") {
+        pre += "\n";
+      }
+      continue;
+    }
+
+    // Inside a table cell everything is inline text
+    if (
+      table &&
+      table.cell !== null &&
+      !["td", "th", "tr", "table"].includes(tag)
+    ) {
+      if (tag === "br" || tag === "li" || BLOCK_TAGS.has(tag)) {
+        table.cell += " ";
+      }
+      continue;
+    }
+
+    if (/^h[1-6]$/.test(tag)) {
+      flushBlock();
+      if (!closing) prefix = `${"#".repeat(Number(tag[1]))} `;
+    } else if (tag === "pre") {
+      flushBlock();
+      pre = "";
+    } else if (tag === "ul" || tag === "ol") {
+      flushLine();
+      if (closing) {
+        lists.pop();
+        if (lists.length === 0) flushBlock();
+      } else {
+        lists.push({ ordered: tag === "ol", counter: 0 });
+      }
+    } else if (tag === "li") {
+      flushLine();
+      const list = lists[lists.length - 1];
+      if (!closing) {
+        prefix = list?.ordered ? `${++list.counter}. ` : "- ";
+      }
+    } else if (tag === "table") {
+      flushBlock();
+      if (closing) {
+        table = null;
+      } else {
+        table = { rows: 0, cells: null, cell: null };
+      }
+    } else if (tag === "tr" && table) {
+      if (!closing) {
+        table.cells = [];
+      } else if (table.cells?.length > 0) {
+        lines.push(`| ${table.cells.join(" | ")} |`);
+        // Treat the first row as the header row
+        if (table.rows++ === 0) {
+          lines.push(`| ${table.cells.map(() => "---").join(" | ")} |`);
+        }
+        table.cells = null;
+      }
+    } else if ((tag === "td" || tag === "th") && table) {
+      if (!closing) {
+        table.cell = "";
+      } else if (table.cell !== null) {
+        table.cells?.push(
+          table.cell.replace(/\s+/g, " ").replace(/\|/g, "\\|").trim()
+        );
+        table.cell = null;
+      }
+    } else if (tag === "br") {
+      flushLine();
+    } else if (BLOCK_TAGS.has(tag)) {
+      // Paragraphs inside a list item continue the item
+      if (lists.length > 0) {
+        buffer += " ";
+      } else {
+        flushBlock();
+      }
+    }
+  }
+
+  flushBlock();
+  return lines.join("\n").trim();
+};
+
+export default htmlToStructuredText;
@@ -0,0 +1,74 @@
+// Single-writer guard across processes, e.g. the ingestion CLI and upload
+// ingestion in the app: a lock file created exclusively, holding the owner's
+// pid. A lock left behind by a process that is gone is taken over.
+
+import fs from "fs-extra";
+import path from "path";
+
+// A lock file that is still being written or was cut off counts as held
+// for this long
+const UNREADABLE_LOCK_GRACE_MS = 10000;
+
+// Another process holds the lock
+export class LockHeldError extends Error {
+  constructor(file, owner) {
+    super(
+      `${path.basename(file)} is held by ${
+        owner ? `process ${owner.pid} since ${owner.since}` : "another process"
+      }`
+    );
+    this.name = "LockHeldError";
+    this.code = "LOCK_HELD";
+    this.owner = owner;
+  }
+}
+
+const isRunning = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === "EPERM";
+  }
+};
+
+const isStale = async (file, owner) => {
+  if (owner) return !isRunning(owner.pid);
+  const stats = await fs.stat(file).catch(() => null);
+  return !stats || Date.now() - stats.mtimeMs > UNREADABLE_LOCK_GRACE_MS;
+};
+
+// Take the lock, waiting up to `waitMs` for its owner to release it.
+// Resolves with a function that releases it; throws LockHeldError when it
+// is still held after that.
+export const acquireLock = async (file, { waitMs = 0, pollMs = 500 } = {}) => {
+  const deadline = Date.now() + waitMs;
+  await fs.ensureDir(path.dirname(file));
+
+  for (;;) {
+    try {
+      const owner = { pid: process.pid, since: new Date().toISOString() };
+      await fs.writeFile(file, JSON.stringify(owner), { flag: "wx" });
+
+      let released = false;
+      return async () => {
+        if (released) return;
+        released = true;
+        await fs.remove(file);
+      };
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+    }
+
+    const owner = await fs.readJson(file).catch(() => null);
+    if (await isStale(file, owner)) {
+      console.warn(`⚠️  Taking over the stale lock ${file}`);
+      await fs.remove(file);
+      continue;
+    }
+    if (Date.now() >= deadline) throw new LockHeldError(file, owner);
+    await new Promise((resolve) => setTimeout(resolve, pollMs));
+  }
+};
+
+export default acquireLock;
@@ -0,0 +1,34 @@
+// Reciprocal rank fusion (Cormack et al., 2009): combine ranked result lists
+// by summing 1 / (k + rank) for each list an item appears in. Scores from
+// different retrievers are not comparable, ranks are.
+//
+// `rankedLists` maps a source name to results sorted best first, each with an
+// `id`. Returns the merged items best first, annotated with `fusedScore` and
+// the 1-based `ranks` per source.
+export const reciprocalRankFusion = (rankedLists, { k = 60 } = {}) => {
+  const fused = new Map();
+
+  for (const [source, results] of Object.entries(rankedLists)) {
+    results.forEach((result, position) => {
+      const rank = position + 1;
+      let entry = fused.get(result.id);
+
+      if (!entry) {
+        entry = { ...result, fusedScore: 0, ranks: {} };
+        fused.set(result.id, entry);
+      } else {
+        Object.assign(entry, result, {
+          fusedScore: entry.fusedScore,
+          ranks: entry.ranks,
+        });
+      }
+
+      entry.fusedScore += 1 / (k + rank);
+      entry.ranks[source] = rank;
+    });
+  }
+
+  return Array.from(fused.values()).sort((a, b) => b.fusedScore - a.fusedScore);
+};
+
+export default reciprocalRankFusion;
@@ -0,0 +1,16 @@
+// Rough token estimate for budgeting prompts. Llama-family tokenizers average
+// about four characters per token on English technical text.
+const CHARS_PER_TOKEN = 4;
+
+export const estimateTokens = (text) =>
+  text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+
+// Cut text down to roughly `maxTokens`, preferring a word boundary
+export const truncateToTokens = (text, maxTokens) => {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  if (!text || text.length <= maxChars) return text;
+
+  const cut = text.slice(0, maxChars);
+  const lastSpace = cut.lastIndexOf(" ");
+  return (lastSpace > maxChars * 0.8 ? cut.slice(0, lastSpace) : cut) + "…";
+};
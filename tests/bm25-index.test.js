@@ -0,0 +1,85 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { BM25Index, tokenize } from "../src/services/BM25Index.js";
+
+const close = (actual, expected) =>
+  assert.ok(
+    Math.abs(actual - expected) < 1e-9,
+    `expected ${actual} to be ${expected}`
+  );
+
+describe("tokenize", () => {
+  test("keeps identifiers whole and indexes their parts", () => {
+    assert.deepEqual(tokenize("Gi0/1 on VLAN-100"), [
+      "gi0/1",
+      "gi0",
+      "1",
+      "vlan-100",
+      "vlan",
+      "100",
+    ]);
+  });
+
+  test("drops stopwords", () => {
+    assert.deepEqual(tokenize("What is the core switch?"), ["core", "switch"]);
+  });
+});
+
+describe("BM25Index", () => {
+  const texts = [
+    "core switch core uplink",
+    "firewall policy for the branch",
+    "branch router uplink",
+  ];
+
+  test("weighs rare terms higher", () => {
+    const index = BM25Index.fromTexts(texts);
+    // ln(1 + (N - df + 0.5) / (df + 0.5)) with N = 3
+    close(index.idf("firewall"), Math.log(1 + 2.5 / 1.5));
+    close(index.idf("uplink"), Math.log(1 + 1.5 / 2.5));
+    close(index.idf("missing"), Math.log(1 + 3.5 / 0.5));
+    assert.ok(index.idf("firewall") > index.idf("uplink"));
+  });
+
+  test("scores term frequency with length normalisation", () => {
+    const index = BM25Index.fromTexts(texts);
+    const [result] = index.search("core", 1);
+
+    // "core" twice in a document of 4 tokens; average length 10 / 3
+    const lengthNorm = 1 - 0.75 + (0.75 * 4) / (10 / 3);
+    const expected =
+      (index.idf("core") * (2 * (1.2 + 1))) / (2 + 1.2 * lengthNorm);
+    assert.equal(result.index, 0);
+    close(result.score, expected);
+  });
+
+  test("ranks documents matching more query terms first", () => {
+    const index = BM25Index.fromTexts(texts);
+    const results = index.search("branch uplink");
+
+    assert.deepEqual(
+      results.map((result) => result.index),
+      [2, 1, 0]
+    );
+    assert.ok(results[0].score > results[1].score);
+  });
+
+  test("applies the limit and the filter", () => {
+    const index = BM25Index.fromTexts(texts);
+    assert.equal(index.search("branch uplink", 1).length, 1);
+    assert.deepEqual(
+      index
+        .search("branch uplink", 10, (docId) => docId !== 2)
+        .map((result) => result.index),
+      [1, 0]
+    );
+  });
+
+  test("finds nothing for empty or unknown queries", () => {
+    const index = BM25Index.fromTexts(texts);
+    assert.deepEqual(index.search(""), []);
+    assert.deepEqual(index.search("the what is"), []);
+    assert.deepEqual(index.search("ospf"), []);
+    assert.deepEqual(new BM25Index().search("core"), []);
+  });
+});
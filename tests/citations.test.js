@@ -0,0 +1,93 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import {
+  extractCitations,
+  formatLocation,
+  stripCitations,
+} from "../src/utils/citations.js";
+
+const sources = [
+  { number: 1, id: "a", documentName: "vpn.txt", chunkIndex: 0, pages: [] },
+  { number: 2, id: "b", documentName: "core.txt", chunkIndex: 3, pages: [4] },
+];
+
+describe("extractCitations", () => {
+  test("maps markers to the sources they cite", () => {
+    const { text, citations, invalidCitations } = extractCitations(
+      "The tunnel uses IKEv2 [1]. DC2-CORE is the core switch [2][1].",
+      sources
+    );
+
+    assert.equal(
+      text,
+      "The tunnel uses IKEv2 [1]. DC2-CORE is the core switch [2][1]."
+    );
+    assert.deepEqual(invalidCitations, []);
+    assert.deepEqual(
+      citations.map(({ number, documentName, sentences }) => [
+        number,
+        documentName,
+        sentences,
+      ]),
+      [
+        [
+          1,
+          "vpn.txt",
+          ["The tunnel uses IKEv2.", "DC2-CORE is the core switch."],
+        ],
+        [2, "core.txt", ["DC2-CORE is the core switch."]],
+      ]
+    );
+  });
+
+  test("drops markers outside the numbered sources", () => {
+    const { text, citations, invalidCitations } = extractCitations(
+      "Use port 500 [3]. Then enable NAT-T [0]. Peers are listed [1, 7].",
+      sources
+    );
+
+    assert.equal(
+      text,
+      "Use port 500. Then enable NAT-T. Peers are listed [1]."
+    );
+    assert.deepEqual(invalidCitations, [0, 3, 7]);
+    assert.deepEqual(
+      citations.map((citation) => citation.number),
+      [1]
+    );
+  });
+
+  test("normalises lists of numbers to one marker each", () => {
+    const { text } = extractCitations("Both apply [1, 2, 1].", sources);
+    assert.equal(text, "Both apply [1][2].");
+  });
+
+  test("drops every marker when there are no sources", () => {
+    const { text, citations, invalidCitations } = extractCitations(
+      "The switch is DC2-CORE [1].",
+      []
+    );
+    assert.equal(text, "The switch is DC2-CORE.");
+    assert.deepEqual(citations, []);
+    assert.deepEqual(invalidCitations, [1]);
+  });
+});
+
+describe("citation helpers", () => {
+  test("stripCitations removes markers and the space before them", () => {
+    assert.equal(
+      stripCitations("Port 443 [1][2], not 80 [3]."),
+      "Port 443, not 80."
+    );
+    assert.equal(stripCitations(null), "");
+  });
+
+  test("formatLocation names pages and the section number", () => {
+    assert.equal(
+      formatLocation({ pages: [14], sectionNumber: "3.2" }),
+      "p. 14, §3.2"
+    );
+    assert.equal(formatLocation({ pages: [14, 15] }), "pp. 14–15");
+    assert.equal(formatLocation({}), "");
+  });
+});
@@ -0,0 +1,216 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { ContextBuilder } from "../src/services/ContextBuilder.js";
+import { ChatService } from "../src/services/ChatService.js";
+import LLMProvider from "../src/services/LLMProvider.js";
+import { getConfig } from "../src/config/index.js";
+import { estimateTokens } from "../src/utils/tokens.js";
+
+// Allowance ContextBuilder makes for each passage header
+const HEADER_TOKENS = 25;
+
+const makeChunk = (chunkIndex, text, extra = {}) => ({
+  id: `doc.txt#${chunkIndex}`,
+  documentName: "doc.txt",
+  chunkIndex,
+  headingPath: ["Setup"],
+  blockTypes: ["paragraph"],
+  text,
+  ...extra,
+});
+
+// A document whose chunk 1 leads into the procedure in chunk 2
+const chunks = [
+  makeChunk(0, "The branch router connects over IPsec. ".repeat(5).trim()),
+  makeChunk(1, "To set up the tunnel:"),
+  makeChunk(2, "1. Create the IKE policy\n2. Apply the crypto map", {
+    blockTypes: ["list"],
+  }),
+  makeChunk(3, "Monitoring is covered in a later chapter."),
+];
+
+const builderFor = (documentChunks) =>
+  new ContextBuilder(
+    {
+      getChunkAt: (documentName, chunkIndex) =>
+        documentChunks.find(
+          (chunk) =>
+            chunk.documentName === documentName &&
+            chunk.chunkIndex === chunkIndex
+        ) || null,
+    },
+    { expandNeighbours: true }
+  );
+
+const chunkCost = (chunk) => estimateTokens(chunk.text) + HEADER_TOKENS;
+
+describe("ContextBuilder.build", () => {
+  test("takes chunks by relevance while they fit the budget", () => {
+    const tokenBudget = chunkCost(chunks[0]) + chunkCost(chunks[3]);
+    const { passages, report } = builderFor(chunks).build(
+      [chunks[3], chunks[0], makeChunk(5, "x".repeat(400))],
+      { tokenBudget, expandNeighbours: false }
+    );
+
+    assert.deepEqual(
+      passages.map((passage) => passage.chunkIds),
+      [["doc.txt#3"], ["doc.txt#0"]]
+    );
+    assert.deepEqual(
+      report.dropped.map(({ id, reason }) => [id, reason]),
+      [["doc.txt#5", "over budget"]]
+    );
+    assert.ok(report.usedTokens <= tokenBudget);
+  });
+
+  test("cuts the best chunk to fit rather than returning nothing", () => {
+    const { passages, report } = builderFor(chunks).build([chunks[0]], {
+      tokenBudget: 60,
+    });
+
+    assert.equal(report.truncated, true);
+    assert.ok(passages[0].text.length < chunks[0].text.length);
+    assert.ok(report.usedTokens <= 60);
+  });
+
+  test("adds the neighbours that continue a procedure", () => {
+    const { passages, report } = builderFor(chunks).build([chunks[1]], {
+      tokenBudget: 1000,
+    });
+
+    assert.equal(report.expandedChunks, 1);
+    assert.equal(passages.length, 1);
+    assert.deepEqual(passages[0].chunkIds, ["doc.txt#1", "doc.txt#2"]);
+    assert.equal(passages[0].text, `${chunks[1].text}\n\n${chunks[2].text}`);
+  });
+
+  test("adds neighbours only within the budget", () => {
+    const { passages, report } = builderFor(chunks).build([chunks[1]], {
+      tokenBudget: chunkCost(chunks[1]) + chunkCost(chunks[2]) - 1,
+    });
+
+    assert.equal(report.expandedChunks, 0);
+    assert.deepEqual(passages[0].chunkIds, ["doc.txt#1"]);
+    assert.deepEqual(
+      report.dropped.map(({ id, reason }) => [id, reason]),
+      [["doc.txt#2", "neighbour over budget"]]
+    );
+  });
+
+  test("leaves neighbours out when expansion is off", () => {
+    const { report } = builderFor(chunks).build([chunks[1]], {
+      tokenBudget: 1000,
+      expandNeighbours: false,
+    });
+    assert.equal(report.includedChunks, 1);
+  });
+
+  test("includes a chunk once when it is retrieved and a neighbour", () => {
+    const { passages, report } = builderFor(chunks).build(
+      [chunks[2], chunks[1], chunks[1]],
+      { tokenBudget: 1000 }
+    );
+
+    assert.equal(report.includedChunks, 2);
+    assert.equal(report.expandedChunks, 0);
+    assert.deepEqual(passages[0].chunkIds, ["doc.txt#1", "doc.txt#2"]);
+    assert.equal(passages[0].text.split("To set up the tunnel:").length, 2);
+  });
+
+  test("removes the overlap between merged chunks", () => {
+    const overlapping = [
+      makeChunk(0, "Enable the VPN. Then configure the peers:"),
+      makeChunk(1, "Then configure the peers:\n\n1. Add the branch peer", {
+        blockTypes: ["list"],
+      }),
+    ];
+    const { passages } = builderFor(overlapping).build(overlapping, {
+      tokenBudget: 1000,
+    });
+
+    assert.equal(
+      passages[0].text,
+      "Enable the VPN. Then configure the peers:\n\n1. Add the branch peer"
+    );
+  });
+});
+
+// Budgeting only needs the config and the prompt template, not the services
+// the constructor connects to
+const chatService = () => {
+  const service = Object.create(ChatService.prototype);
+  service.config = getConfig();
+  service.llmProvider = new LLMProvider({ baseUrl: "http://localhost" });
+  return service;
+};
+
+describe("ChatService token budgets", () => {
+  const turn = (n, length = 200) => ({
+    query: `Question ${n}`,
+    response: `Answer ${n} [1] `.padEnd(length, "x"),
+  });
+  const turnTokens = ({ query, response }) =>
+    estimateTokens(query) + estimateTokens(response);
+
+  test("keeps the most recent turns that fit the history budget", () => {
+    const history = [turn(1), turn(2), turn(3), turn(4)];
+    const budget = turnTokens(history[3]) * 2 + 10;
+    const turns = chatService().selectConversationTurns(history, budget);
+
+    assert.deepEqual(
+      turns.map(({ query }) => query),
+      ["Question 3", "Question 4"]
+    );
+    assert.ok(turns.reduce((total, t) => total + turnTokens(t), 0) <= budget);
+    assert.ok(turns.every(({ response }) => !response.includes("[1]")));
+  });
+
+  test("truncates the latest answer rather than dropping all history", () => {
+    const turns = chatService().selectConversationTurns([turn(1, 2000)], 100);
+
+    assert.equal(turns.length, 1);
+    assert.ok(turnTokens(turns[0]) <= 101);
+  });
+
+  test("keeps no history for a zero budget", () => {
+    assert.deepEqual(
+      chatService().selectConversationTurns([turn(1), turn(2)], 0),
+      []
+    );
+  });
+
+  test("caps the context budget by what the window leaves", () => {
+    const service = chatService();
+    const { contextWindow } = service.config.llm;
+    const conversation = [turn(1, 4000)];
+    const maxTokens = 500;
+
+    const budget = service.contextTokenBudget(
+      "What is DC2-CORE?",
+      conversation,
+      {
+        contextTokenBudget: contextWindow * 2,
+        maxTokens,
+      }
+    );
+    const promptTokens = estimateTokens(
+      service.llmProvider.buildPrompt("What is DC2-CORE?", "", conversation)
+    );
+
+    assert.equal(budget, contextWindow - promptTokens - maxTokens);
+    assert.equal(
+      service.contextTokenBudget("What is DC2-CORE?", [], {
+        contextTokenBudget: 300,
+        maxTokens,
+      }),
+      300
+    );
+    assert.equal(
+      service.contextTokenBudget("What is DC2-CORE?", [], {
+        contextTokenBudget: 300,
+        maxTokens: contextWindow,
+      }),
+      0
+    );
+  });
+});
@@ -0,0 +1,58 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { removeNearDuplicates } from "../src/utils/dedup.js";
+
+const words = (from, to) =>
+  Array.from({ length: to - from + 1 }, (_, i) => `w${from + i}`).join(" ");
+
+describe("removeNearDuplicates", () => {
+  // Five trigrams, four of them in the first chunk: containment 0.8
+  const chunks = [
+    { id: "a", text: words(1, 10) },
+    { id: "b", text: `${words(1, 6)} other` },
+  ];
+
+  test("removes a chunk at the threshold", () => {
+    const result = removeNearDuplicates(chunks, { threshold: 0.8 });
+    assert.deepEqual(
+      result.chunks.map((chunk) => chunk.id),
+      ["a"]
+    );
+    assert.deepEqual(result.removed, ["b"]);
+  });
+
+  test("keeps a chunk just below the threshold", () => {
+    const result = removeNearDuplicates(chunks, { threshold: 0.81 });
+    assert.deepEqual(
+      result.chunks.map((chunk) => chunk.id),
+      ["a", "b"]
+    );
+    assert.deepEqual(result.removed, []);
+  });
+
+  test("keeps the better ranked of two duplicates", () => {
+    const result = removeNearDuplicates([
+      { id: "short", text: words(3, 8) },
+      { id: "long", text: words(1, 10) },
+    ]);
+    assert.deepEqual(result.removed, ["long"]);
+  });
+
+  test("ignores case and punctuation", () => {
+    const result = removeNearDuplicates([
+      { id: "a", text: "Enable BPDU guard on all access ports." },
+      { id: "b", text: "enable bpdu guard, on all access ports" },
+    ]);
+    assert.deepEqual(result.removed, ["b"]);
+  });
+
+  test("compares chunks shorter than a trigram as a whole", () => {
+    const result = removeNearDuplicates([
+      { id: "a", text: "VLAN 10" },
+      { id: "b", text: "vlan 10" },
+      { id: "c", text: "VLAN 20" },
+      { id: "d", text: "" },
+    ]);
+    assert.deepEqual(result.removed, ["b"]);
+  });
+});
@@ -0,0 +1,154 @@
+import { test, describe, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import {
+  DocumentUploadService,
+  UploadError,
+} from "../src/services/DocumentUploadService.js";
+
+// Jobs only need the documents folder and ingestFile of the ingestion, not
+// the services its constructor sets up
+const uploadServiceWith = ({ inputDir, ingestFile }) => {
+  const service = Object.create(DocumentUploadService.prototype);
+  service.ingestionService = { inputDir, ingestFile };
+  service.knowledgeBaseService = { reload: async () => {} };
+  service.jobs = new Map();
+  service.maxJobs = 100;
+  service.queue = Promise.resolve();
+  return service;
+};
+
+describe("DocumentUploadService", () => {
+  let dir;
+  let inputDir;
+  let ingested;
+  let uploads = 0;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "upload-test-"));
+    inputDir = path.join(dir, "documents");
+    await fs.ensureDir(inputDir);
+    ingested = [];
+    mock.method(console, "error", () => {});
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await fs.remove(dir);
+  });
+
+  const upload = async (originalname, content = "text") => {
+    const file = path.join(dir, `upload-${++uploads}`);
+    await fs.writeFile(file, content);
+    return { originalname, path: file, size: content.length };
+  };
+
+  const ingestFile = async (filePath) => {
+    ingested.push(filePath);
+    return { status: "added", chunks: 1 };
+  };
+
+  test("moves the upload into its collection and ingests it", async () => {
+    const service = uploadServiceWith({ inputDir, ingestFile });
+    const file = await upload("ikev2.txt", "IKEv2 tunnels");
+
+    const [job] = await service.enqueueUploads([file], {
+      collection: "network/vpn",
+    });
+    await service.queue;
+
+    const destination = path.join(inputDir, "network", "vpn", "ikev2.txt");
+    assert.equal(job.documentName, "network/vpn/ikev2.txt");
+    assert.deepEqual(ingested, [destination]);
+    assert.equal(await fs.readFile(destination, "utf8"), "IKEv2 tunnels");
+    assert.equal(await fs.pathExists(file.path), false);
+    assert.equal(service.getJob(job.id).status, "completed");
+  });
+
+  test("refuses a document that already exists", async () => {
+    await fs.writeFile(path.join(inputDir, "policy.txt"), "original");
+    const service = uploadServiceWith({ inputDir, ingestFile });
+    const files = [await upload("notes.txt"), await upload("policy.txt")];
+
+    await assert.rejects(
+      service.enqueueUploads(files),
+      (error) =>
+        error instanceof UploadError &&
+        error.code === "DOCUMENT_EXISTS" &&
+        error.status === 409
+    );
+
+    assert.equal(service.listJobs().length, 0);
+    assert.equal(
+      await fs.readFile(path.join(inputDir, "policy.txt"), "utf8"),
+      "original"
+    );
+    for (const file of files) {
+      assert.equal(await fs.pathExists(file.path), false);
+    }
+  });
+
+  test("refuses the same name twice in the queue", async () => {
+    const service = uploadServiceWith({ inputDir, ingestFile });
+    await service.enqueueUploads([await upload("policy.txt")]);
+
+    await assert.rejects(service.enqueueUploads([await upload("policy.txt")]), {
+      code: "DOCUMENT_EXISTS",
+    });
+    await service.queue;
+    assert.equal(ingested.length, 1);
+  });
+
+  test("fails the job of a document that appeared while it was queued", async () => {
+    const service = uploadServiceWith({ inputDir, ingestFile });
+    const file = await upload("policy.txt", "upload");
+    service.queue = new Promise((resolve) => setTimeout(resolve, 20));
+
+    const [job] = await service.enqueueUploads([file]);
+    await fs.writeFile(path.join(inputDir, "policy.txt"), "original");
+    await service.queue;
+
+    assert.equal(service.getJob(job.id).status, "failed");
+    assert.deepEqual(ingested, []);
+    assert.equal(
+      await fs.readFile(path.join(inputDir, "policy.txt"), "utf8"),
+      "original"
+    );
+    assert.equal(await fs.pathExists(file.path), false);
+  });
+
+  test("rejects collections outside the documents folder", async () => {
+    const service = uploadServiceWith({ inputDir, ingestFile });
+
+    for (const collection of ["../etc", "network/../..", ".git", "~$lock", 5]) {
+      const file = await upload("policy.txt");
+      await assert.rejects(service.enqueueUploads([file], { collection }), {
+        code: "INVALID_COLLECTION",
+        status: 400,
+      });
+      assert.equal(await fs.pathExists(file.path), false);
+    }
+    assert.equal(service.normalizeCollection("/network\\vpn/"), "network/vpn/");
+    assert.equal(service.normalizeCollection(""), "");
+  });
+
+  test("removes the temp file when ingestion fails", async () => {
+    const service = uploadServiceWith({
+      inputDir,
+      ingestFile: async () => {
+        throw new Error("embedding failed");
+      },
+    });
+    const file = await upload("policy.txt");
+
+    const [job] = await service.enqueueUploads([file]);
+    await service.queue;
+
+    const failed = service.getJob(job.id);
+    assert.equal(failed.status, "failed");
+    assert.equal(failed.error, "embedding failed");
+    assert.equal(await fs.pathExists(file.path), false);
+  });
+});
@@ -0,0 +1,62 @@
+import { test, describe, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { EmbeddingCache } from "../src/services/EmbeddingCache.js";
+
+const MODEL = "ollama:nomic-embed-text";
+
+describe("EmbeddingCache", () => {
+  let dir;
+  let filePath;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "embedding-cache-test-"));
+    filePath = path.join(dir, "embeddings.jsonl");
+    mock.method(console, "log", () => {});
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await fs.remove(dir);
+  });
+
+  const cache = (model = MODEL) =>
+    new EmbeddingCache({ model, filePath, maxEntries: 10 });
+
+  test("keeps embeddings across instances", async () => {
+    const writer = cache();
+    await writer.set("core switch", [0.6, 0.8]);
+    await writer.flush();
+
+    const cached = await cache().get("core  switch");
+    assert.deepEqual(
+      cached.map((value) => Math.round(value * 10) / 10),
+      [0.6, 0.8]
+    );
+  });
+
+  test("discards the embeddings of another model", async () => {
+    const writer = cache();
+    await writer.set("core switch", [0.6, 0.8]);
+    await writer.flush();
+
+    assert.equal(await cache("openai:other").get("core switch"), null);
+  });
+
+  test("discards a cache of an older format", async () => {
+    const writer = cache();
+    await writer.set("core switch", [0.6, 0.8]);
+    await writer.flush();
+    const [, ...entries] = (await fs.readFile(filePath, "utf8"))
+      .trim()
+      .split("\n");
+    await fs.writeFile(
+      filePath,
+      [JSON.stringify({ model: MODEL }), ...entries].join("\n") + "\n"
+    );
+
+    assert.equal(await cache().get("core switch"), null);
+  });
+});
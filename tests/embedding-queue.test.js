@@ -0,0 +1,168 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { EmbeddingQueue } from "../src/services/EmbeddingQueue.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const serverError = () =>
+  Object.assign(new Error("Request failed with status code 503"), {
+    response: { status: 503, headers: {} },
+  });
+
+const badRequest = () =>
+  Object.assign(new Error("Request failed with status code 400"), {
+    response: { status: 400, headers: {} },
+  });
+
+const vectorFor = (text) => [text.length, 1];
+
+// Embeds like a provider, failing the first `failures` requests with
+// `error()` and tracking how many requests are in flight at once
+const stubProvider = ({
+  failures = 0,
+  error = serverError,
+  batch = true,
+  delayMs = 0,
+  failText = null,
+} = {}) => {
+  const provider = {
+    supportsBatchEmbedding: batch,
+    calls: [],
+    active: 0,
+    maxActive: 0,
+    async embedBatch(texts) {
+      provider.calls.push(texts);
+      provider.active++;
+      provider.maxActive = Math.max(provider.maxActive, provider.active);
+      try {
+        await sleep(delayMs);
+        if (provider.calls.length <= failures) throw error();
+        if (failText && texts.includes(failText)) throw badRequest();
+        return texts.map(vectorFor);
+      } finally {
+        provider.active--;
+      }
+    },
+    async embed(text) {
+      return (await provider.embedBatch([text]))[0];
+    },
+  };
+  return provider;
+};
+
+const queueFor = (provider, options = {}) =>
+  new EmbeddingQueue(provider, {
+    concurrency: 2,
+    batchSize: 2,
+    maxRetries: 3,
+    retryDelayMs: 1,
+    requestsPerSecond: 0,
+    ...options,
+  });
+
+describe("EmbeddingQueue", () => {
+  test("retries failed requests until they succeed", async () => {
+    const provider = stubProvider({ failures: 2 });
+    const queue = queueFor(provider);
+
+    const results = await queue.embedAll(["core switch"]);
+
+    assert.deepEqual(results, [{ embedding: vectorFor("core switch") }]);
+    assert.equal(provider.calls.length, 3);
+    assert.deepEqual(queue.stats, { requests: 3, retries: 2, failures: 0 });
+  });
+
+  test("rejects once the retries are used up", async () => {
+    const provider = stubProvider({ failures: Infinity });
+    const queue = queueFor(provider, { maxRetries: 2 });
+
+    await assert.rejects(queue.embedBatch(["core switch"]), /503/);
+    assert.equal(provider.calls.length, 3);
+  });
+
+  test("reports texts that keep failing instead of throwing", async () => {
+    const provider = stubProvider({ failures: Infinity });
+    const queue = queueFor(provider, { maxRetries: 1 });
+    const reported = [];
+
+    const results = await queue.embedAll(["a", "b", "c"], (index) =>
+      reported.push(index)
+    );
+
+    assert.ok(results.every((result) => /503/.test(result.error)));
+    assert.deepEqual(reported.sort(), [0, 1, 2]);
+    assert.equal(queue.stats.failures, 3);
+  });
+
+  test("does not retry requests the server refuses", async () => {
+    const provider = stubProvider({ failures: 1, error: badRequest });
+    const queue = queueFor(provider);
+
+    await assert.rejects(queue.embedBatch(["too long"]), /400/);
+    assert.equal(provider.calls.length, 1);
+  });
+
+  test("groups texts into batches and keeps their order", async () => {
+    const provider = stubProvider();
+    const texts = ["a", "bb", "ccc", "dddd", "eeeee"];
+
+    const results = await queueFor(provider).embedAll(texts);
+
+    assert.deepEqual(
+      provider.calls.map((batch) => batch.length),
+      [2, 2, 1]
+    );
+    assert.deepEqual(
+      results.map((result) => result.embedding),
+      texts.map(vectorFor)
+    );
+  });
+
+  test("sends one text per request without batch support", async () => {
+    const provider = stubProvider({ batch: false });
+    await queueFor(provider).embedAll(["a", "b", "c"]);
+    assert.deepEqual(provider.calls, [["a"], ["b"], ["c"]]);
+  });
+
+  test("splits a refused batch so only the bad text fails", async () => {
+    const provider = stubProvider({ failText: "bad" });
+    const results = await queueFor(provider, { batchSize: 4 }).embedAll([
+      "a",
+      "bad",
+      "c",
+      "d",
+    ]);
+
+    assert.deepEqual(
+      results.map((result) => Boolean(result.error)),
+      [false, true, false, false]
+    );
+  });
+
+  test("keeps at most `concurrency` requests in flight", async () => {
+    const provider = stubProvider({ batch: false, delayMs: 5 });
+    const texts = Array.from({ length: 8 }, (_, i) => `text ${i}`);
+
+    const results = await queueFor(provider, { concurrency: 3 }).embedAll(
+      texts
+    );
+
+    assert.equal(provider.maxActive, 3);
+    assert.equal(results.filter((result) => result.embedding).length, 8);
+  });
+
+  test("serves cached texts without a request", async () => {
+    const cached = new Map([["a", [9, 9]]]);
+    const provider = stubProvider();
+    provider.embeddingCache = {
+      get: async (text) => cached.get(text) ?? null,
+      set: async (text, embedding) => cached.set(text, embedding),
+    };
+
+    const results = await queueFor(provider).embedAll(["a", "b"]);
+
+    assert.deepEqual(results[0], { embedding: [9, 9], cached: true });
+    assert.deepEqual(provider.calls, [["b"]]);
+    assert.deepEqual(cached.get("b"), vectorFor("b"));
+  });
+});
@@ -0,0 +1,154 @@
+import { test, describe, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import {
+  FeedbackError,
+  FeedbackService,
+} from "../src/services/FeedbackService.js";
+
+// A chat history turn as ChatService stores it
+const turn = (answerId, extra = {}) => ({
+  answerId,
+  timestamp: "2024-05-31T12:00:00.000Z",
+  query: "How is the branch VPN set up?",
+  response: "It uses IKEv2 [1].",
+  citations: [{ number: 1 }],
+  contextSources: [
+    { number: 1, id: "vpn#0", documentName: "vpn.txt", chunkIndex: 0 },
+    {
+      number: 2,
+      id: "core#3",
+      chunkIds: ["core#3", "core#4"],
+      documentName: "core.txt",
+      chunkIndexes: [3, 4],
+    },
+  ],
+  grounding: { refused: false, retrieval: { score: 0.8 } },
+  ...extra,
+});
+
+describe("FeedbackService", () => {
+  let dir;
+  let filePath;
+  let feedback;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "feedback-test-"));
+    filePath = path.join(dir, "feedback", "feedback.jsonl");
+    feedback = new FeedbackService({ filePath });
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await fs.remove(dir);
+  });
+
+  test("appends one line per rating", async () => {
+    await feedback.record(turn("a1"), { sessionId: "s1", rating: "up" });
+    await feedback.record(turn("a2"), {
+      sessionId: "s1",
+      rating: "down",
+      comment: "  Wrong port  ",
+    });
+
+    const lines = (await fs.readFile(filePath, "utf8")).trim().split("\n");
+    assert.equal(lines.length, 2);
+    const second = JSON.parse(lines[1]);
+    assert.equal(second.answerId, "a2");
+    assert.equal(second.comment, "Wrong port");
+    assert.deepEqual(
+      second.retrieved.map(({ chunkIds, cited }) => [chunkIds, cited]),
+      [
+        [["vpn#0"], true],
+        [["core#3", "core#4"], false],
+      ]
+    );
+  });
+
+  test("reads the latest rating of each answer, newest first", async () => {
+    await feedback.record(turn("a1"), { sessionId: "s1", rating: "up" });
+    await feedback.record(turn("a2"), { sessionId: "s1", rating: "up" });
+    await feedback.record(turn("a1"), { sessionId: "s1", rating: "down" });
+
+    const records = await feedback.getFeedback();
+    assert.deepEqual(
+      records.map(({ answerId, rating }) => [answerId, rating]),
+      [
+        ["a1", "down"],
+        ["a2", "up"],
+      ]
+    );
+    assert.deepEqual(
+      (await feedback.getFeedback({ rating: "up" })).map((r) => r.answerId),
+      ["a2"]
+    );
+    assert.deepEqual(await feedback.getSummary(), {
+      total: 2,
+      up: 1,
+      down: 1,
+      withComments: 0,
+    });
+  });
+
+  test("skips lines it cannot parse", async () => {
+    await feedback.record(turn("a1"), { sessionId: "s1", rating: "up" });
+    await fs.appendFile(filePath, "{not json\n\n");
+    mock.method(console, "error", () => {});
+
+    assert.equal((await feedback.getFeedback()).length, 1);
+    assert.equal(console.error.mock.callCount(), 1);
+  });
+
+  test("reads no feedback before the first rating", async () => {
+    assert.deepEqual(await feedback.getFeedback(), []);
+  });
+
+  test("rejects unusable ratings without writing", async () => {
+    await assert.rejects(
+      feedback.record(turn("a1"), { sessionId: "s1", rating: "meh" }),
+      FeedbackError
+    );
+    assert.equal(await fs.pathExists(filePath), false);
+  });
+
+  test("exports ratings as evaluation examples, oldest first", async () => {
+    await feedback.record(turn("a1"), { sessionId: "s1", rating: "up" });
+    await feedback.record(turn("a2", { citations: [] }), {
+      sessionId: "s1",
+      rating: "down",
+    });
+    await feedback.record(
+      turn("a3", { citations: [], grounding: { refused: true } }),
+      { sessionId: "s1", rating: "up" }
+    );
+
+    const examples = await feedback.exportEvaluationSet();
+
+    assert.deepEqual(
+      examples.map(({ id, label, answerable, relevantChunkIds }) => [
+        id,
+        label,
+        answerable,
+        relevantChunkIds,
+      ]),
+      [
+        ["a1", "good", true, ["vpn#0"]],
+        ["a2", "bad", undefined, []],
+        ["a3", "good", false, []],
+      ]
+    );
+    assert.deepEqual(examples[0].retrievedChunkIds, [
+      "vpn#0",
+      "core#3",
+      "core#4",
+    ]);
+    assert.deepEqual(
+      (await feedback.exportEvaluationSet({ rating: "down" })).map(
+        (example) => example.id
+      ),
+      ["a2"]
+    );
+  });
+});
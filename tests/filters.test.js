@@ -0,0 +1,169 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import {
+  createDocumentFilter,
+  filterProblems,
+  normalizeFilter,
+  pickFilter,
+} from "../src/utils/filters.js";
+import chatRoutes from "../src/routes/chatRoutes.js";
+
+const doc = (document_name, extra = {}) => ({
+  document_name,
+  processed_at: "2024-05-31T12:00:00.000Z",
+  metadata: { documentType: "procedure", keywords: ["VPN", "ipsec"] },
+  ...extra,
+});
+
+describe("filterProblems", () => {
+  test("accepts arrays of strings, comma strings and ISO dates", () => {
+    assert.deepEqual(
+      filterProblems({
+        collections: ["network", "security/"],
+        documentTypes: "procedure,policy",
+        keywords: [],
+        processedFrom: "2024-01-01",
+        processedTo: "2024-05-31T23:00:00Z",
+      }),
+      []
+    );
+    assert.deepEqual(filterProblems({}), []);
+  });
+
+  test("rejects lists that are not strings", () => {
+    assert.deepEqual(
+      filterProblems({ collections: [1], documents: { name: "a.pdf" } }),
+      [
+        "collections must be an array of strings or a comma string",
+        "documents must be an array of strings or a comma string",
+      ]
+    );
+  });
+
+  test("rejects unreadable and reversed dates", () => {
+    assert.deepEqual(filterProblems({ processedFrom: "last week" }), [
+      "processedFrom must be an ISO date (e.g. 2024-05-31)",
+    ]);
+    assert.deepEqual(
+      filterProblems({
+        processedFrom: "2024-06-01",
+        processedTo: "2024-05-31",
+      }),
+      ["processedFrom must not be after processedTo"]
+    );
+  });
+});
+
+describe("createDocumentFilter", () => {
+  test("filters nothing without filter fields", () => {
+    assert.equal(createDocumentFilter({ query: "vpn" }), null);
+    assert.equal(normalizeFilter({ keywords: [" "] }), null);
+  });
+
+  test("matches collections, types and keywords", () => {
+    const matches = createDocumentFilter({
+      collections: "network",
+      documentTypes: ["Procedure"],
+      keywords: ["vpn"],
+    });
+
+    assert.equal(matches(doc("network/vpn/ikev2.pdf")), true);
+    assert.equal(matches(doc("security/ikev2.pdf")), false);
+    assert.equal(
+      matches(doc("network/a.pdf", { metadata: { documentType: "policy" } })),
+      false
+    );
+  });
+
+  test("matches document names exactly or as a glob", () => {
+    const matches = createDocumentFilter({
+      documents: ["policy.pdf", "network/*.docx"],
+    });
+
+    assert.equal(matches(doc("policy.pdf")), true);
+    assert.equal(matches(doc("network/ikev2.docx")), true);
+    assert.equal(matches(doc("network/vpn/ikev2.docx")), false);
+  });
+
+  test("includes the whole day of a date-only upper bound", () => {
+    const matches = createDocumentFilter({
+      processedFrom: "2024-05-31",
+      processedTo: "2024-05-31",
+    });
+
+    assert.equal(matches(doc("a.pdf")), true);
+    assert.equal(
+      matches(doc("a.pdf", { processed_at: "2024-06-01T00:00:00.000Z" })),
+      false
+    );
+  });
+
+  test("pickFilter keeps only the filter fields", () => {
+    assert.deepEqual(
+      pickFilter({ query: "vpn", limit: 5, keywords: "vpn", documents: null }),
+      { keywords: "vpn" }
+    );
+  });
+});
+
+describe("chat routes with invalid filters", () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use("/api/chat", chatRoutes);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://localhost:${server.address().port}/api/chat`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  const post = async (path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  test("rejects a malformed query filter with 400", async () => {
+    const { status, body } = await post("/query", {
+      query: "How is the VPN set up?",
+      options: { collections: 5, processedTo: "soon" },
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, "INVALID_FILTER");
+    assert.match(body.error, /collections must be/);
+    assert.match(body.error, /processedTo must be/);
+  });
+
+  test("rejects a malformed stream filter with 400", async () => {
+    const { status, body } = await post("/stream", {
+      query: "How is the VPN set up?",
+      options: { keywords: [true] },
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, "INVALID_FILTER");
+  });
+
+  test("rejects a malformed search filter with 400", async () => {
+    const { status, body } = await post("/search", {
+      query: "ikev2",
+      processedFrom: "2024-06-01",
+      processedTo: "2024-05-01",
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, "INVALID_FILTER");
+    assert.match(body.error, /processedFrom must not be after processedTo/);
+  });
+});
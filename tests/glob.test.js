@@ -0,0 +1,76 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { globToRegExp, matchesGlob } from "../src/utils/glob.js";
+import { getConfig } from "../src/config/index.js";
+
+describe("matchesGlob", () => {
+  const { include, exclude } = getConfig().ingestion;
+
+  test("includes every file by default", () => {
+    for (const name of ["policy.pdf", "network/vpn/ikev2.docx"]) {
+      assert.equal(matchesGlob(name, include), true, name);
+    }
+  });
+
+  test("excludes hidden files and folders by default", () => {
+    for (const name of [
+      ".env",
+      "network/.DS_Store",
+      ".git/",
+      "network/.archive/",
+      "network/.archive/old.pdf",
+    ]) {
+      assert.equal(matchesGlob(name, exclude), true, name);
+    }
+  });
+
+  test("excludes Office lock files by default", () => {
+    assert.equal(matchesGlob("~$policy.docx", exclude), true);
+    assert.equal(matchesGlob("network/~$ikev2.docx", exclude), true);
+  });
+
+  test("keeps ordinary documents by default", () => {
+    for (const name of [
+      "policy.pdf",
+      "network/",
+      "network/vpn/ikev2.v2.docx",
+      "network/policy~$.pdf",
+    ]) {
+      assert.equal(matchesGlob(name, exclude), false, name);
+    }
+  });
+
+  test("keeps '*' and '?' within a folder", () => {
+    assert.equal(matchesGlob("network/policy.pdf", ["network/*.pdf"]), true);
+    assert.equal(matchesGlob("network/vpn/a.pdf", ["network/*.pdf"]), false);
+    assert.equal(matchesGlob("network/vpn/a.pdf", ["network/**/*.pdf"]), true);
+    assert.equal(matchesGlob("network/a.pdf", ["network/**/*.pdf"]), true);
+    assert.equal(matchesGlob("v1.txt", ["v?.txt"]), true);
+    assert.equal(matchesGlob("v10.txt", ["v?.txt"]), false);
+  });
+
+  test("matches a pattern without '/' in any folder", () => {
+    assert.equal(matchesGlob("security/drafts/old.pdf", ["*.pdf"]), true);
+    assert.equal(matchesGlob("security/drafts/", ["drafts/"]), false);
+    assert.equal(matchesGlob("security/drafts/", ["**/drafts/"]), true);
+  });
+
+  test("supports alternatives and character classes", () => {
+    const patterns = ["*.{md,txt}", "report-[0-9].pdf", "draft-[!0-9].pdf"];
+    assert.equal(matchesGlob("notes.md", patterns), true);
+    assert.equal(matchesGlob("notes.txt", patterns), true);
+    assert.equal(matchesGlob("notes.pdf", patterns), false);
+    assert.equal(matchesGlob("report-7.pdf", patterns), true);
+    assert.equal(matchesGlob("draft-a.pdf", patterns), true);
+    assert.equal(matchesGlob("draft-1.pdf", patterns), false);
+  });
+
+  test("treats regular expression characters literally", () => {
+    assert.equal(globToRegExp("a+b (1).pdf").test("a+b (1).pdf"), true);
+    assert.equal(globToRegExp("a+b (1).pdf").test("aab (1)xpdf"), false);
+  });
+
+  test("matches nothing without patterns", () => {
+    assert.equal(matchesGlob("policy.pdf", []), false);
+  });
+});
@@ -0,0 +1,160 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import {
+  findLongForm,
+  isAbbreviation,
+  mineDefinitions,
+} from "../src/utils/glossaryMining.js";
+import { GlossaryService } from "../src/services/GlossaryService.js";
+
+const definitionsOf = (text) =>
+  mineDefinitions(text).map(({ term, expansion, pattern }) => [
+    term,
+    expansion,
+    pattern,
+  ]);
+
+describe("mineDefinitions", () => {
+  test("pairs a long form with the abbreviation after it", () => {
+    assert.deepEqual(
+      definitionsOf(
+        "Branches connect over a Virtual Private Network (VPN) to the hub."
+      ),
+      [["VPN", "Virtual Private Network", "long form (abbreviation)"]]
+    );
+  });
+
+  test("pairs an abbreviation with the long form after it", () => {
+    assert.deepEqual(
+      definitionsOf(
+        "The SDN-GW (Software Defined Network Gateway) routes traffic."
+      ),
+      [
+        [
+          "SDN-GW",
+          "Software Defined Network Gateway",
+          "abbreviation (long form)",
+        ],
+      ]
+    );
+  });
+
+  test("reads 'ABBR stands for X' up to the end of the phrase", () => {
+    assert.deepEqual(
+      definitionsOf(
+        "OSPF stands for Open Shortest Path First, a link-state protocol.\nBGP is an acronym for the Border Gateway Protocol."
+      ),
+      [
+        ["OSPF", "Open Shortest Path First", "stands for"],
+        ["BGP", "Border Gateway Protocol", "stands for"],
+      ]
+    );
+  });
+
+  test("skips parentheses that do not spell out the abbreviation", () => {
+    assert.deepEqual(
+      definitionsOf(
+        "The Network Operations Centre (XYZ) is staffed. We use IPsec (see chapter 4)."
+      ),
+      []
+    );
+  });
+
+  test("records each definition once, with its context", () => {
+    const [definition, ...rest] = mineDefinitions(
+      "Use a Virtual Private Network (VPN).\nEvery Virtual Private Network (VPN) is logged."
+    );
+    assert.equal(rest.length, 0);
+    assert.equal(definition.context, "Use a Virtual Private Network (VPN)");
+  });
+
+  test("finds nothing in empty text", () => {
+    assert.deepEqual(mineDefinitions(""), []);
+    assert.deepEqual(mineDefinitions(null), []);
+  });
+});
+
+describe("abbreviation helpers", () => {
+  test("isAbbreviation wants two capitals", () => {
+    assert.equal(isAbbreviation("VPN"), true);
+    assert.equal(isAbbreviation("SDN-GW"), true);
+    assert.equal(isAbbreviation("Network"), false);
+    assert.equal(isAbbreviation("2024"), false);
+  });
+
+  test("findLongForm starts the long form at a word", () => {
+    assert.equal(
+      findLongForm("VPN", "connect over a Virtual Private Network"),
+      "Virtual Private Network"
+    );
+    assert.equal(findLongForm("VPN", "vpn tunnel"), null);
+  });
+});
+
+describe("GlossaryService.getCandidates", () => {
+  let dir;
+  let glossary;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "glossary-mining-test-"));
+    const defaultFilePath = path.join(dir, "glossary.default.json");
+    await fs.writeJson(defaultFilePath, {
+      entries: [
+        {
+          term: "vpn",
+          type: "abbreviation",
+          expansions: ["virtual private network"],
+        },
+      ],
+      rejected: [{ term: "bgp", expansion: "border gateway protocol" }],
+    });
+    glossary = new GlossaryService({
+      filePath: path.join(dir, "glossary.json"),
+      defaultFilePath,
+    });
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  const mined = () =>
+    mineDefinitions(
+      "A Virtual Private Network (VPN) links sites.\nOSPF stands for Open Shortest Path First.\nBGP stands for Border Gateway Protocol."
+    ).map((definition) => ({ ...definition, documentName: "network.txt" }));
+
+  test("does not propose terms the glossary already expands", () => {
+    assert.deepEqual(
+      glossary
+        .getCandidates(mined(), { status: "pending" })
+        .map(({ term, expansion }) => [term, expansion]),
+      [["ospf", "open shortest path first"]]
+    );
+  });
+
+  test("marks known and rejected definitions", () => {
+    const statuses = Object.fromEntries(
+      glossary
+        .getCandidates(mined())
+        .map((candidate) => [candidate.term, candidate.status])
+    );
+    assert.deepEqual(statuses, {
+      bgp: "rejected",
+      ospf: "pending",
+      vpn: "approved",
+    });
+  });
+
+  test("stops proposing a definition once it is approved", async () => {
+    const [candidate] = glossary.getCandidates(mined(), { status: "pending" });
+    await glossary.approveCandidate(candidate);
+
+    assert.deepEqual(
+      glossary.getCandidates(mined(), { status: "pending" }),
+      []
+    );
+  });
+});
@@ -0,0 +1,77 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { GlossaryService } from "../src/services/GlossaryService.js";
+
+describe("GlossaryService files", () => {
+  let dir;
+  let filePath;
+  let defaultFilePath;
+  const seed = {
+    entries: [
+      {
+        term: "vpn",
+        type: "abbreviation",
+        expansions: ["virtual private network"],
+        keyword: true,
+      },
+    ],
+    rejected: [],
+  };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "glossary-test-"));
+    filePath = path.join(dir, "glossary", "glossary.json");
+    defaultFilePath = path.join(dir, "glossary.default.json");
+    await fs.writeJson(defaultFilePath, seed);
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test("reads the default glossary until it is edited", () => {
+    const glossary = new GlossaryService({ filePath, defaultFilePath });
+    assert.deepEqual(
+      glossary.getEntry("VPN").expansions,
+      seed.entries[0].expansions
+    );
+  });
+
+  test("writes edits to its own file, leaving the default alone", async () => {
+    const glossary = new GlossaryService({ filePath, defaultFilePath });
+    await glossary.upsertEntry({
+      term: "sd-wan",
+      type: "abbreviation",
+      expansions: ["software defined wan"],
+    });
+
+    assert.deepEqual(await fs.readJson(defaultFilePath), seed);
+    const saved = await fs.readJson(filePath);
+    assert.deepEqual(saved.entries.map((entry) => entry.term).sort(), [
+      "sd-wan",
+      "vpn",
+    ]);
+  });
+
+  test("reads the edited glossary once there is one", async () => {
+    const editor = new GlossaryService({ filePath, defaultFilePath });
+    await editor.removeEntry("vpn");
+
+    const reader = new GlossaryService({ filePath, defaultFilePath });
+    assert.equal(reader.getEntry("vpn"), null);
+    assert.deepEqual(reader.getEntries(), []);
+  });
+
+  test("notices the edited glossary appearing", async () => {
+    const reader = new GlossaryService({ filePath, defaultFilePath });
+    reader.updateCheckInterval = 0;
+    assert.ok(reader.getEntry("vpn"));
+
+    await new GlossaryService({ filePath, defaultFilePath }).removeEntry("vpn");
+
+    assert.equal(reader.getEntry("vpn"), null);
+  });
+});
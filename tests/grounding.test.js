@@ -0,0 +1,199 @@
+import { test, describe, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import {
+  splitClaims,
+  verifyGrounding,
+  retrievalConfidence,
+} from "../src/utils/grounding.js";
+import { ChatService } from "../src/services/ChatService.js";
+import { getConfig } from "../src/config/index.js";
+
+const chunks = [
+  { number: 1, text: "The branch VPN uses IKEv2 with AES-256 on port 4500." },
+  { number: 2, text: "DC2-CORE is the core switch in the second data centre." },
+];
+
+describe("verifyGrounding", () => {
+  test("supports claims found in a chunk", () => {
+    const result = verifyGrounding(
+      "The branch VPN uses IKEv2 [1]. DC2-CORE is the core switch [2].",
+      chunks
+    );
+
+    assert.equal(result.totalClaims, 2);
+    assert.equal(result.supportedClaims, 2);
+    assert.equal(result.score, 1);
+    assert.deepEqual(
+      result.claims.map((claim) => [claim.bestSource, claim.citedSources]),
+      [
+        [1, [1]],
+        [2, [2]],
+      ]
+    );
+  });
+
+  test("flags a claim no chunk supports", () => {
+    const { claims, unsupportedClaims, score } = verifyGrounding(
+      "Printers are managed through the print server cluster.",
+      chunks
+    );
+
+    assert.equal(unsupportedClaims, 1);
+    assert.equal(score, 0);
+    assert.equal(claims[0].supported, false);
+    assert.equal(claims[0].bestSource, null);
+  });
+
+  test("flags identifiers missing from every chunk", () => {
+    const [claim] = verifyGrounding(
+      "The branch VPN uses IKEv2 on port 4501.",
+      chunks
+    ).claims;
+
+    assert.ok(claim.score >= 0.5);
+    assert.equal(claim.supported, false);
+    assert.deepEqual(claim.missingTerms, ["4501"]);
+  });
+
+  test("supports a claim exactly at the threshold", () => {
+    // Terms: branch, vpn, uses, printers; three of four are in chunk 1
+    const answer = "Branch VPN uses printers.";
+    assert.equal(
+      verifyGrounding(answer, chunks, { claimThreshold: 0.75 }).claims[0]
+        .supported,
+      true
+    );
+    assert.equal(
+      verifyGrounding(answer, chunks, { claimThreshold: 0.76 }).claims[0]
+        .supported,
+      false
+    );
+  });
+
+  test("skips headings, statements about the documents and short lines", () => {
+    assert.deepEqual(
+      splitClaims(
+        "## VPN Setup\nThe documentation does not mention SD-WAN.\nYes.\n- The VPN uses IKEv2 [1]"
+      ),
+      [{ text: "The VPN uses IKEv2", citedSources: [1] }]
+    );
+    assert.equal(verifyGrounding("", chunks).score, 1);
+  });
+});
+
+describe("retrievalConfidence", () => {
+  test("takes the best vector similarity", () => {
+    assert.deepEqual(
+      retrievalConfidence("vpn", [{ similarity: 0.3 }, { similarity: 0.7 }]),
+      { score: 0.7, method: "vector" }
+    );
+  });
+
+  test("falls back to query term coverage", () => {
+    assert.deepEqual(retrievalConfidence("core switch printer", chunks), {
+      score: 2 / 3,
+      method: "lexical",
+    });
+    assert.equal(retrievalConfidence("vpn", []).score, 0);
+  });
+});
+
+// processQuery with retrieval, generation and history stubbed out
+const chatServiceWith = ({
+  similarity,
+  grounding = {},
+  answer = "DC2-CORE is the core switch [1].",
+}) => {
+  const config = getConfig();
+  const service = Object.create(ChatService.prototype);
+  service.config = {
+    ...config,
+    grounding: { ...config.grounding, ...grounding },
+  };
+  service.knowledgeBaseService = { isKnowledgeBaseAvailable: async () => true };
+  service.llmProvider = {
+    buildPrompt: () => "",
+    generateResponse: async () => answer,
+  };
+  service.prepareConversation = async (query) => ({
+    conversation: [],
+    retrievalQuery: query,
+  });
+  service.retrieveContext = async () => ({
+    context: `[1] Source: core.txt\n${chunks[1].text}`,
+    contextSources: [{ number: 1, id: "b", documentName: "core.txt" }],
+    chunks: [{ ...chunks[1], similarity }],
+    contextAssembly: null,
+    expandedQuery: null,
+  });
+  service.addToChatHistory = async () => "answer-1";
+  return service;
+};
+
+describe("ChatService grounding modes", () => {
+  beforeEach(() => {
+    mock.method(console, "log", () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const floor = getConfig().grounding.minRetrievalScore;
+
+  test("strict mode refuses below the retrieval floor", async () => {
+    const service = chatServiceWith({
+      similarity: floor - 0.01,
+      grounding: { strict: true },
+    });
+    mock.method(service.llmProvider, "generateResponse");
+
+    const result = await service.processQuery("What is DC2-CORE?");
+
+    assert.equal(result.grounding.refused, true);
+    assert.equal(result.grounding.retrieval.belowFloor, true);
+    assert.deepEqual(result.contextSources, []);
+    assert.equal(service.llmProvider.generateResponse.mock.callCount(), 0);
+  });
+
+  test("strict mode answers at the retrieval floor", async () => {
+    const result = await chatServiceWith({
+      similarity: floor,
+      grounding: { strict: true },
+    }).processQuery("What is DC2-CORE?");
+
+    assert.equal(result.grounding.refused, false);
+    assert.equal(result.grounding.strict, true);
+    assert.equal(result.grounding.retrieval.belowFloor, false);
+    assert.equal(result.grounding.verification.supportedClaims, 1);
+  });
+
+  test("non-strict mode answers below the floor and reports it", async () => {
+    const result = await chatServiceWith({
+      similarity: floor - 0.01,
+      grounding: { strict: false, verify: true },
+    }).processQuery("What is DC2-CORE?");
+
+    assert.equal(result.grounding.refused, false);
+    assert.equal(result.grounding.strict, false);
+    assert.equal(result.grounding.retrieval.belowFloor, true);
+    assert.equal(result.response, "DC2-CORE is the core switch [1].");
+    assert.equal(result.citations[0].documentName, "core.txt");
+  });
+
+  test("verifies claims against the configured threshold", async () => {
+    // Terms: dc2-core, dc2, core, switch, printers; four of five are in the
+    // chunk
+    const verifiedWith = async (claimThreshold) =>
+      (
+        await chatServiceWith({
+          similarity: 0.9,
+          grounding: { claimThreshold, verify: true },
+          answer: "DC2-CORE is the core switch for printers [1].",
+        }).processQuery("What is DC2-CORE?")
+      ).grounding.verification;
+
+    assert.equal((await verifiedWith(0.8)).supportedClaims, 1);
+    assert.equal((await verifiedWith(0.9)).unsupportedClaims, 1);
+  });
+});
@@ -0,0 +1,178 @@
+import { test, describe, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import HNSWIndex, {
+  normalizeVector,
+  packVectors,
+} from "../src/services/HNSWIndex.js";
+import { KnowledgeBaseService } from "../src/services/KnowledgeBaseService.js";
+
+const DIMENSION = 32;
+
+// Seeded clustered vectors, like topic-clustered embeddings
+const generateEmbeddings = (count, seed = 7) => {
+  const random = () => {
+    seed = (seed * 1664525 + 1013904223) % 4294967296;
+    return seed / 4294967296;
+  };
+  const gaussian = () =>
+    Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+  const centroids = Array.from({ length: 20 }, () =>
+    Array.from({ length: DIMENSION }, gaussian)
+  );
+  return Array.from({ length: count }, () =>
+    centroids[Math.floor(random() * centroids.length)].map(
+      (value) => value + gaussian() * 0.6
+    )
+  );
+};
+
+const exactTopK = (vectors, query, k) => {
+  const index = new HNSWIndex(vectors, DIMENSION);
+  return Array.from({ length: index.count }, (_, node) => ({
+    index: node,
+    similarity: index.similarityToQuery(query, node),
+  }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, k);
+};
+
+const tempDir = () => fs.mkdtemp(path.join(os.tmpdir(), "hnsw-test-"));
+
+describe("HNSWIndex", () => {
+  const vectors = packVectors(generateEmbeddings(2000), DIMENSION);
+  const queries = generateEmbeddings(50, 99).map((query) =>
+    normalizeVector(query)
+  );
+
+  test("finds the exact nearest neighbours", async () => {
+    const index = await new HNSWIndex(vectors, DIMENSION).build();
+    const k = 10;
+    let found = 0;
+
+    for (const query of queries) {
+      const expected = new Set(
+        exactTopK(vectors, query, k).map((result) => result.index)
+      );
+      found += index
+        .search(query, k)
+        .filter((result) => expected.has(result.index)).length;
+    }
+
+    // The recall target of scripts/benchmark-index.js
+    assert.ok(found / (queries.length * k) >= 0.9);
+  });
+
+  test("keeps level-0 neighbour lists within 2·M", async () => {
+    const index = await new HNSWIndex(vectors, DIMENSION, { M: 8 }).build();
+
+    for (let node = 0; node < index.count; node++) {
+      index.neighbors[node].forEach((links, level) => {
+        assert.ok(links.length <= (level === 0 ? 16 : 8));
+      });
+    }
+  });
+
+  test("builds the same graph from the same data", async () => {
+    const first = await new HNSWIndex(vectors, DIMENSION).build();
+    const second = await new HNSWIndex(vectors, DIMENSION).build();
+    assert.deepEqual(first.neighbors, second.neighbors);
+  });
+
+  test("restores a saved graph with the same fingerprint", async () => {
+    const dir = await tempDir();
+    const file = path.join(dir, "index.json");
+    try {
+      const index = await new HNSWIndex(vectors, DIMENSION).build();
+      await index.save(file, "abc");
+
+      const loaded = await HNSWIndex.load(file, vectors, DIMENSION, "abc");
+
+      assert.ok(loaded);
+      assert.deepEqual(loaded.neighbors, index.neighbors);
+      assert.equal(loaded.entryPoint, index.entryPoint);
+      assert.deepEqual(
+        loaded.search(queries[0], 5),
+        index.search(queries[0], 5)
+      );
+    } finally {
+      await fs.remove(dir);
+    }
+  });
+
+  test("does not restore a graph of other data", async () => {
+    const dir = await tempDir();
+    const file = path.join(dir, "index.json");
+    try {
+      const index = await new HNSWIndex(vectors, DIMENSION).build();
+      await index.save(file, "abc");
+
+      assert.equal(await HNSWIndex.load(file, vectors, DIMENSION, "def"), null);
+      assert.equal(
+        await HNSWIndex.load(
+          file,
+          vectors.subarray(DIMENSION),
+          DIMENSION,
+          "abc"
+        ),
+        null
+      );
+      assert.equal(
+        await HNSWIndex.load(
+          path.join(dir, "missing.json"),
+          vectors,
+          DIMENSION,
+          "abc"
+        ),
+        null
+      );
+    } finally {
+      await fs.remove(dir);
+    }
+  });
+});
+
+describe("KnowledgeBaseService vector index", () => {
+  const embeddings = generateEmbeddings(300);
+  const chunksWithIds = (ids) =>
+    ids.map((id, i) => ({
+      id,
+      document_name: "network.pdf",
+      embedding: embeddings[i],
+    }));
+
+  afterEach(() => mock.restoreAll());
+
+  test("rebuilds the persisted graph when the chunks change", async () => {
+    const dir = await tempDir();
+    try {
+      const knowledgeBase = new KnowledgeBaseService();
+      knowledgeBase.searchMode = "ann";
+      knowledgeBase.annMinChunks = 0;
+      knowledgeBase.indexFile = path.join(dir, "index.json");
+      const build = mock.method(HNSWIndex.prototype, "build");
+      mock.method(console, "log", () => {});
+
+      const ids = embeddings.map((_, i) => `chunk-${i}`);
+      await knowledgeBase.buildVectorStore(chunksWithIds(ids));
+      assert.equal(build.mock.callCount(), 1);
+      const saved = await fs.readJson(knowledgeBase.indexFile);
+
+      // Same chunks: the saved graph is reused
+      const reused = await knowledgeBase.buildVectorStore(chunksWithIds(ids));
+      assert.equal(build.mock.callCount(), 1);
+      assert.deepEqual(reused.index.neighbors, saved.neighbors);
+
+      // Other chunk ids: the fingerprint differs and the graph is rebuilt
+      const changed = ids.map((id) => `${id}-v2`);
+      await knowledgeBase.buildVectorStore(chunksWithIds(changed));
+      assert.equal(build.mock.callCount(), 2);
+      const rebuilt = await fs.readJson(knowledgeBase.indexFile);
+      assert.notEqual(rebuilt.fingerprint, saved.fingerprint);
+    } finally {
+      await fs.remove(dir);
+    }
+  });
+});
@@ -0,0 +1,67 @@
+import { test, describe, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { acquireLock, LockHeldError } from "../src/utils/lockFile.js";
+
+describe("acquireLock", () => {
+  let dir;
+  let file;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "lock-test-"));
+    file = path.join(dir, "knowledge_base.lock");
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await fs.remove(dir);
+  });
+
+  test("holds the lock until it is released", async () => {
+    const release = await acquireLock(file);
+    assert.equal((await fs.readJson(file)).pid, process.pid);
+
+    await assert.rejects(acquireLock(file), LockHeldError);
+
+    await release();
+    assert.equal(await fs.pathExists(file), false);
+    const releaseAgain = await acquireLock(file);
+    await releaseAgain();
+  });
+
+  test("waits for the owner to release it", async () => {
+    const release = await acquireLock(file);
+    setTimeout(release, 50);
+
+    const releaseAgain = await acquireLock(file, { waitMs: 2000, pollMs: 10 });
+    assert.equal((await fs.readJson(file)).pid, process.pid);
+    await releaseAgain();
+  });
+
+  test("gives up waiting", async () => {
+    const release = await acquireLock(file);
+    await assert.rejects(
+      acquireLock(file, { waitMs: 50, pollMs: 10 }),
+      (error) => error.code === "LOCK_HELD" && error.owner.pid === process.pid
+    );
+    await release();
+  });
+
+  test("takes over the lock of a process that is gone", async () => {
+    const { pid } = spawnSync(process.execPath, ["-e", ""]);
+    await fs.writeJson(file, { pid, since: new Date().toISOString() });
+    mock.method(console, "warn", () => {});
+
+    const release = await acquireLock(file);
+    assert.equal((await fs.readJson(file)).pid, process.pid);
+    await release();
+  });
+
+  test("respects an unreadable lock while it may still be written", async () => {
+    await fs.writeFile(file, "");
+    await assert.rejects(acquireLock(file), LockHeldError);
+  });
+});
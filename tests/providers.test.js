@@ -0,0 +1,232 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createMockLLMServer } from "../scripts/mock-llm-server.js";
+import OllamaService from "../src/services/OllamaService.js";
+import OpenAICompatibleService from "../src/services/OpenAICompatibleService.js";
+
+const DIMENSION = 32;
+const MODELS = { embeddingModel: "nomic-embed-text", llmModel: "llama3.1:8b" };
+
+const listen = (app) =>
+  new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => resolve(server));
+  });
+
+const urlOf = (server) => `http://127.0.0.1:${server.address().port}`;
+
+const close = (server) =>
+  new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+
+const CONTEXT =
+  "[1] Source: core-network.pdf\nDC2-CORE uplinks to the edge routers.";
+
+const norm = (vector) => Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0));
+
+const PROVIDERS = [
+  {
+    name: "ollama",
+    create: (baseUrl, options = {}) =>
+      new OllamaService({ baseUrl, ...MODELS, ...options }),
+  },
+  {
+    name: "openai",
+    create: (baseUrl, options = {}) =>
+      new OpenAICompatibleService({
+        baseUrl: `${baseUrl}/v1`,
+        ...MODELS,
+        ...options,
+      }),
+  },
+];
+
+const servers = {};
+
+before(async () => {
+  servers.mock = await listen(
+    createMockLLMServer({ tokenDelayMs: 5, dimension: DIMENSION })
+  );
+  servers.failing = await listen(
+    createMockLLMServer({ tokenDelayMs: 5, dimension: DIMENSION, failRate: 1 })
+  );
+  servers.noBatch = await listen(
+    createMockLLMServer({
+      tokenDelayMs: 5,
+      dimension: DIMENSION,
+      batchEmbedding: false,
+    })
+  );
+  // Nothing listens here once it is closed
+  const closed = await listen(createMockLLMServer());
+  servers.closedUrl = urlOf(closed);
+  await close(closed);
+});
+
+after(async () => {
+  await Promise.all(
+    ["mock", "failing", "noBatch"].map((name) => close(servers[name]))
+  );
+});
+
+for (const { name, create } of PROVIDERS) {
+  describe(`${name} provider`, () => {
+    const provider = () => create(urlOf(servers.mock));
+
+    test("is available and lists the models", async () => {
+      assert.equal(await provider().isAvailable(), true);
+      const status = await provider().checkModelsAvailable();
+      assert.equal(status.available, true);
+    });
+
+    test("generates a response", async () => {
+      const response = await provider().generateResponse(
+        "What is the uplink of DC2-CORE?",
+        CONTEXT
+      );
+      assert.match(response, /\*\*What is the uplink of DC2-CORE\?\*\*/);
+      assert.match(response, /DC2-CORE uplinks to the edge routers \[1\]/);
+    });
+
+    test("streams the same response in chunks", async () => {
+      const question = "What is the uplink of DC2-CORE?";
+      const chunks = [];
+
+      const result = await provider().generateStreamResponse(
+        question,
+        CONTEXT,
+        (chunk) => chunks.push(chunk)
+      );
+
+      assert.deepEqual(result, { cancelled: false });
+      assert.ok(chunks.length > 1);
+      assert.equal(
+        chunks.join("").trim(),
+        await provider().generateResponse(question, CONTEXT)
+      );
+    });
+
+    test("stops streaming when the signal aborts", async () => {
+      const controller = new AbortController();
+      const chunks = [];
+
+      const result = await provider().generateStreamResponse(
+        "What is the uplink of DC2-CORE?",
+        CONTEXT,
+        (chunk) => {
+          chunks.push(chunk);
+          controller.abort();
+        },
+        { signal: controller.signal }
+      );
+
+      assert.deepEqual(result, { cancelled: true });
+      // Tokens already in flight may still arrive, but not the whole answer
+      assert.ok(chunks.length < 5);
+    });
+
+    test("resolves as cancelled when the signal aborted before", async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      const result = await provider().generateStreamResponse(
+        "question",
+        "",
+        () => assert.fail("no chunks expected"),
+        { signal: controller.signal }
+      );
+
+      assert.deepEqual(result, { cancelled: true });
+    });
+
+    test("embeds a text", async () => {
+      const embedding = await provider().getEmbedding("core switch uplink");
+      assert.equal(embedding.length, DIMENSION);
+      assert.ok(Math.abs(norm(embedding) - 1) < 1e-9);
+    });
+
+    test("embeds a batch in input order", async () => {
+      const texts = ["core switch uplink", "firewall rules", "vlan trunk"];
+      const embeddings = await provider().embedBatch(texts);
+
+      assert.equal(embeddings.length, texts.length);
+      for (const [i, text] of texts.entries()) {
+        assert.deepEqual(embeddings[i], await provider().embed(text));
+      }
+    });
+
+    test("reports a server that is down", async () => {
+      const down = create(servers.closedUrl);
+      assert.equal(await down.isAvailable(), false);
+      assert.equal((await down.checkModelsAvailable()).available, false);
+      await assert.rejects(
+        down.generateResponse("question"),
+        /^Error: Failed to generate response: /
+      );
+      await assert.rejects(
+        down.generateStreamResponse("question", "", () => {}),
+        /^Error: Failed to generate stream response: /
+      );
+    });
+
+    test("fails on a model the server does not have", async () => {
+      const missing = create(urlOf(servers.mock), { llmModel: "missing:7b" });
+      await assert.rejects(
+        missing.generateResponse("question"),
+        /Failed to generate response: .*404/
+      );
+      await assert.rejects(
+        missing.generateStreamResponse("question", "", () => {}),
+        /Failed to generate stream response: .*404/
+      );
+
+      const noEmbedder = create(urlOf(servers.mock), {
+        embeddingModel: "missing-embed",
+      });
+      await assert.rejects(
+        noEmbedder.getEmbedding("question"),
+        /Failed to get embedding: .*404/
+      );
+      await assert.rejects(noEmbedder.embedBatch(["a", "b"]), /404/);
+      assert.equal(noEmbedder.supportsBatchEmbedding, true);
+    });
+
+    test("fails when the embedding endpoint does", async () => {
+      const failing = create(urlOf(servers.failing));
+      await assert.rejects(
+        failing.getEmbedding("core switch uplink"),
+        /Failed to get embedding: .*503/
+      );
+      await assert.rejects(failing.embedBatch(["a", "b"]), /503/);
+    });
+  });
+}
+
+test("ollama falls back to one request per text without /api/embed", async () => {
+  const ollama = PROVIDERS[0].create(urlOf(servers.noBatch));
+  const texts = ["core switch uplink", "firewall rules"];
+
+  const embeddings = await ollama.embedBatch(texts);
+
+  assert.equal(ollama.supportsBatchEmbedding, false);
+  assert.equal(embeddings.length, texts.length);
+  assert.deepEqual(embeddings[1], await ollama.embed(texts[1]));
+});
+
+test("ollama embeddings do not depend on the endpoint", async () => {
+  const current = PROVIDERS[0].create(urlOf(servers.mock));
+  const legacy = PROVIDERS[0].create(urlOf(servers.noBatch));
+  const text = "core switch uplink";
+
+  for (const embedding of [
+    await current.embed(text),
+    await legacy.embed(text),
+    (await legacy.embedBatch([text]))[0],
+  ]) {
+    assert.ok(Math.abs(norm(embedding) - 1) < 1e-9);
+    (await current.embedBatch([text]))[0].forEach((value, i) => {
+      assert.ok(Math.abs(value - embedding[i]) < 1e-9);
+    });
+  }
+});
@@ -0,0 +1,105 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { ChatService } from "../src/services/ChatService.js";
+import LLMProvider from "../src/services/LLMProvider.js";
+import { getConfig } from "../src/config/index.js";
+
+// Option handling only needs the config and the prompt template, not the
+// services the constructor connects to
+const chatServiceWith = (overrides = {}) => {
+  const config = getConfig();
+  const service = Object.create(ChatService.prototype);
+  service.config = {
+    ...config,
+    grounding: { ...config.grounding, ...overrides.grounding },
+  };
+  service.llmProvider = new LLMProvider({ baseUrl: "http://localhost" });
+  return service;
+};
+
+describe("ChatService.resolveQueryOptions", () => {
+  test("fills in the configured defaults", () => {
+    const { retrieval } = getConfig();
+    const resolved = chatServiceWith().resolveQueryOptions({});
+    assert.equal(resolved.maxContextChunks, retrieval.maxContextChunks);
+    assert.equal(resolved.maxTokens, retrieval.maxTokens);
+  });
+
+  test("takes the options a client may set", () => {
+    const resolved = chatServiceWith().resolveQueryOptions({
+      maxContextChunks: 3,
+      retrievalMode: "lexical",
+      rerank: true,
+      collections: ["network"],
+    });
+    assert.equal(resolved.maxContextChunks, 3);
+    assert.equal(resolved.retrievalMode, "lexical");
+    assert.equal(resolved.rerank, true);
+    assert.deepEqual(resolved.collections, ["network"]);
+  });
+
+  test("ignores anything else", () => {
+    const resolved = chatServiceWith().resolveQueryOptions({
+      config: { llm: {} },
+      claimThreshold: 0,
+    });
+    assert.equal(resolved.config, undefined);
+    assert.equal(resolved.claimThreshold, undefined);
+  });
+
+  test("lets a client turn grounding checks on", () => {
+    const resolved = chatServiceWith({
+      grounding: { verify: false, strict: false },
+    }).resolveQueryOptions({ verifyGrounding: true, strictGrounding: true });
+    assert.equal(resolved.verifyGrounding, true);
+    assert.equal(resolved.strictGrounding, true);
+  });
+
+  test("does not let a client turn grounding checks off", () => {
+    const resolved = chatServiceWith({
+      grounding: { verify: true, strict: true },
+    }).resolveQueryOptions({
+      verifyGrounding: false,
+      strictGrounding: false,
+      includeContext: false,
+    });
+    assert.equal(resolved.verifyGrounding, true);
+    assert.equal(resolved.strictGrounding, true);
+    assert.equal(resolved.includeContext, true);
+  });
+
+  test("only takes true to turn a check on", () => {
+    const resolved = chatServiceWith({
+      grounding: { verify: false, strict: false },
+    }).resolveQueryOptions({ verifyGrounding: "false", strictGrounding: 1 });
+    assert.equal(resolved.verifyGrounding, false);
+    assert.equal(resolved.strictGrounding, false);
+  });
+
+  test("keeps token budgets within the context window", () => {
+    const service = chatServiceWith();
+    const { contextWindow } = service.config.llm;
+    const resolved = service.resolveQueryOptions({
+      maxTokens: contextWindow * 2,
+      historyTokenBudget: contextWindow,
+      contextTokenBudget: contextWindow * 2,
+    });
+
+    assert.equal(resolved.maxTokens, contextWindow / 2);
+    assert.equal(resolved.historyTokenBudget, contextWindow / 4);
+    assert.equal(resolved.contextTokenBudget, contextWindow);
+    assert.ok(
+      service.contextTokenBudget("What is DC2-CORE?", [], resolved) > 1000
+    );
+  });
+
+  test("falls back to the defaults for unusable budgets", () => {
+    const { retrieval } = getConfig();
+    const resolved = chatServiceWith().resolveQueryOptions({
+      maxTokens: "lots",
+      historyTokenBudget: -5,
+    });
+    assert.equal(resolved.maxTokens, retrieval.maxTokens);
+    assert.equal(resolved.historyTokenBudget, 0);
+  });
+});
@@ -0,0 +1,54 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { reciprocalRankFusion } from "../src/utils/rankFusion.js";
+
+const ids = (results) => results.map((result) => result.id);
+
+describe("reciprocalRankFusion", () => {
+  test("ranks items found by both lists first", () => {
+    const fused = reciprocalRankFusion({
+      vector: [{ id: "a" }, { id: "b" }, { id: "c" }],
+      lexical: [{ id: "c" }, { id: "d" }],
+    });
+
+    assert.deepEqual(ids(fused), ["c", "a", "b", "d"]);
+    assert.deepEqual(fused[0].ranks, { vector: 3, lexical: 1 });
+    assert.equal(fused[0].fusedScore, 1 / 63 + 1 / 61);
+    assert.equal(fused[1].fusedScore, 1 / 61);
+  });
+
+  test("keeps the fields of every list", () => {
+    const [item] = reciprocalRankFusion({
+      vector: [{ id: "a", similarity: 0.9 }],
+      lexical: [{ id: "a", bm25Score: 3.2 }],
+    });
+    assert.equal(item.similarity, 0.9);
+    assert.equal(item.bm25Score, 3.2);
+  });
+
+  test("keeps the order of the only list that found anything", () => {
+    const fused = reciprocalRankFusion({
+      vector: [{ id: "a" }, { id: "b" }, { id: "c" }],
+      lexical: [],
+    });
+    assert.deepEqual(ids(fused), ["a", "b", "c"]);
+    assert.deepEqual(fused[2].ranks, { vector: 3 });
+  });
+
+  test("breaks ties by the order the lists are given in", () => {
+    const fused = reciprocalRankFusion(
+      {
+        vector: [{ id: "a" }, { id: "b" }],
+        lexical: [{ id: "b" }, { id: "a" }, { id: "c" }],
+      },
+      { k: 10 }
+    );
+    assert.deepEqual(ids(fused), ["a", "b", "c"]);
+    assert.equal(fused[0].fusedScore, fused[1].fusedScore);
+  });
+
+  test("returns nothing for no results", () => {
+    assert.deepEqual(reciprocalRankFusion({ vector: [], lexical: [] }), []);
+    assert.deepEqual(reciprocalRankFusion({}), []);
+  });
+});
@@ -0,0 +1,90 @@
+import { test, describe, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { Reranker } from "../src/services/Reranker.js";
+import { ChatService } from "../src/services/ChatService.js";
+
+const chunks = [
+  { id: "a", text: "VPN tunnels use IKEv2." },
+  { id: "b", text: "DC2-CORE is the core switch." },
+  { id: "c", text: "Printers are on VLAN 30." },
+];
+
+const ids = (results) => results.map((chunk) => chunk.id);
+
+describe("Reranker", () => {
+  test("orders chunks by the model's scores", async () => {
+    const reranker = new Reranker(
+      { rerank: async () => [0.2, 0.9, 0.5] },
+      { method: "model" }
+    );
+
+    const reranked = await reranker.rerank("core switch", chunks);
+
+    assert.deepEqual(ids(reranked), ["b", "c", "a"]);
+    assert.equal(reranked[0].rerankScore, 0.9);
+  });
+
+  test("keeps unscored chunks after the scored ones, in order", async () => {
+    // The LLM gave no usable rating for the first and last chunk
+    const scores = new Map([[chunks[1].text, 3]]);
+    const reranker = new Reranker(
+      { scoreRelevance: async (query, text) => scores.get(text) ?? null },
+      { method: "llm", concurrency: 2 }
+    );
+
+    assert.deepEqual(ids(await reranker.rerank("core switch", chunks)), [
+      "b",
+      "a",
+      "c",
+    ]);
+  });
+});
+
+describe("ChatService.rerankChunks", () => {
+  beforeEach(() => {
+    mock.method(console, "error", () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const serviceWith = (reranker) => {
+    const service = Object.create(ChatService.prototype);
+    service.reranker = reranker;
+    return service;
+  };
+
+  test("records the rank before reranking", async () => {
+    const service = serviceWith(
+      new Reranker({ rerank: async () => [0.1, 0.2, 0.3] }, { method: "model" })
+    );
+
+    const reranked = await service.rerankChunks("printers", chunks);
+
+    assert.deepEqual(ids(reranked), ["c", "b", "a"]);
+    assert.deepEqual(
+      reranked.map((chunk) => chunk.ranks.fused),
+      [3, 2, 1]
+    );
+  });
+
+  test("keeps the retrieval order when the reranker fails", async () => {
+    const service = serviceWith(
+      new Reranker(
+        {
+          rerank: async () => {
+            throw new Error("connect ECONNREFUSED");
+          },
+        },
+        { method: "model" }
+      )
+    );
+
+    const reranked = await service.rerankChunks("printers", chunks);
+
+    assert.deepEqual(ids(reranked), ["a", "b", "c"]);
+    assert.ok(reranked.every((chunk) => chunk.rerankScore === undefined));
+    assert.equal(console.error.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,49 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { FileSessionStore } from "../src/services/SessionStore.js";
+
+describe("FileSessionStore", () => {
+  let dir;
+  let filePath;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "session-store-test-"));
+    filePath = path.join(dir, "sessions.json");
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test("writes pending changes on close", async () => {
+    const store = new FileSessionStore({ filePath, writeDelayMs: 60000 });
+    await store.appendTurn("session-1", {
+      timestamp: new Date().toISOString(),
+      query: "What is DC2-CORE?",
+    });
+    assert.equal(await fs.pathExists(filePath), false);
+
+    await store.close();
+
+    assert.equal(store.writeTimer, null);
+    const { sessions } = await fs.readJson(filePath);
+    assert.deepEqual(
+      sessions.map((session) => session.turns.length),
+      [1]
+    );
+  });
+
+  test("waits for a write already under way", async () => {
+    const store = new FileSessionStore({ filePath, writeDelayMs: 0 });
+    await store.createSession("session-1");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    await store.flush();
+
+    const { sessions } = await fs.readJson(filePath);
+    assert.equal(sessions[0].id, "session-1");
+  });
+});
@@ -0,0 +1,152 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { StructuredChunker } from "../src/services/StructuredChunker.js";
+
+const chunk = (text, options = { chunkSize: 200, chunkOverlap: 80 }) =>
+  new StructuredChunker(options).chunk(text, "doc-1");
+
+describe("StructuredChunker", () => {
+  test("tracks the heading path and section number", () => {
+    const chunks = chunk(
+      [
+        "# Firewall",
+        "## NAT",
+        "2.3.1 Port forwarding",
+        "Forward port 443 to the web server.",
+        "Routing\n=======",
+        "Static routes are set on the core.",
+      ].join("\n\n")
+    );
+
+    assert.deepEqual(
+      chunks.map((c) => [c.headingPath, c.sectionNumber]),
+      [
+        [["Firewall", "NAT", "Port forwarding"], "2.3.1"],
+        [["Routing"], null],
+      ]
+    );
+    assert.equal(chunks[0].section, "Firewall > NAT > Port forwarding");
+    assert.equal(
+      chunks[0].embeddingText,
+      "Firewall > NAT > Port forwarding\n\nForward port 443 to the web server."
+    );
+  });
+
+  test("takes an all-caps line as a heading only on its own", () => {
+    const chunks = chunk(
+      [
+        "ROUTING",
+        "",
+        "Static routes go on the core.",
+        "NEVER USE VLAN 1",
+        "for management traffic.",
+      ].join("\n")
+    );
+
+    assert.equal(chunks.length, 1);
+    assert.deepEqual(chunks[0].headingPath, ["ROUTING"]);
+    assert.equal(
+      chunks[0].text,
+      "Static routes go on the core. NEVER USE VLAN 1 for management traffic."
+    );
+  });
+
+  test("keeps lists and tables as their own blocks", () => {
+    const [result] = chunk(
+      [
+        "Steps:",
+        "",
+        "1. Log in",
+        "2. Enter configure mode",
+        "",
+        "| Port | VLAN |",
+        "|---|---|",
+        "| Gi0/1 | 10 |",
+      ].join("\n")
+    );
+
+    assert.deepEqual(result.blockTypes, ["paragraph", "list", "table"]);
+    assert.equal(
+      result.text,
+      "Steps:\n\n1. Log in\n2. Enter configure mode\n\n| Port | VLAN |\n|---|---|\n| Gi0/1 | 10 |"
+    );
+  });
+
+  test("repeats the header row on every part of a long table", () => {
+    const rows = Array.from(
+      { length: 12 },
+      (_, i) => `| Gi0/${i} | ${100 + i} |`
+    );
+    const chunks = chunk(["| Port | VLAN |", "|---|---|", ...rows].join("\n"));
+
+    assert.ok(chunks.length > 1);
+    for (const { text } of chunks) {
+      assert.ok(text.startsWith("| Port | VLAN |\n|---|---|\n"));
+      assert.ok(text.length <= 200);
+    }
+  });
+
+  test("splits a code block longer than the chunk size between lines", () => {
+    const lines = Array.from(
+      { length: 12 },
+      (_, i) => `set interface ge-0/0/${i} unit 0 family inet`
+    );
+    const chunks = chunk(["```", ...lines, "```"].join("\n"));
+
+    assert.ok(chunks.length > 1);
+    assert.deepEqual(
+      chunks.flatMap((c) => c.text.split("\n")),
+      ["```", ...lines, "```"]
+    );
+    for (const c of chunks) {
+      assert.deepEqual(c.blockTypes, ["code"]);
+      assert.equal(c.overlapSize, 0);
+      assert.ok(c.text.length <= 200);
+    }
+  });
+
+  test("starts the next chunk with the previous chunk's last sentences", () => {
+    const chunks = chunk(
+      [
+        "VLAN 10 carries voice traffic. VLAN 20 carries data.",
+        "The trunk to the core allows both VLANs. Native VLAN 999 is unused.",
+        "Pruning removes VLANs a switch has no ports in. VTP runs in transparent mode.",
+      ].join(" "),
+      { chunkSize: 150, chunkOverlap: 60 }
+    );
+
+    assert.equal(chunks.length, 2);
+    const overlap = chunks[1].text.slice(0, chunks[1].overlapSize);
+    assert.ok(overlap.length > 0 && overlap.length <= 60);
+    assert.ok(chunks[0].text.endsWith(overlap));
+    assert.ok(chunks[1].text.startsWith(`${overlap}\n\n`));
+  });
+
+  test("leaves out the overlap when it is turned off", () => {
+    const chunks = chunk("One sentence here. ".repeat(20).trim(), {
+      chunkSize: 150,
+      chunkOverlap: 0,
+    });
+
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every((c) => c.overlapSize === 0));
+  });
+
+  test("records the pages a chunk spans from form feeds", () => {
+    const chunks = chunk(
+      "Page one text.\fPage two text.\n\f# Routing\n\nPage three text."
+    );
+
+    assert.deepEqual(
+      chunks.map((c) => [c.text, c.pages]),
+      [
+        ["Page one text. Page two text.", [1, 2]],
+        ["Page three text.", [3]],
+      ]
+    );
+  });
+
+  test("records no pages for text without page breaks", () => {
+    assert.deepEqual(chunk("Just one paragraph.")[0].pages, []);
+  });
+});